@@ -0,0 +1,82 @@
+/**
+ * Vercel Serverless Function - Listing Changes (delta export)
+ *
+ * GET /api/changes?since=2025-11-27T06:00:00Z
+ * GET /api/changes?since=run-20251127T060000Z-1a2b3c
+ * GET /api/changes
+ *
+ * Query Parameters:
+ *   - since: ISO 8601 date or timestamp, or a run ID (changes after that run
+ *     finished); defaults to the run before the latest, i.e. what the latest
+ *     run changed
+ *   - format: json (defaults) or ndjson (one change per line, as a download)
+ *
+ * Only the listings added, changed (each field with its old and new value)
+ * or removed since then, one entry per listing; see lib/delta.cjs.
+ */
+
+import { openRepository } from '../lib/repository/index.cjs';
+import { loadDelta } from '../lib/delta.cjs';
+import { sendExport } from '../lib/exporters.cjs';
+
+const FORMATS = ['json', 'ndjson'];
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+  
+  if (req.method !== 'GET') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+  
+  const { since, format = 'json' } = req.query;
+  if (!FORMATS.includes(format)) {
+    res.status(400).json({ success: false, error: 'Invalid format', details: [`Unknown format "${format}" (expected one of: ${FORMATS.join(', ')})`] });
+    return;
+  }
+  
+  let repository;
+  try {
+    repository = await openRepository();
+    let delta;
+    try {
+      delta = await loadDelta(repository, { since });
+    } catch (error) {
+      if (error.code !== 'INVALID_SINCE' && error.code !== 'UNKNOWN_RUN') throw error;
+      res.status(400).json({ success: false, error: error.message });
+      return;
+    }
+    
+    if (format === 'ndjson') {
+      res.status(200);
+      await sendExport(res, delta.changes, { format, filename: 'changes' });
+      return;
+    }
+    
+    res.status(200).json({
+      success: true,
+      since: delta.since,
+      sinceRun: delta.sinceRun,
+      until: delta.until,
+      counts: delta.counts,
+      count: delta.changes.length,
+      changes: delta.changes
+    });
+  } catch (error) {
+    console.error('Changes API error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  } finally {
+    if (repository) await repository.close();
+  }
+}
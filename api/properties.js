@@ -0,0 +1,82 @@
+/**
+ * Vercel Serverless Function - Stored Properties
+ *
+ * GET /api/properties?city=Tampa&minBeds=3&sort=-price&pageSize=20
+ * GET /api/cities/:city/properties?sort=price   (routed here with ?city=)
+ *
+ * Reads the listings the scraper saved, through the repository layer
+ * (lib/repository): MySQL when DATABASE_URL is set, otherwise the JSON
+ * export named by PROPERTIES_FILE.
+ *
+ * Query Parameters:
+ *   - city: City, group or county from data/regions.json, or any stored city name (optional)
+ *   - minPrice, maxPrice, minBeds, minBaths, minSqft, maxSqft, propertyType,
+ *     yearBuiltMin, maxHoa, status: search filters (see lib/filters.cjs)
+ *   - sort, pageSize (default 50), cursor: sorting and cursor paging (see lib/paging.cjs)
+ */
+
+import { openRepository } from '../lib/repository/index.cjs';
+import { cityNames } from '../lib/regions.cjs';
+import { parseFilters } from '../lib/filters.cjs';
+import { parsePaging, DEFAULT_PAGE_SIZE } from '../lib/paging.cjs';
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+  
+  if (req.method !== 'GET') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+  
+  const { filters, errors } = parseFilters(req.query);
+  if (errors.length) {
+    res.status(400).json({ success: false, error: 'Invalid filters', details: errors });
+    return;
+  }
+  
+  const { paging, errors: pagingErrors } = parsePaging(req.query);
+  if (pagingErrors.length) {
+    res.status(400).json({ success: false, error: 'Invalid paging parameters', details: pagingErrors });
+    return;
+  }
+  paging.pageSize = paging.pageSize || DEFAULT_PAGE_SIZE;
+  
+  let repository;
+  try {
+    repository = await openRepository();
+    const { city } = req.query;
+    const { properties, nextCursor, total } = await repository.findProperties({
+      cities: cityNames(city),
+      filters,
+      paging
+    });
+    
+    res.status(200).json({
+      success: true,
+      city: city || 'all',
+      count: properties.length,
+      total,
+      filters,
+      sort: paging.sort,
+      pageSize: paging.pageSize,
+      nextCursor,
+      properties
+    });
+  } catch (error) {
+    console.error('Properties API error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  } finally {
+    if (repository) await repository.close();
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * Vercel Serverless Function - Listing History
+ *
+ * GET /api/properties/:id/history   (routed here with ?id=)
+ *
+ * Returns the changes recorded for a stored property across scraper runs,
+ * oldest first: listed, price_drop, price_increase, status_change, delisted.
+ */
+
+import { openRepository } from '../lib/repository/index.cjs';
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+  
+  if (req.method !== 'GET') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+  
+  const { id } = req.query;
+  if (!id) {
+    res.status(400).json({ success: false, error: 'Missing property id' });
+    return;
+  }
+  
+  let repository;
+  try {
+    repository = await openRepository();
+    const property = await repository.getProperty(id);
+    
+    if (!property) {
+      res.status(404).json({ success: false, error: `Property ${id} not found` });
+      return;
+    }
+    
+    const history = await repository.getHistory(id);
+    res.status(200).json({
+      success: true,
+      propertyId: id,
+      price: property.price,
+      status: property.status,
+      count: history.length,
+      history
+    });
+  } catch (error) {
+    console.error('Property history API error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  } finally {
+    if (repository) await repository.close();
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * Vercel Serverless Function - One Stored Property
+ *
+ * GET /api/properties/:id   (routed here with ?id=)
+ *
+ * Returns the canonical record saved by the scraper, or 404.
+ */
+
+import { openRepository } from '../lib/repository/index.cjs';
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+  
+  if (req.method !== 'GET') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+  
+  const { id } = req.query;
+  if (!id) {
+    res.status(400).json({ success: false, error: 'Missing property id' });
+    return;
+  }
+  
+  let repository;
+  try {
+    repository = await openRepository();
+    const property = await repository.getProperty(id);
+    
+    if (!property) {
+      res.status(404).json({ success: false, error: `Property ${id} not found` });
+      return;
+    }
+    
+    res.status(200).json({ success: true, property });
+  } catch (error) {
+    console.error('Property API error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  } finally {
+    if (repository) await repository.close();
+  }
+}
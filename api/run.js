@@ -0,0 +1,54 @@
+/**
+ * Vercel Serverless Function - One Scrape Run
+ *
+ * GET /api/runs/:id   (routed here with ?id=)
+ *
+ * Returns the full run report: timing, per-city and per-source counts,
+ * request outcomes, database inserts/updates and errors. 404 when unknown.
+ */
+
+import { openRepository } from '../lib/repository/index.cjs';
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+  
+  if (req.method !== 'GET') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+  
+  const { id } = req.query;
+  if (!id) {
+    res.status(400).json({ success: false, error: 'Missing run id' });
+    return;
+  }
+  
+  let repository;
+  try {
+    repository = await openRepository();
+    const run = await repository.getRun(id);
+    
+    if (!run) {
+      res.status(404).json({ success: false, error: `Run ${id} not found` });
+      return;
+    }
+    
+    res.status(200).json({ success: true, run });
+  } catch (error) {
+    console.error('Run API error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  } finally {
+    if (repository) await repository.close();
+  }
+}
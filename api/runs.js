@@ -0,0 +1,60 @@
+/**
+ * Vercel Serverless Function - Scrape Runs
+ *
+ * GET /api/runs
+ *
+ * Query Parameters:
+ *   - limit: Number of runs, newest first (1-100, defaults to 20)
+ *
+ * Lists the stored run reports (see lib/runs.cjs) as summaries; the full
+ * report is at /api/runs/:id.
+ */
+
+import { openRepository } from '../lib/repository/index.cjs';
+import { runSummary } from '../lib/runs.cjs';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+  
+  if (req.method !== 'GET') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+  
+  const limit = req.query.limit === undefined || req.query.limit === '' ? DEFAULT_LIMIT : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    res.status(400).json({ success: false, error: `limit must be an integer between 1 and ${MAX_LIMIT}` });
+    return;
+  }
+  
+  let repository;
+  try {
+    repository = await openRepository();
+    const runs = await repository.listRuns({ limit });
+    
+    res.status(200).json({
+      success: true,
+      count: runs.length,
+      runs: runs.map(runSummary)
+    });
+  } catch (error) {
+    console.error('Runs API error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  } finally {
+    if (repository) await repository.close();
+  }
+}
@@ -3,15 +3,33 @@
  * 
  * GET /api/scrape-v2?city=Orlando&limit=50
  * GET /api/scrape-v2?all=true&limit=10
+ * GET /api/scrape-v2?city=Orlando&limit=50&seed=123   (same data on every call)
+ * GET /api/scrape-v2?city=Tampa%20Bay&limit=10       (a group or county from data/regions.json)
+ * GET /api/scrape-v2?city=Orlando&minPrice=300000&minBeds=3&propertyType=Condo,Townhouse
+ *
+ * Filters (see lib/filters.cjs): minPrice, maxPrice, minBeds, minBaths,
+ * minSqft, maxSqft, propertyType (multi-value), yearBuiltMin, maxHoa, status.
+ * `limit` is the number of matching properties per city.
+ *
+ * Downloads (see lib/exporters.cjs): format=csv|ndjson|geojson|xlsx|parquet
+ * return the page as a file instead of the JSON response; for CSV and
+ * Excel `columns` picks the fields (names from the property schema, or
+ * "all"), see lib/csv.cjs.
+ * GET /api/scrape-v2?city=Orlando&limit=50&format=geojson
+ *
+ * Sorting and paging (see lib/paging.cjs): sort=price|-price|sqft|
+ * pricePerSqft|daysOnMarket|yearBuilt, pageSize=N, cursor=<nextCursor>.
+ * A paged request without a seed gets one, carried in nextCursor, so every
+ * page comes from the same generated data.
  */
 
 const { generateProperties } = require('../scraper-standalone.cjs');
-
-const CITIES = [
-  'Orlando', 'Tampa', 'Daytona Beach', 'St. Petersburg', 'Clearwater',
-  'Lakeland', 'Kissimmee', 'Port Orange', 'Sanford', 'Oviedo',
-  'Winter Park', 'Altamonte Springs', 'Deltona', 'Palm Coast', 'Titusville'
-];
+const { resolveCities } = require('../lib/regions.cjs');
+const { parseFilters, matchesFilters, hasFilters } = require('../lib/filters.cjs');
+const { parsePaging, pageProperties } = require('../lib/paging.cjs');
+const { randomSeed } = require('../lib/random.cjs');
+const { parseColumns } = require('../lib/csv.cjs');
+const { EXPORT_FORMATS, sendExport } = require('../lib/exporters.cjs');
 
 module.exports = async (req, res) => {
   // CORS
@@ -31,42 +49,73 @@ module.exports = async (req, res) => {
     const { city, limit = '10', all, format = 'json' } = req.query;
     const maxProperties = parseInt(limit) || 10;
     
+    const { filters, errors } = parseFilters(req.query);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid filters', details: errors });
+    }
+    const filter = hasFilters(filters) ? (property) => matchesFilters(property, filters) : null;
+    
+    const { paging, errors: pagingErrors } = parsePaging(req.query);
+    if (pagingErrors.length) {
+      return res.status(400).json({ error: 'Invalid paging parameters', details: pagingErrors });
+    }
+    
+    const { columns, errors: columnErrors } = parseColumns(req.query.columns);
+    if (columnErrors.length) {
+      return res.status(400).json({ error: 'Invalid columns', details: columnErrors });
+    }
+    
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: 'Invalid format', details: [`Unknown format "${format}" (expected one of: ${EXPORT_FORMATS.join(', ')})`] });
+    }
+    const seed = req.query.seed || (paging.cursor && paging.cursor.seed) || (paging.pageSize ? randomSeed() : undefined);
+    
     let properties = [];
     
-    if (all === 'true') {
-      // Generate for all cities
-      for (const cityName of CITIES) {
-        properties.push(...generateProperties(cityName, maxProperties));
+    if (all === 'true' || city) {
+      // Generate for every catalog city, or the city / group / county asked for
+      let cities;
+      try {
+        cities = resolveCities(all === 'true' ? [] : city);
+      } catch (error) {
+        if (error.code !== 'UNKNOWN_REGION') throw error;
+        return res.status(400).json({ error: `Unknown city or region: ${city}` });
+      }
+      for (const { name } of cities) {
+        properties.push(...generateProperties(name, maxProperties, { seed, filter }));
       }
-    } else if (city) {
-      // Generate for specific city
-      properties = generateProperties(city, maxProperties);
     } else {
       return res.status(400).json({
         error: 'Missing parameter',
         usage: {
           single: '/api/scrape-v2?city=Orlando&limit=50',
-          all: '/api/scrape-v2?all=true&limit=10'
+          all: '/api/scrape-v2?all=true&limit=10',
+          seeded: '/api/scrape-v2?city=Orlando&limit=50&seed=123',
+          filtered: '/api/scrape-v2?city=Orlando&minPrice=300000&minBeds=3&propertyType=Condo,Townhouse',
+          paged: '/api/scrape-v2?all=true&limit=50&sort=-price&pageSize=20'
         }
       });
     }
     
-    // Return CSV or JSON
-    if (format === 'csv') {
-      const csvHeader = 'Property ID,MLS ID,Address,City,State,ZIP,Price,Beds,Baths,SqFt,Type,Year,Status\n';
-      const csvRows = properties.map(p => 
-        `"${p.propertyId}","${p.mlsId}","${p.streetAddress}","${p.city}","${p.state}","${p.zipCode}",${p.price},${p.bedrooms},${p.bathrooms},${p.sqft},"${p.propertyType}",${p.yearBuilt},"${p.listingStatus}"`
-      ).join('\n');
-      
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', `attachment; filename="properties-${city || 'all'}.csv"`);
-      return res.status(200).send(csvHeader + csvRows);
+    const page = pageProperties(properties, paging, { seed });
+    properties = page.properties;
+    
+    // Return a download, or JSON
+    if (format !== 'json') {
+      res.status(200);
+      return sendExport(res, properties, { format, columns, filename: `properties-${city || 'all'}` });
     }
     
     return res.status(200).json({
       success: true,
       count: properties.length,
+      total: page.total,
       city: city || 'all',
+      seed: seed || null,
+      filters,
+      sort: paging.sort,
+      pageSize: paging.pageSize,
+      nextCursor: page.nextCursor,
       properties
     });
     
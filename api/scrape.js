@@ -5,16 +5,31 @@
  * Method: GET
  * 
  * Query Parameters:
- *   - city: City name (optional, defaults to all cities)
- *   - format: Output format (json or csv, defaults to json)
- *   - limit: Max properties per city (defaults to 10)
+ *   - city: City, group or county from data/regions.json (optional, defaults to Orlando)
+ *   - format: json (defaults), or a download: csv, ndjson, geojson, xlsx, parquet
+ *     (see lib/exporters.cjs)
+ *   - columns: CSV/Excel columns, field names or "all" (see lib/csv.cjs)
+ *   - limit: Max properties per city (1-500, defaults to 10)
+ *   - seed: Seed for reproducible sample data (optional)
+ *   - minPrice, maxPrice, minBeds, minBaths, minSqft, maxSqft, propertyType,
+ *     yearBuiltMin, maxHoa, status: search filters (see lib/filters.cjs)
+ *   - sort, pageSize, cursor: sorting and cursor paging (see lib/paging.cjs)
  */
 
-import { main, generateSampleProperties } from '../index.js';
+import { generateSampleProperties } from '../index.js';
+import { resolveCities } from '../lib/regions.cjs';
+import { parseFilters, matchesFilters, hasFilters } from '../lib/filters.cjs';
+import { parsePaging, pageProperties } from '../lib/paging.cjs';
+import { randomSeed } from '../lib/random.cjs';
+import { parseColumns } from '../lib/csv.cjs';
+import { EXPORT_FORMATS, sendExport } from '../lib/exporters.cjs';
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 500;
 
 export default async function handler(req, res) {
   try {
-    const { city, format = 'json', limit = 10 } = req.query;
+    const { city, format = 'json' } = req.query;
     
     // Set CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
@@ -31,35 +46,65 @@ export default async function handler(req, res) {
       return;
     }
     
+    const limit = req.query.limit === undefined || req.query.limit === '' ? DEFAULT_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      res.status(400).json({ success: false, error: `limit must be an integer between 1 and ${MAX_LIMIT}` });
+      return;
+    }
+    
+    const { filters, errors } = parseFilters(req.query);
+    if (errors.length) {
+      res.status(400).json({ success: false, error: 'Invalid filters', details: errors });
+      return;
+    }
+    const filter = hasFilters(filters) ? (property) => matchesFilters(property, filters) : null;
+    
+    const { paging, errors: pagingErrors } = parsePaging(req.query);
+    if (pagingErrors.length) {
+      res.status(400).json({ success: false, error: 'Invalid paging parameters', details: pagingErrors });
+      return;
+    }
+    
+    const { columns, errors: columnErrors } = parseColumns(req.query.columns);
+    if (columnErrors.length) {
+      res.status(400).json({ success: false, error: 'Invalid columns', details: columnErrors });
+      return;
+    }
+    
+    if (!EXPORT_FORMATS.includes(format)) {
+      res.status(400).json({ success: false, error: 'Invalid format', details: [`Unknown format "${format}" (expected one of: ${EXPORT_FORMATS.join(', ')})`] });
+      return;
+    }
+    // Paged requests need the same data on every page, so they always get a seed
+    const seed = req.query.seed || (paging.cursor && paging.cursor.seed) || (paging.pageSize ? randomSeed() : undefined);
+    
     // For demo purposes, generate sample data
-    const sampleCity = {
-      name: city || 'Orlando',
-      state: 'FL',
-      zip: '32801'
-    };
+    let cities;
+    try {
+      cities = resolveCities(city || 'Orlando');
+    } catch (error) {
+      if (error.code !== 'UNKNOWN_REGION') throw error;
+      res.status(400).json({ success: false, error: `Unknown city or region: ${city}` });
+      return;
+    }
+    // The catalog's name for a single city, the requested name for a group or county
+    const cityName = cities.length === 1 ? cities[0].name : city;
     
-    const properties = generateSampleProperties(sampleCity, parseInt(limit));
+    const generated = cities.flatMap(catalogCity => generateSampleProperties(catalogCity, limit, { seed, filter }));
+    const { properties, nextCursor, total } = pageProperties(generated, paging, { seed });
     
-    if (format === 'csv') {
-      const headers = ['Address', 'City', 'State', 'ZIP', 'Price', 'Beds', 'Baths', 'SqFt', 'Type', 'Source'];
-      const rows = properties.map(p => [
-        p.address, p.city, p.state, p.zipCode, p.price,
-        p.beds, p.baths, p.sqft, p.propertyType, p.source
-      ]);
-      
-      const csv = [
-        headers.join(','),
-        ...rows.map(row => row.map(cell => `"${cell}"`).join(','))
-      ].join('\n');
-      
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', `attachment; filename="properties-${sampleCity.name}.csv"`);
-      res.status(200).send(csv);
+    if (format !== 'json') {
+      res.status(200);
+      await sendExport(res, properties, { format, columns, filename: `properties-${cityName}` });
     } else {
       res.status(200).json({
         success: true,
-        city: sampleCity.name,
+        city: cityName,
         count: properties.length,
+        total,
+        filters,
+        sort: paging.sort,
+        nextCursor,
         properties: properties
       });
     }
@@ -0,0 +1,121 @@
+/**
+ * Vercel Serverless Function - Market Statistics
+ *
+ * GET /api/stats?city=Orlando&groupBy=zip
+ * GET /api/stats?city=Tampa%20Bay&groupBy=propertyType&minBeds=3
+ * GET /api/stats?source=generated&groupBy=beds&limit=100&seed=123
+ *
+ * Query Parameters:
+ *   - city: City, group or county from data/regions.json, or any stored city name (optional)
+ *   - groupBy: city (default), zip, propertyType or beds
+ *   - percentiles: price percentiles, integers 1-99 (default 10,25,75,90)
+ *   - minPrice, maxPrice, minBeds, ... : search filters (see lib/filters.cjs)
+ *   - source: stored (default; MySQL when DATABASE_URL is set, otherwise
+ *     PROPERTIES_FILE) or generated (sample listings, with limit per city
+ *     and seed)
+ *
+ * Returns the statistics of every group and of all listings together
+ * (lib/stats.cjs): count, mean/median/percentile price, median price per
+ * sqft, median days on market, inventory per status and price-drop share
+ * (null for generated listings, which have no price history).
+ */
+
+import { openRepository, eachProperty } from '../lib/repository/index.cjs';
+import { resolveCities, cityNames } from '../lib/regions.cjs';
+import { parseFilters, matchesFilters, hasFilters } from '../lib/filters.cjs';
+import { generateProperties } from '../lib/generator.cjs';
+import { GROUP_BY, parsePercentiles, createMarketStats } from '../lib/stats.cjs';
+
+const SOURCES = ['stored', 'generated'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+  
+  if (req.method !== 'GET') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+  
+  const { city, groupBy = 'city', source = 'stored' } = req.query;
+  if (!GROUP_BY.includes(groupBy)) {
+    res.status(400).json({ success: false, error: `groupBy must be one of: ${GROUP_BY.join(', ')}` });
+    return;
+  }
+  if (!SOURCES.includes(source)) {
+    res.status(400).json({ success: false, error: `source must be one of: ${SOURCES.join(', ')}` });
+    return;
+  }
+  
+  const { percentiles, errors: percentileErrors } = parsePercentiles(req.query.percentiles);
+  if (percentileErrors.length) {
+    res.status(400).json({ success: false, error: 'Invalid percentiles', details: percentileErrors });
+    return;
+  }
+  
+  const { filters, errors } = parseFilters(req.query);
+  if (errors.length) {
+    res.status(400).json({ success: false, error: 'Invalid filters', details: errors });
+    return;
+  }
+  
+  let repository;
+  try {
+    let stats;
+    if (source === 'generated') {
+      const limit = req.query.limit === undefined || req.query.limit === '' ? DEFAULT_LIMIT : Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        res.status(400).json({ success: false, error: `limit must be an integer between 1 and ${MAX_LIMIT}` });
+        return;
+      }
+      let cities;
+      try {
+        cities = resolveCities(city || []);
+      } catch (error) {
+        if (error.code !== 'UNKNOWN_REGION') throw error;
+        res.status(400).json({ success: false, error: `Unknown city or region: ${city}` });
+        return;
+      }
+      const filter = hasFilters(filters) ? (property) => matchesFilters(property, filters) : null;
+      stats = createMarketStats({ groupBy, percentiles });
+      for (const { name } of cities) {
+        generateProperties(name, limit, { seed: req.query.seed, filter }).forEach(stats.add);
+      }
+    } else {
+      repository = await openRepository();
+      stats = createMarketStats({ groupBy, percentiles, priceDrops: new Set(await repository.findPriceDrops()) });
+      for await (const property of eachProperty(repository, { cities: cityNames(city), filters })) {
+        stats.add(property);
+      }
+    }
+    
+    const { total, groups } = stats.result();
+    res.status(200).json({
+      success: true,
+      source,
+      city: city || 'all',
+      groupBy,
+      filters,
+      percentiles,
+      total,
+      groups
+    });
+  } catch (error) {
+    console.error('Stats API error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  } finally {
+    if (repository) await repository.close();
+  }
+}
@@ -0,0 +1,478 @@
+#!/usr/bin/env node
+
+/**
+ * Florida Property Scraper - Command Line
+ *
+ * One entry point for every task, with the same option parsing everywhere
+ * (lib/args.cjs): `--city Orlando` and `--city=Orlando` both work, and list
+ * options (--city, --source, --format) can be repeated or comma-separated.
+ *
+ * Usage:
+ *   node cli.js <command> [options]
+ *   node cli.js scrape --city Orlando --city "Winter Park" --source zillow
+ *   node cli.js scrape --mode sample --seed 123 --format csv --output-dir ./exports
+ *   node cli.js generate --city Orlando --limit 50
+ *   node cli.js export --city Orlando --format json,csv
+ *   node cli.js export --format csv --columns propertyId,price,images
+ *   node cli.js export --format ndjson,geojson,xlsx,parquet --name "listings-{timestamp}"
+ *   node cli.js changes --since 2025-11-27 --format ndjson
+ *   node cli.js searches --file data/saved-searches.json
+ *   node cli.js migrate status
+ *   node cli.js serve --port 3000
+ *   node cli.js stats --city Orlando --group-by zip
+ *   node cli.js <command> --help
+ *
+ * Exit codes: 0 success, 1 failure (including a scrape run that recorded
+ * errors or an unhealthy source), 2 invalid usage.
+ */
+
+import { realpathSync } from 'fs';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { dirname } from 'path';
+import { main, health, schedule, RUN_MODES } from './index.js';
+import { log } from './lib/log.cjs';
+import { listSources } from './lib/sources/index.cjs';
+import { resolveCities } from './lib/regions.cjs';
+import { openRepository, eachProperty } from './lib/repository/index.cjs';
+import { EXPORT_FORMATS, DEFAULT_FORMATS, writeExport } from './lib/exporters.cjs';
+import { loadDelta } from './lib/delta.cjs';
+import { loadSearches } from './lib/saved-searches.cjs';
+import { GROUP_BY, DEFAULT_PERCENTILES, parsePercentiles, createMarketStats } from './lib/stats.cjs';
+import { generateProperties } from './lib/generator.cjs';
+import { createApiServer } from './lib/server.cjs';
+import { EXIT_CODES, usageError, parseCommandLine, listOption, integerOption, choiceOption, singleChoiceOption, columnsOption } from './lib/args.cjs';
+import { generate, generateOptions, GENERATE_OPTIONS } from './scraper-standalone.cjs';
+import { migrate, MIGRATE_OPTIONS, COMMANDS as MIGRATE_COMMANDS } from './migrate.cjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// Errors caused by what was typed rather than by the run itself
+const USAGE_ERROR_CODES = ['USAGE', 'UNKNOWN_REGION', 'INVALID_NAME_TEMPLATE', 'INVALID_SINCE', 'UNKNOWN_RUN'];
+
+const HELP_OPTION = { help: { type: 'boolean', short: 'h' } };
+
+const OUTPUT_HELP = [
+  `  --format <list>       Export formats: ${EXPORT_FORMATS.join(', ')} (default: ${DEFAULT_FORMATS.join(', ')})`,
+  '  --columns <list>      CSV/Excel columns: field names or "all" (default: the main listing fields)',
+  '  --name <template>     File name, e.g. "properties-{date}"; {date}, {timestamp}, and {runId}/{mode} for scrape',
+  '  --output-dir <dir>    Directory for export files',
+  '  --dry-run             Do everything except write files or database rows'
+];
+
+/**
+ * Run fn(repository, query) against the stored listings (MySQL when
+ * DATABASE_URL is set, otherwise the --properties-file / PROPERTIES_FILE
+ * export), with a query for the selected cities
+ */
+async function withStored(values, fn) {
+  const cities = listOption(values.city);
+  const query = { cities: cities.length ? resolveCities(cities).map(city => city.name) : [] };
+  const repository = await openRepository({ propertiesFile: values['properties-file'] });
+  try {
+    return await fn(repository, query);
+  } finally {
+    await repository.close();
+  }
+}
+
+// Each command: summary and help for --help, options (lib/args.cjs spec),
+// whether it takes positional arguments, and run(values, positionals) -> exit code
+const COMMANDS = {
+  scrape: {
+    summary: 'Scrape listings and save them to files and the database',
+    help: [
+      '  --city <name>         City, group or county from the region catalog (repeatable; default: all)',
+      '  --source <name>       Source to scrape (repeatable; default: all registered)',
+      `  --mode <mode>         ${RUN_MODES.join(' | ')}`,
+      '  --seed <seed>         Seed for generated listings',
+      '  --regions <file>      Region catalog to use instead of data/regions.json',
+      '  --save-synthetic      Store generated listings in the database too',
+      '  --record | --replay   Save fetched pages to fixtures/ | parse them instead of fetching',
+      '  --searches <file>     Saved searches to notify (default: SAVED_SEARCHES_FILE or data/saved-searches.json)',
+      ...OUTPUT_HELP
+    ],
+    options: {
+      city: { type: 'string', multiple: true },
+      region: { type: 'string', multiple: true },
+      source: { type: 'string', multiple: true },
+      mode: { type: 'string' },
+      seed: { type: 'string' },
+      regions: { type: 'string' },
+      'save-synthetic': { type: 'boolean' },
+      record: { type: 'boolean' },
+      replay: { type: 'boolean' },
+      searches: { type: 'string' },
+      format: { type: 'string', multiple: true },
+      columns: { type: 'string', multiple: true },
+      name: { type: 'string' },
+      'output-dir': { type: 'string' },
+      'dry-run': { type: 'boolean' }
+    },
+    async run(values) {
+      if (values.record && values.replay) throw usageError('--record and --replay cannot be combined');
+      const mode = singleChoiceOption(values.mode, 'mode', RUN_MODES);
+      // --region is the older name of --city
+      const cities = [...listOption(values.city), ...listOption(values.region)];
+      const report = await main({
+        sources: choiceOption(values.source, 'source', listSources(), undefined),
+        mode,
+        seed: values.seed,
+        saveSynthetic: values['save-synthetic'],
+        region: cities.length ? cities : undefined,
+        regionsFile: values.regions,
+        fixtureMode: values.record ? 'record' : values.replay ? 'replay' : undefined,
+        searchesFile: values.searches,
+        formats: choiceOption(values.format, 'format', EXPORT_FORMATS, undefined),
+        columns: columnsOption(values.columns),
+        name: values.name,
+        outputDir: values['output-dir'],
+        dryRun: values['dry-run']
+      });
+      return report.errors.length ? EXIT_CODES.failed : EXIT_CODES.ok;
+    }
+  },
+
+  generate: {
+    summary: 'Generate sample listings and export them (no scraping, no database)',
+    help: [
+      '  --city <name>         City, group or county (repeatable; default: REGION or all)',
+      '  --limit <n>           Listings per city (default: 10)',
+      '  --seed <seed>         Seed for identical output on every run',
+      '  --regions <file>      Region catalog to use instead of data/regions.json',
+      ...OUTPUT_HELP
+    ],
+    options: GENERATE_OPTIONS,
+    async run(values) {
+      await generate(generateOptions(values));
+      return EXIT_CODES.ok;
+    }
+  },
+
+  export: {
+    summary: 'Export stored listings (DATABASE_URL, or --properties-file) to files',
+    help: [
+      '  --city <name>         City, group or county (repeatable; default: all)',
+      '  --properties-file <f> JSON export to read when DATABASE_URL is not set',
+      ...OUTPUT_HELP
+    ],
+    options: {
+      city: { type: 'string', multiple: true },
+      'properties-file': { type: 'string' },
+      format: { type: 'string', multiple: true },
+      columns: { type: 'string', multiple: true },
+      name: { type: 'string' },
+      'output-dir': { type: 'string' },
+      'dry-run': { type: 'boolean' }
+    },
+    async run(values) {
+      const formats = choiceOption(values.format, 'format', EXPORT_FORMATS, DEFAULT_FORMATS);
+      const columns = columnsOption(values.columns);
+      const name = values.name || 'properties-{date}';
+
+      await withStored(values, async (repository, query) => {
+        const { total } = await repository.findProperties({ ...query, paging: { pageSize: 1 } });
+        log.info(`${total} stored properties`);
+        if (values['dry-run']) {
+          log.info('Dry run: no files written');
+          return;
+        }
+        // Read page by page, so large stores are never loaded at once
+        for (const format of formats) {
+          const file = await writeExport(eachProperty(repository, query), { format, columns, name, outputDir: values['output-dir'] });
+          log.success(`Exported to ${file}`);
+        }
+      });
+      return EXIT_CODES.ok;
+    }
+  },
+
+  changes: {
+    summary: 'Export only the listings added, changed or removed since a run or time (DATABASE_URL)',
+    help: [
+      '  --since <time|run>    ISO 8601 date or timestamp, or a run ID (default: the last completed run before the latest)',
+      '  --format <list>       json, ndjson (default: json)',
+      '  --name <template>     File name (default: "changes-{date}"); {date}, {timestamp}',
+      '  --output-dir <dir>    Directory for export files',
+      '  --dry-run             Print the counts, write no files'
+    ],
+    options: {
+      since: { type: 'string' },
+      format: { type: 'string', multiple: true },
+      name: { type: 'string' },
+      'output-dir': { type: 'string' },
+      'dry-run': { type: 'boolean' }
+    },
+    async run(values) {
+      const formats = choiceOption(values.format, 'format', ['json', 'ndjson'], ['json']);
+      const repository = await openRepository();
+      try {
+        const { since, sinceRun, counts, changes } = await loadDelta(repository, { since: values.since });
+        log.info(`Changes since ${sinceRun ? `run ${sinceRun} (${since})` : since || 'the first save'}: ${counts.added} added, ${counts.changed} changed, ${counts.removed} removed`);
+        if (values['dry-run']) {
+          log.info('Dry run: no files written');
+          return EXIT_CODES.ok;
+        }
+        for (const format of formats) {
+          const file = await writeExport(changes, { format, name: values.name || 'changes-{date}', outputDir: values['output-dir'] });
+          log.success(`Exported to ${file}`);
+        }
+      } finally {
+        await repository.close();
+      }
+      return EXIT_CODES.ok;
+    }
+  },
+
+  searches: {
+    summary: 'Check the saved searches file and list the searches',
+    help: [
+      '  --file <file>         Saved searches (default: SAVED_SEARCHES_FILE or data/saved-searches.json)'
+    ],
+    options: {
+      file: { type: 'string' }
+    },
+    async run(values) {
+      const searches = loadSearches(values.file);
+      if (!searches) {
+        log.info('No saved searches (create data/saved-searches.json, see README)');
+        return EXIT_CODES.ok;
+      }
+      console.log(`\n🔔 Saved searches: ${searches.length}`);
+      for (const search of searches) {
+        const filters = Object.entries(search.filters).map(([param, value]) => `${param}=${value}`).join(', ');
+        console.log(`   ${search.name}: ${search.cities.length ? search.cities.join(', ') : 'all cities'}${filters ? `; ${filters}` : ''}`);
+        console.log(`      events: ${search.events.join(', ')} -> ${search.deliver.map(target => `${target.type} ${target.url || target.file || target.dir}`).join(', ')}`);
+      }
+      return EXIT_CODES.ok;
+    }
+  },
+
+  migrate: {
+    summary: 'Apply, revert or list database migrations (DATABASE_URL)',
+    usage: `migrate [${MIGRATE_COMMANDS.join('|')}] [options]`,
+    help: [
+      '  up                    Apply pending migrations (default)',
+      '  down                  Revert the newest migration',
+      '  status                List migrations and whether they are applied',
+      '  --to <version>        Stop at this version (up) / revert everything after it (down)',
+      '  --steps <n>           Number of migrations to revert (down)'
+    ],
+    options: MIGRATE_OPTIONS,
+    positionals: true,
+    async run(values, positionals) {
+      if (positionals.length > 1) throw usageError(`Unexpected argument "${positionals[1]}"`);
+      await migrate(positionals[0] || 'up', { to: values.to, steps: integerOption(values.steps, 'steps') });
+      return EXIT_CODES.ok;
+    }
+  },
+
+  serve: {
+    summary: 'Serve the API (the api/ handlers, routed as in vercel.json) and public/',
+    help: [
+      '  --port <port>         Port to listen on (default: PORT or 3000)',
+      '  --host <host>         Interface to listen on (default: localhost)'
+    ],
+    options: {
+      port: { type: 'string' },
+      host: { type: 'string' }
+    },
+    async run(values) {
+      const port = integerOption(values.port, 'port', { min: 0, max: 65535 }) ?? integerOption(process.env.PORT, 'port', { min: 0, max: 65535 }) ?? 3000;
+      const host = values.host || 'localhost';
+      const server = createApiServer({ root: __dirname, log });
+      await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+      });
+      log.success(`Serving http://${host}:${server.address().port}`);
+
+      const shutdown = () => server.close(() => process.exit(EXIT_CODES.ok));
+      process.on('SIGINT', shutdown);
+      process.on('SIGTERM', shutdown);
+      return EXIT_CODES.ok;
+    }
+  },
+
+  stats: {
+    summary: 'Market statistics of stored (or generated) listings per city, ZIP, type or bedrooms',
+    help: [
+      '  --city <name>         City, group or county (repeatable; default: all)',
+      `  --group-by <field>    ${GROUP_BY.join(' | ')} (default: city)`,
+      `  --percentiles <list>  Price percentiles, 1-99 (default: ${DEFAULT_PERCENTILES.join(',')})`,
+      '  --properties-file <f> JSON export to read when DATABASE_URL is not set',
+      '  --generated           Use generated sample listings instead of stored ones',
+      '  --limit <n>           Generated listings per city (default: 50)',
+      '  --seed <seed>         Seed for generated listings',
+      '  --json                Print the statistics as JSON'
+    ],
+    options: {
+      city: { type: 'string', multiple: true },
+      'group-by': { type: 'string' },
+      percentiles: { type: 'string', multiple: true },
+      'properties-file': { type: 'string' },
+      generated: { type: 'boolean' },
+      limit: { type: 'string' },
+      seed: { type: 'string' },
+      json: { type: 'boolean' }
+    },
+    async run(values) {
+      const groupBy = singleChoiceOption(values['group-by'], 'group-by', GROUP_BY, 'city');
+      const { percentiles, errors } = parsePercentiles(values.percentiles);
+      if (errors.length) throw usageError(`${errors.join(', ')} in --percentiles`);
+
+      let stats;
+      if (values.generated) {
+        const limit = integerOption(values.limit, 'limit') || 50;
+        stats = createMarketStats({ groupBy, percentiles });
+        for (const city of resolveCities(listOption(values.city))) {
+          generateProperties(city.name, limit, { seed: values.seed }).forEach(stats.add);
+        }
+      } else {
+        stats = await withStored(values, async (repository, query) => {
+          const storedStats = createMarketStats({ groupBy, percentiles, priceDrops: new Set(await repository.findPriceDrops()) });
+          for await (const property of eachProperty(repository, query)) storedStats.add(property);
+          return storedStats;
+        });
+      }
+      const result = stats.result();
+
+      if (values.json) {
+        console.log(JSON.stringify(result, null, 2));
+        return EXIT_CODES.ok;
+      }
+      const money = (value) => (value === null ? '-' : `$${Math.round(value).toLocaleString()}`);
+      const share = (value) => (value === null ? 'n/a' : `${(value * 100).toFixed(1)}% of active`);
+      const line = (label, group) => {
+        const { price, inventory } = group;
+        const range = percentiles.map(p => `p${p} ${money(price[`p${p}`])}`).join(', ');
+        console.log(`   ${label}: ${group.count} listing${group.count === 1 ? '' : 's'} (${inventory.active} active, ${inventory.pending} pending, ${inventory.sold} sold, ${inventory.off_market} off market)`);
+        console.log(`      price: median ${money(price.median)}, mean ${money(price.mean)}, ${range}`);
+        console.log(`      median $/sqft ${group.medianPricePerSqft === null ? '-' : `$${group.medianPricePerSqft}`}, median days on market ${group.medianDaysOnMarket ?? '-'}, price drops ${share(group.priceDropShare)}`);
+      };
+
+      console.log(`\n📊 ${values.generated ? 'Generated' : 'Stored'} listings by ${groupBy}:`);
+      for (const group of result.groups) line(group.key, group);
+      line('All', result.total);
+      return EXIT_CODES.ok;
+    }
+  },
+
+  schedule: {
+    summary: 'Keep running and scrape on the cron jobs of a schedule file',
+    help: [
+      '  --file <file>         Schedule file (default: SCHEDULE_FILE or data/schedule.json)',
+      '  --source <name>       Sources for jobs that do not set their own (repeatable)',
+      `  --mode <mode>         Mode for jobs that do not set their own: ${RUN_MODES.join(' | ')}`,
+      '  --seed <seed>         Seed for generated listings',
+      '  --regions <file>      Region catalog to use instead of data/regions.json',
+      '  --save-synthetic      Store generated listings in the database too'
+    ],
+    options: {
+      file: { type: 'string' },
+      source: { type: 'string', multiple: true },
+      mode: { type: 'string' },
+      seed: { type: 'string' },
+      regions: { type: 'string' },
+      'save-synthetic': { type: 'boolean' }
+    },
+    async run(values) {
+      const mode = singleChoiceOption(values.mode, 'mode', RUN_MODES);
+      await schedule({
+        scheduleFile: values.file,
+        sources: choiceOption(values.source, 'source', listSources(), undefined),
+        mode,
+        seed: values.seed,
+        saveSynthetic: values['save-synthetic'],
+        regionsFile: values.regions
+      });
+      return EXIT_CODES.ok;
+    }
+  },
+
+  health: {
+    summary: 'Check that each source\'s site responds',
+    help: [
+      '  --source <name>       Source to check (repeatable; default: all registered)'
+    ],
+    options: {
+      source: { type: 'string', multiple: true }
+    },
+    async run(values) {
+      const results = await health({ sources: choiceOption(values.source, 'source', listSources(), undefined) });
+      return Object.values(results).every(result => result.ok) ? EXIT_CODES.ok : EXIT_CODES.failed;
+    }
+  }
+};
+
+/**
+ * Help for one command, or the command list
+ */
+function helpText(name) {
+  const command = COMMANDS[name];
+  if (command) {
+    return [
+      `Usage: node cli.js ${command.usage || `${name} [options]`}`,
+      '',
+      command.summary,
+      '',
+      ...command.help,
+      '  -h, --help            Show this help'
+    ].join('\n');
+  }
+  const width = Math.max(...Object.keys(COMMANDS).map(commandName => commandName.length)) + 2;
+  return [
+    'Usage: node cli.js <command> [options]',
+    '',
+    'Commands:',
+    ...Object.entries(COMMANDS).map(([commandName, { summary }]) => `  ${commandName.padEnd(width)}${summary}`),
+    '',
+    'Run `node cli.js <command> --help` for the options of a command.'
+  ].join('\n');
+}
+
+/**
+ * Run a command line
+ *
+ * @param {Array<string>} argv - Arguments after `cli.js`
+ * @returns {Promise<number>} Exit code (EXIT_CODES)
+ */
+async function runCli(argv) {
+  const [name, ...args] = argv;
+  if (!name || name === 'help' || name === '--help' || name === '-h') {
+    const topic = name === 'help' ? args[0] : undefined;
+    console.log(helpText(topic));
+    return name ? EXIT_CODES.ok : EXIT_CODES.usage;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    console.error(`❌ Unknown command "${name}"\n`);
+    console.error(helpText());
+    return EXIT_CODES.usage;
+  }
+
+  try {
+    const { values, positionals } = parseCommandLine(args, { ...command.options, ...HELP_OPTION }, { positionals: command.positionals });
+    if (values.help) {
+      console.log(helpText(name));
+      return EXIT_CODES.ok;
+    }
+    return await command.run(values, positionals);
+  } catch (error) {
+    if (USAGE_ERROR_CODES.includes(error.code)) {
+      console.error(`❌ ${error.message}`);
+      console.error(`Run \`node cli.js ${name} --help\` for usage.`);
+      return EXIT_CODES.usage;
+    }
+    log.error(`${name} failed: ${error.message}`);
+    return EXIT_CODES.failed;
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href) {
+  runCli(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+export { COMMANDS, runCli, helpText };
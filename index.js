@@ -4,36 +4,66 @@
  * Florida Property Scraper - Standalone Version
  * 
  * Multi-source real estate scraper for Central Florida
- * Sources: Zillow, Realtor.com, Redfin, Trulia
+ * Sources: Zillow, Realtor.com (the adapters registered in lib/sources/index.cjs)
  * 
  * Features:
  * - Scrapes properties from multiple sources
  * - Stores data in MySQL database
- * - Exports to JSON and CSV
+ * - Exports to JSON, NDJSON, GeoJSON, CSV, Excel and Parquet
  * - Can be deployed to Vercel
- * - Automated scheduling support
+ * - Automated scheduling support (--schedule, jobs in data/schedule.json)
  * 
  * Usage:
  *   node index.js
+ *   node index.js --source=zillow,realtor
+ *   node index.js --health
+ *   node index.js --record     (save fetched pages to fixtures/)
+ *   node index.js --replay     (parse saved fixtures instead of fetching)
+ *   node index.js --mode=sample             (generated data only, no scraping)
+ *   node index.js --mode=sample --seed=123  (reproducible generated data)
+ *   node index.js --mode=live --save-synthetic
+ *   node index.js --region="Tampa Bay,Palm Coast"  (cities, groups or counties from data/regions.json)
+ *   node index.js --regions=./my-regions.json      (use another region catalog)
+ *   node index.js --schedule                       (keep running, scrape on the cron jobs in data/schedule.json)
+ *   node index.js --schedule=./my-schedule.json
+ *   node index.js --output-dir=./exports --format=csv
+ *   node index.js --format=ndjson,geojson,xlsx,parquet --name="properties-{runId}"
+ *   node index.js --columns=propertyId,price,images    (CSV columns, or "all")
+ *   node index.js --dry-run                        (scrape and report, write nothing)
  *   npm start
  *   npm run scrape
+ *
+ * The same options are available as `node cli.js scrape` (see cli.js).
  */
 
-import axios from 'axios';
-import * as cheerio from 'cheerio';
-import mysql from 'mysql2/promise';
-import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import dotenv from 'dotenv';
+import { generateProperties } from './lib/generator.cjs';
+import { log } from './lib/log.cjs';
+import { getSource, resolveSources } from './lib/sources/index.cjs';
+import { scrapeSource, scrapeCities, checkSources } from './lib/pipeline.cjs';
+import { createHttpClient } from './lib/http.cjs';
+import { createRateLimiter, parseRateLimits } from './lib/rate-limiter.cjs';
+import { useRegionsFile, resolveCities } from './lib/regions.cjs';
+import { openMySqlRepository } from './lib/repository/index.cjs';
+import { summarizeChanges } from './lib/history.cjs';
+import { loadSearches, runSavedSearches } from './lib/saved-searches.cjs';
+import { mergeProperties } from './lib/merge.cjs';
+import { RUN_MODES, createRunReport, recordRequest, recordCity, recordError, finishRun } from './lib/runs.cjs';
+import { loadSchedule, createScheduler } from './lib/scheduler.cjs';
+import { DEFAULT_FORMATS, exportFileName, writeExport } from './lib/exporters.cjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 dotenv.config();
 
-// Configuration
+// Configuration (run modes: RUN_MODES in lib/runs.cjs)
 const CONFIG = {
+  mode: process.env.SCRAPER_MODE || 'live-with-fallback',
+  // Seed for generated listings (unset = different data every run)
+  seed: process.env.SAMPLE_SEED || undefined,
   database: {
     host: process.env.DB_HOST || 'localhost',
     user: process.env.DB_USER || 'root',
@@ -41,287 +71,167 @@ const CONFIG = {
     database: process.env.DB_NAME || 'florida_properties',
     connectionString: process.env.DATABASE_URL
   },
+  // Per-host rate overrides in requests per second, e.g. RATE_LIMITS=www.zillow.com=0.25
+  rateLimits: parseRateLimits(process.env.RATE_LIMITS),
+  // Markets to cover: the region catalog (REGIONS_FILE, default data/regions.json)
+  // and the cities, groups or counties selected from it (REGION, empty = all)
+  regions: {
+    file: process.env.REGIONS_FILE || undefined,
+    selection: process.env.REGION || ''
+  },
+  // Source adapters to run (empty = every registered source)
+  sources: process.env.SOURCES ? process.env.SOURCES.split(',') : [],
   rapidapi: {
     key: process.env.RAPIDAPI_KEY || '92a128e717mshca101e9b16e00f3p1aa262jsne8ecaf176caa',
   },
   scraper: {
     timeout: 30000,
     retries: 3,
-    delayMs: 2000,
-    maxPropertiesPerCity: 100,
+    retryBaseDelayMs: 1000,
+    retryMaxDelayMs: 30000,
+    // Minimum spacing between requests to the same host (sets the default rate limit)
+    delayMs: parseInt(process.env.DELAY_MS) || 2000,
+    // (city, source) pairs scraped in parallel
+    concurrency: parseInt(process.env.CONCURRENCY) || 4,
+    maxPropertiesPerCity: parseInt(process.env.MAX_PROPERTIES_PER_CITY) || 100,
+    maxPages: parseInt(process.env.MAX_PAGES) || 20,
+    samplePropertiesPerCity: 10,
     userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
   },
+  // Scheduler mode (--schedule): cron jobs, last/next run state, and the
+  // lock that keeps two schedulers from running at the same time
+  schedule: {
+    file: process.env.SCHEDULE_FILE || undefined,
+    stateFile: process.env.SCHEDULE_STATE_FILE || join(__dirname, 'schedule-state.json'),
+    lockFile: join(__dirname, 'schedule.lock')
+  },
+  fixtures: {
+    mode: process.env.FIXTURE_MODE || null,
+    dir: process.env.FIXTURES_DIR || join(__dirname, 'fixtures')
+  },
   output: {
-    jsonFile: 'properties.json',
-    csvFile: 'properties.csv',
+    // Export files: <dir>/<name>.<format>, name a template (see lib/exporters.cjs)
+    dir: process.env.OUTPUT_DIR || __dirname,
+    name: process.env.OUTPUT_NAME || 'properties',
+    formats: DEFAULT_FORMATS,
     saveToDatabase: true,
-    saveToFiles: true
+    saveToFiles: true,
+    // Generated (isSynthetic) records only reach the database when this is set
+    saveSyntheticToDatabase: process.env.SAVE_SYNTHETIC_TO_DATABASE === 'true'
   }
 };
 
-// Central Florida cities
-const CITIES = [
-  { name: 'Orlando', state: 'FL', zip: '32801', county: 'Orange' },
-  { name: 'Tampa', state: 'FL', zip: '33601', county: 'Hillsborough' },
-  { name: 'Daytona Beach', state: 'FL', zip: '32114', county: 'Volusia' },
-  { name: 'St. Petersburg', state: 'FL', zip: '33701', county: 'Pinellas' },
-  { name: 'Clearwater', state: 'FL', zip: '33755', county: 'Pinellas' },
-  { name: 'Lakeland', state: 'FL', zip: '33801', county: 'Polk' },
-  { name: 'Kissimmee', state: 'FL', zip: '34741', county: 'Osceola' },
-  { name: 'Winter Park', state: 'FL', zip: '32789', county: 'Orange' },
-  { name: 'Sanford', state: 'FL', zip: '32771', county: 'Seminole' },
-  { name: 'Deltona', state: 'FL', zip: '32725', county: 'Volusia' },
-  { name: 'Palm Coast', state: 'FL', zip: '32135', county: 'Flagler' },
-  { name: 'Port Orange', state: 'FL', zip: '32127', county: 'Volusia' },
-  { name: 'Altamonte Springs', state: 'FL', zip: '32701', county: 'Seminole' },
-  { name: 'Oviedo', state: 'FL', zip: '32765', county: 'Seminole' },
-  { name: 'Winter Haven', state: 'FL', zip: '33880', county: 'Polk' }
-];
-
-// Statistics
-const stats = {
-  total: 0,
-  success: 0,
-  failed: 0,
-  duplicates: 0,
-  sources: {
-    zillow: 0,
-    realtor: 0,
-    redfin: 0,
-    trulia: 0
-  }
-};
+// Shared by every run so each site keeps its pace across runs
+const limiter = createRateLimiter({
+  requestsPerSecond: 1000 / CONFIG.scraper.delayMs,
+  hosts: CONFIG.rateLimits
+});
 
-// Logging utilities
-const log = {
-  info: (msg) => console.log(`ℹ️  ${msg}`),
-  success: (msg) => console.log(`✅ ${msg}`),
-  error: (msg) => console.error(`❌ ${msg}`),
-  warn: (msg) => console.warn(`⚠️  ${msg}`),
-  debug: (msg) => process.env.DEBUG && console.log(`🐛 ${msg}`)
-};
-
-// Delay utility
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+/**
+ * HTTP client for source adapters, paced per host; request outcomes are
+ * counted in the run report when there is one
+ */
+function createRunHttpClient(report = null) {
+  return createHttpClient({
+    ...CONFIG.scraper,
+    limiter,
+    onOutcome: (event) => {
+      if (report) recordRequest(report, event);
+      log.debug(`${event.host}: ${event.outcome}${event.status ? ` (HTTP ${event.status})` : ''}${event.willRetry ? ', retrying' : ''}`);
+    }
+  });
+}
 
 /**
- * Scrape properties from Zillow (web scraping fallback)
+ * Context handed to the scrape pipeline and source adapters
+ *
+ * @param {Object} run - { report, fixtureMode } of the current run
  */
-async function scrapeZillowWeb(city) {
-  try {
-    log.info(`Scraping Zillow for ${city.name}, ${city.state}...`);
-    
-    const searchUrl = `https://www.zillow.com/homes/${encodeURIComponent(city.name + ', ' + city.state)}_rb/`;
-    
-    const response = await axios.get(searchUrl, {
-      headers: {
-        'User-Agent': CONFIG.scraper.userAgent,
-        'Accept': 'text/html,application/xhtml+xml',
-        'Accept-Language': 'en-US,en;q=0.9',
-      },
-      timeout: CONFIG.scraper.timeout
-    });
-    
-    const $ = cheerio.load(response.data);
-    const properties = [];
-    
-    // Extract property data from Zillow's page structure
-    // Note: This is a simplified version - actual Zillow scraping may require more complex parsing
-    $('article[data-test="property-card"]').each((i, elem) => {
-      try {
-        const $elem = $(elem);
-        
-        const property = {
-          source: 'zillow_web',
-          address: $elem.find('[data-test="property-card-addr"]').text().trim(),
-          price: parsePrice($elem.find('[data-test="property-card-price"]').text()),
-          beds: parseInt($elem.find('[data-test="property-card-beds"]').text()) || null,
-          baths: parseFloat($elem.find('[data-test="property-card-baths"]').text()) || null,
-          sqft: parseInt($elem.find('[data-test="property-card-sqft"]').text().replace(/[^0-9]/g, '')) || null,
-          link: $elem.find('a').attr('href'),
-          imageUrl: $elem.find('img').attr('src'),
-          city: city.name,
-          state: city.state,
-          zipCode: city.zip,
-          scrapedAt: new Date().toISOString()
-        };
-        
-        if (property.address && property.price) {
-          properties.push(property);
-          stats.sources.zillow++;
-        }
-      } catch (err) {
-        log.debug(`Error parsing property: ${err.message}`);
-      }
-    });
-    
-    log.success(`Found ${properties.length} properties on Zillow`);
-    return properties;
-    
-  } catch (error) {
-    log.error(`Zillow scraping failed: ${error.message}`);
-    return [];
-  }
+function scrapeContext(run = {}) {
+  return {
+    config: CONFIG,
+    log,
+    http: createRunHttpClient(run.report),
+    fixtures: { ...CONFIG.fixtures, mode: run.fixtureMode || CONFIG.fixtures.mode }
+  };
 }
 
 /**
- * Scrape properties from Realtor.com
+ * Scrape properties for a city from one registered source
  */
-async function scrapeRealtorCom(city) {
-  try {
-    log.info(`Scraping Realtor.com for ${city.name}, ${city.state}...`);
-    
-    const searchUrl = `https://www.realtor.com/realestateandhomes-search/${encodeURIComponent(city.name + '_' + city.state)}`;
-    
-    const response = await axios.get(searchUrl, {
-      headers: {
-        'User-Agent': CONFIG.scraper.userAgent,
-        'Accept': 'text/html,application/xhtml+xml',
-      },
-      timeout: CONFIG.scraper.timeout
-    });
-    
-    const $ = cheerio.load(response.data);
-    const properties = [];
-    
-    // Extract property data from Realtor.com structure
-    $('[data-testid="property-card"]').each((i, elem) => {
-      try {
-        const $elem = $(elem);
-        
-        const property = {
-          source: 'realtor',
-          address: $elem.find('[data-testid="property-address"]').text().trim(),
-          price: parsePrice($elem.find('[data-testid="property-price"]').text()),
-          beds: parseInt($elem.find('[data-testid="property-beds"]').text()) || null,
-          baths: parseFloat($elem.find('[data-testid="property-baths"]').text()) || null,
-          sqft: parseInt($elem.find('[data-testid="property-sqft"]').text().replace(/[^0-9]/g, '')) || null,
-          link: $elem.find('a').attr('href'),
-          imageUrl: $elem.find('img').attr('src'),
-          city: city.name,
-          state: city.state,
-          zipCode: city.zip,
-          scrapedAt: new Date().toISOString()
-        };
-        
-        if (property.address && property.price) {
-          properties.push(property);
-          stats.sources.realtor++;
-        }
-      } catch (err) {
-        log.debug(`Error parsing property: ${err.message}`);
-      }
-    });
-    
-    log.success(`Found ${properties.length} properties on Realtor.com`);
-    return properties;
-    
-  } catch (error) {
-    log.error(`Realtor.com scraping failed: ${error.message}`);
-    return [];
-  }
+async function scrapeWithSource(name, city) {
+  const adapter = getSource(name);
+  return scrapeSource(adapter, city, scrapeContext());
 }
 
 /**
- * Generate sample properties (fallback when scraping fails)
+ * Scrape properties from Zillow
  */
-function generateSampleProperties(city, count = 10) {
-  log.warn(`Generating ${count} sample properties for ${city.name}`);
-  
-  const properties = [];
-  const streetNames = ['Oak', 'Maple', 'Pine', 'Cedar', 'Elm', 'Palm', 'Lake', 'Bay'];
-  const streetTypes = ['Dr', 'St', 'Ave', 'Blvd', 'Ln', 'Way'];
-  
-  for (let i = 0; i < count; i++) {
-    const beds = Math.floor(Math.random() * 4) + 1;
-    const baths = Math.floor(Math.random() * 3) + 1;
-    const sqft = Math.floor(Math.random() * 2000) + 1000;
-    const price = Math.floor(Math.random() * 400000) + 200000;
-    
-    properties.push({
-      source: 'generated',
-      address: `${Math.floor(Math.random() * 9000) + 1000} ${streetNames[Math.floor(Math.random() * streetNames.length)]} ${streetTypes[Math.floor(Math.random() * streetTypes.length)]}`,
-      city: city.name,
-      state: city.state,
-      zipCode: city.zip,
-      price: price,
-      beds: beds,
-      baths: baths,
-      sqft: sqft,
-      propertyType: ['House', 'Condo', 'Townhouse'][Math.floor(Math.random() * 3)],
-      yearBuilt: Math.floor(Math.random() * 40) + 1980,
-      link: `https://example.com/property/${Date.now()}-${i}`,
-      imageUrl: `https://images.unsplash.com/photo-${1568605114967 + i}`,
-      scrapedAt: new Date().toISOString()
-    });
-  }
-  
-  return properties;
+async function scrapeZillowWeb(city) {
+  return scrapeWithSource('zillow', city);
 }
 
 /**
- * Parse price from text
+ * Scrape properties from Realtor.com
  */
-function parsePrice(priceText) {
-  if (!priceText) return null;
-  const cleaned = priceText.replace(/[^0-9]/g, '');
-  return cleaned ? parseInt(cleaned) : null;
+async function scrapeRealtorCom(city) {
+  return scrapeWithSource('realtor', city);
 }
 
 /**
- * Save properties to JSON file
+ * Generate sample properties (fallback when scraping fails)
+ *
+ * @param {Object} city - { name, state, zip }
+ * @param {number} count - Number of properties
+ * @param {Object} options - { seed } for reproducible output
  */
-async function saveToJSON(properties, filename) {
-  try {
-    await fs.writeFile(
-      join(__dirname, filename),
-      JSON.stringify(properties, null, 2),
-      'utf8'
-    );
-    log.success(`Saved ${properties.length} properties to ${filename}`);
-  } catch (error) {
-    log.error(`Failed to save JSON: ${error.message}`);
-  }
+function generateSampleProperties(city, count = 10, options = {}) {
+  log.warn(`Generating ${count} sample properties for ${city.name}`);
+  return generateProperties(city, count, options);
 }
 
 /**
- * Save properties to CSV file
+ * Save properties to one export file per format
+ *
+ * @returns {Promise<Array<string>>} Paths of the files written
  */
-async function saveToCSV(properties, filename) {
-  try {
-    const headers = ['Address', 'City', 'State', 'ZIP', 'Price', 'Beds', 'Baths', 'SqFt', 'Type', 'Source', 'Link'];
-    const rows = properties.map(p => [
-      p.address || '',
-      p.city || '',
-      p.state || '',
-      p.zipCode || '',
-      p.price || '',
-      p.beds || '',
-      p.baths || '',
-      p.sqft || '',
-      p.propertyType || '',
-      p.source || '',
-      p.link || ''
-    ]);
-    
-    const csv = [
-      headers.join(','),
-      ...rows.map(row => row.map(cell => `"${cell}"`).join(','))
-    ].join('\n');
-    
-    await fs.writeFile(join(__dirname, filename), csv, 'utf8');
-    log.success(`Saved ${properties.length} properties to ${filename}`);
-  } catch (error) {
-    log.error(`Failed to save CSV: ${error.message}`);
+async function saveToFiles(properties, { formats, ...options }) {
+  const files = [];
+  for (const format of formats) {
+    try {
+      const file = await writeExport(properties, { format, ...options });
+      log.success(`Saved ${properties.length} properties to ${file}`);
+      files.push(file);
+    } catch (error) {
+      log.error(`Failed to save ${format.toUpperCase()}: ${error.message}`);
+    }
   }
+  return files;
 }
 
 /**
- * Save properties to database
+ * Save properties to database and record what changed since the last run
+ *
+ * @param {Array} properties - Records from this run
+ * @param {Object} run - { report, saveSynthetic, scope: city/source pairs this
+ *   run returned complete results for; stored listings there that were not
+ *   seen again are marked as delisted }
  */
-async function saveToDatabase(properties) {
-  if (!CONFIG.output.saveToDatabase) {
-    log.info('Database saving disabled');
+async function saveToDatabase(properties, run) {
+  const { report } = run;
+  let { scope } = run;
+  
+  if (!run.saveSynthetic) {
+    const synthetic = properties.filter(property => property.isSynthetic).length;
+    if (synthetic > 0) {
+      log.info(`Skipping ${synthetic} synthetic properties (set SAVE_SYNTHETIC_TO_DATABASE=true or --save-synthetic to store them)`);
+      properties = properties.filter(property => !property.isSynthetic);
+    }
+    scope = scope.filter(({ source }) => source !== 'generator');
+  }
+  
+  if (properties.length === 0) {
+    log.info('No properties to save to database');
     return;
   }
   
@@ -332,181 +242,361 @@ async function saveToDatabase(properties) {
       return;
     }
     
-    const connection = await mysql.createConnection(connectionString);
+    const repository = await openMySqlRepository(connectionString);
     log.info('Connected to database');
     
-    // Create table if not exists
-    await connection.execute(`
-      CREATE TABLE IF NOT EXISTS scraped_properties (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        source VARCHAR(50),
-        address VARCHAR(255),
-        city VARCHAR(100),
-        state VARCHAR(10),
-        zipCode VARCHAR(20),
-        price INT,
-        beds INT,
-        baths DECIMAL(3,1),
-        sqft INT,
-        propertyType VARCHAR(50),
-        yearBuilt INT,
-        link TEXT,
-        imageUrl TEXT,
-        scrapedAt DATETIME,
-        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE KEY unique_property (address, city, zipCode)
-      )
-    `);
-    
-    let inserted = 0;
-    let updated = 0;
-    
-    for (const property of properties) {
-      try {
-        const [result] = await connection.execute(
-          `INSERT INTO scraped_properties 
-           (source, address, city, state, zipCode, price, beds, baths, sqft, propertyType, yearBuilt, link, imageUrl, scrapedAt)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-           ON DUPLICATE KEY UPDATE
-           price = VALUES(price),
-           beds = VALUES(beds),
-           baths = VALUES(baths),
-           sqft = VALUES(sqft),
-           scrapedAt = VALUES(scrapedAt)`,
-          [
-            property.source,
-            property.address,
-            property.city,
-            property.state,
-            property.zipCode,
-            property.price,
-            property.beds,
-            property.baths,
-            property.sqft,
-            property.propertyType,
-            property.yearBuilt,
-            property.link,
-            property.imageUrl,
-            property.scrapedAt
-          ]
-        );
-        
-        if (result.affectedRows === 1) {
-          inserted++;
-        } else if (result.affectedRows === 2) {
-          updated++;
-          stats.duplicates++;
-        }
-      } catch (err) {
-        if (err.code !== 'ER_DUP_ENTRY') {
-          log.debug(`Database insert error: ${err.message}`);
-        }
-      }
+    let result;
+    let delisted;
+    try {
+      result = await repository.saveProperties(properties, { runId: report.id });
+      delisted = await repository.delistMissing({ scope, seen: result.propertyIds, runId: report.id });
+    } finally {
+      await repository.close();
     }
     
-    await connection.end();
-    log.success(`Database: ${inserted} inserted, ${updated} updated`);
+    result.errors.forEach(message => {
+      log.debug(`Database insert error: ${message}`);
+      recordError(report, 'database', message);
+    });
+    log.success(`Database: ${result.inserted} inserted, ${result.updated} updated${result.failed ? `, ${result.failed} failed` : ''}`);
+    
+    const changes = summarizeChanges([...result.changes, ...delisted]);
+    log.info(`Changes: ${changes.listed} new, ${changes.price_drop} price drops, ${changes.price_increase} price increases, ${changes.status_change} status changes, ${changes.delisted} delisted`);
+    report.database = { inserted: result.inserted, updated: result.updated, failed: result.failed, changes };
     
   } catch (error) {
     log.error(`Database error: ${error.message}`);
+    recordError(report, 'database', error.message);
+  }
+}
+
+/**
+ * Deliver new listings and price drops matching the saved searches; failed
+ * deliveries are recorded as run errors
+ */
+async function notifySavedSearches(properties, { report, searches, file }) {
+  const summary = await runSavedSearches(properties, { searches, file, runId: report.id, log });
+  summary.errors.forEach(message => recordError(report, 'notifications', message));
+  report.notifications = { baseline: summary.baseline, matches: summary.matches, delivered: summary.delivered, failed: summary.failed, pending: summary.pending };
+}
+
+/**
+ * Store the run report in scrape_runs (when a database is configured)
+ */
+async function persistRun(report) {
+  if (!CONFIG.output.saveToDatabase || !CONFIG.database.connectionString) return;
+  
+  try {
+    const repository = await openMySqlRepository(CONFIG.database.connectionString);
+    try {
+      await repository.saveRun(report);
+    } finally {
+      await repository.close();
+    }
+  } catch (error) {
+    log.warn(`Could not save run ${report.id}: ${error.message}`);
   }
 }
 
 /**
  * Main scraper function
+ *
+ * @param {Object} options - { sources: names of the source adapters to run, fixtureMode: 'record' | 'replay',
+ *                              mode: one of RUN_MODES, saveSynthetic: store generated rows in the database,
+ *                              seed: seed for generated rows, region: cities, groups or counties to cover,
+ *                              regionsFile: region catalog to use, outputDir: where export files go,
+ *                              formats: export formats (lib/exporters.cjs), columns: CSV/Excel columns,
+ *                              name: export file name template, searchesFile: saved searches
+ *                              to notify (lib/saved-searches.cjs), dryRun: scrape without writing
+ *                              files, database rows or the run report, or notifying }
+ * @returns {Promise<Object>} The run report (see lib/runs.cjs), also stored in
+ *   scrape_runs when a database is configured
  */
-async function main() {
+async function main(options = {}) {
+  const adapters = resolveSources(options.sources || CONFIG.sources);
+  useRegionsFile(options.regionsFile || CONFIG.regions.file);
+  const cities = resolveCities(options.region || CONFIG.regions.selection);
+  
+  // Per-run settings: options override CONFIG without changing it
+  const mode = options.mode || CONFIG.mode;
+  const seed = options.seed !== undefined ? options.seed : CONFIG.seed;
+  const saveSynthetic = Boolean(options.saveSynthetic || CONFIG.output.saveSyntheticToDatabase);
+  const fixtureMode = options.fixtureMode || CONFIG.fixtures.mode;
+  const outputDir = options.outputDir || CONFIG.output.dir;
+  const formats = options.formats || CONFIG.output.formats;
+  const name = options.name || CONFIG.output.name;
+  const dryRun = Boolean(options.dryRun);
+  const writeDatabase = CONFIG.output.saveToDatabase && !dryRun;
+  const writeFiles = CONFIG.output.saveToFiles && !dryRun;
+  if (!RUN_MODES.includes(mode)) {
+    throw new Error(`Unknown run mode "${mode}" (expected one of: ${RUN_MODES.join(', ')})`);
+  }
+  
+  const report = createRunReport({
+    mode,
+    options: {
+      sources: adapters.map(adapter => adapter.name),
+      cities: cities.map(city => city.name),
+      seed: seed === undefined ? null : seed,
+      saveSynthetic,
+      fixtureMode: fixtureMode || null,
+      dryRun
+    },
+    sources: adapters.map(adapter => adapter.name)
+  });
+  // Checked before scraping rather than when the files are written
+  const nameValues = { runId: report.id, mode };
+  exportFileName(name, nameValues);
+  const searches = dryRun ? null : loadSearches(options.searchesFile);
+  
   console.log('\n');
   console.log('🏠 Florida Property Scraper');
   console.log('===========================\n');
-  console.log(`📍 Scraping ${CITIES.length} cities in Central Florida`);
+  console.log(`🆔 Run: ${report.id}`);
+  console.log(`📍 Scraping ${cities.length} cities: ${cities.map(city => city.name).join(', ')}`);
   console.log(`🔧 Configuration:`);
-  console.log(`   - Save to database: ${CONFIG.output.saveToDatabase}`);
-  console.log(`   - Save to files: ${CONFIG.output.saveToFiles}`);
-  console.log(`   - Max properties per city: ${CONFIG.scraper.maxPropertiesPerCity}`);
+  console.log(`   - Mode: ${mode}`);
+  console.log(`   - Save to database: ${writeDatabase}${saveSynthetic ? ' (including synthetic)' : ''}`);
+  console.log(`   - Save to files: ${writeFiles ? `${formats.join(', ')} in ${outputDir}` : false}`);
+  if (searches) {
+    console.log(`   - Saved searches: ${searches.map(search => search.name).join(', ')}`);
+  }
+  if (dryRun) {
+    console.log('   - Dry run: nothing is written');
+  }
+  console.log(`   - Max properties per city: ${CONFIG.scraper.maxPropertiesPerCity} per source (up to ${CONFIG.scraper.maxPages} pages)`);
+  console.log(`   - Sources: ${adapters.map(adapter => adapter.label).join(', ')}`);
+  console.log(`   - Concurrency: ${CONFIG.scraper.concurrency} (max 1 request per ${CONFIG.scraper.delayMs}ms per site)`);
+  if (fixtureMode) {
+    console.log(`   - Fixtures: ${fixtureMode} (${CONFIG.fixtures.dir})`);
+  }
   console.log('');
   
-  const startTime = Date.now();
-  const allProperties = [];
+  if (!dryRun) await persistRun(report);
   
-  for (const city of CITIES) {
-    try {
-      log.info(`\n📍 Processing ${city.name}, ${city.state}...`);
-      
-      let properties = [];
-      
-      // Try multiple sources
-      // Note: Web scraping may be blocked - using sample data as fallback
+  let files = [];
+  try {
+    const allProperties = [];
+    // City/source pairs with complete results, for delisting detection
+    const delistScope = [];
+    
+    // Scrape every city from every enabled source in parallel through the
+    // shared pipeline; the per-host rate limiter keeps each site at its pace
+    const results = mode === 'sample'
+      ? cities.map(city => ({ city, properties: [], bySource: {}, complete: {} }))
+      : await scrapeCities(cities, adapters, scrapeContext({ report, fixtureMode }));
+    
+    for (const { city, properties: scraped, bySource, complete } of results) {
       try {
-        const zillowProps = await scrapeZillowWeb(city);
-        properties.push(...zillowProps);
-        await delay(CONFIG.scraper.delayMs);
-      } catch (err) {
-        log.warn(`Zillow failed, trying next source...`);
-      }
-      
-      // If no properties found, generate samples
-      if (properties.length === 0) {
-        properties = generateSampleProperties(city, 10);
+        let properties = scraped;
+        for (const [name, count] of Object.entries(bySource)) {
+          // An empty result is more likely a parsing problem than a sold-out city
+          if (complete[name] && count > 0) {
+            delistScope.push({ city: city.name, source: name });
+          }
+        }
+        
+        // Generated listings: always in sample mode, and in live-with-fallback
+        // mode for cities where scraping found nothing (e.g. blocked)
+        if (mode === 'sample' || (mode === 'live-with-fallback' && properties.length === 0)) {
+          properties = generateSampleProperties(city, CONFIG.scraper.samplePropertiesPerCity, { seed });
+          delistScope.push({ city: city.name, source: 'generator' });
+        }
+        
+        // One record per address: listings found on several sites are merged,
+        // preferring the sources in the order they are configured
+        const merged = mergeProperties(properties, { priority: adapters.map(adapter => adapter.name) });
+        properties = merged.properties;
+        
+        const synthetic = properties.filter(property => property.isSynthetic).length;
+        recordCity(report, city.name, {
+          properties: properties.length,
+          synthetic,
+          duplicates: merged.duplicates,
+          bySource,
+          complete
+        });
+        allProperties.push(...properties);
+        
+        log.success(`Total for ${city.name}: ${properties.length} properties${synthetic ? ` (${synthetic} synthetic)` : ''}`);
+        
+      } catch (error) {
+        log.error(`Failed to process ${city.name}: ${error.message}`);
+        report.totals.failedCities++;
+        recordError(report, city.name, error.message);
       }
-      
-      allProperties.push(...properties);
-      stats.total += properties.length;
-      stats.success += properties.length;
-      
-      log.success(`Total for ${city.name}: ${properties.length} properties`);
-      
-    } catch (error) {
-      log.error(`Failed to process ${city.name}: ${error.message}`);
-      stats.failed++;
     }
+    
+    // Save results
+    if (writeFiles) {
+      files = await saveToFiles(allProperties, { outputDir, formats, name, nameValues, columns: options.columns });
+    }
+    
+    if (writeDatabase) {
+      await saveToDatabase(allProperties, { report, saveSynthetic, scope: delistScope });
+    } else {
+      log.info('Database saving disabled');
+    }
+    
+    if (searches) {
+      await notifySavedSearches(allProperties, { report, searches, file: options.searchesFile });
+    }
+  } catch (error) {
+    recordError(report, 'run', error.message);
+    finishRun(report, 'failed');
+    if (!dryRun) await persistRun(report);
+    throw error;
   }
   
-  // Save results
-  if (CONFIG.output.saveToFiles) {
-    await saveToJSON(allProperties, CONFIG.output.jsonFile);
-    await saveToCSV(allProperties, CONFIG.output.csvFile);
-  }
-  
-  if (CONFIG.output.saveToDatabase) {
-    await saveToDatabase(allProperties);
-  }
-  
-  // Print statistics
-  const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+  finishRun(report);
+  if (!dryRun) await persistRun(report);
+  printReport(report, adapters, files);
+  return report;
+}
+
+/**
+ * Print a finished run report and the export files written
+ */
+function printReport(report, adapters, files) {
+  const { totals, requests } = report;
   
   console.log('\n');
   console.log('===========================');
   console.log('📊 Scraping Complete!');
   console.log('===========================');
-  console.log(`✅ Total properties: ${stats.total}`);
-  console.log(`✅ Successful: ${stats.success}`);
-  console.log(`❌ Failed: ${stats.failed}`);
-  console.log(`🔄 Duplicates: ${stats.duplicates}`);
+  console.log(`🆔 Run: ${report.id}`);
+  console.log(`✅ Total properties: ${totals.properties}`);
+  console.log(`❌ Failed cities: ${totals.failedCities}`);
+  console.log(`🔄 Duplicates merged: ${totals.duplicates}`);
+  console.log(`🧪 Synthetic: ${totals.synthetic} of ${totals.properties}`);
+  console.log(`🌐 Requests: ${requests.ok} ok, ${requests.blocked} blocked, ${requests.failed} failed, ${requests.retried} retried`);
+  if (report.database) {
+    console.log(`💾 Database: ${report.database.inserted} inserted, ${report.database.updated} updated, ${report.database.failed} failed`);
+  }
+  if (report.notifications) {
+    console.log(`🔔 Saved searches: ${report.notifications.matches} matches, ${report.notifications.delivered} delivered, ${report.notifications.failed} failed`);
+  }
   console.log('');
   console.log('📦 Sources:');
-  console.log(`   - Zillow: ${stats.sources.zillow}`);
-  console.log(`   - Realtor: ${stats.sources.realtor}`);
-  console.log(`   - Redfin: ${stats.sources.redfin}`);
-  console.log(`   - Trulia: ${stats.sources.trulia}`);
+  for (const adapter of adapters) {
+    console.log(`   - ${adapter.label}: ${report.sources[adapter.name]}`);
+  }
   console.log('');
-  console.log(`⏱️  Duration: ${duration}s`);
+  const syntheticCities = Object.entries(report.cities).filter(([, city]) => city.synthetic > 0);
+  if (syntheticCities.length > 0) {
+    console.log('🧪 Synthetic rows per city:');
+    for (const [name, city] of syntheticCities) {
+      console.log(`   - ${name}: ${city.synthetic}`);
+    }
+    console.log('');
+  }
+  if (report.errors.length > 0) {
+    console.log(`⚠️  Errors: ${report.errors.length}`);
+    for (const { scope, message } of report.errors.slice(0, 10)) {
+      console.log(`   - ${scope}: ${message}`);
+    }
+    console.log('');
+  }
+  
+  console.log(`⏱️  Duration: ${(report.durationMs / 1000).toFixed(2)}s`);
   console.log('');
   
-  if (CONFIG.output.saveToFiles) {
+  if (files.length > 0) {
     console.log('📁 Output files:');
-    console.log(`   - ${CONFIG.output.jsonFile}`);
-    console.log(`   - ${CONFIG.output.csvFile}`);
+    for (const file of files) {
+      console.log(`   - ${file}`);
+    }
     console.log('');
   }
 }
 
-// Run scraper
-if (import.meta.url === `file://${process.argv[1]}`) {
-  main().catch(error => {
-    log.error(`Fatal error: ${error.message}`);
-    process.exit(1);
+/**
+ * Print the health check result of each enabled source
+ */
+async function health(options = {}) {
+  const adapters = resolveSources(options.sources || CONFIG.sources);
+  const results = await checkSources(adapters, scrapeContext());
+  
+  for (const adapter of adapters) {
+    const result = results[adapter.name];
+    (result.ok ? log.success : log.error)(`${adapter.label}: ${result.message}`);
+  }
+  
+  return results;
+}
+
+/**
+ * Keep running and scrape on the cron jobs of the schedule file until
+ * SIGINT/SIGTERM; a run in progress is allowed to finish first
+ *
+ * @param {Object} options - main() options shared by every job, plus
+ *   scheduleFile; a job's region, sources and mode override them
+ */
+async function schedule(options = {}) {
+  useRegionsFile(options.regionsFile || CONFIG.regions.file);
+  const { timezone, jobs } = loadSchedule(options.scheduleFile || CONFIG.schedule.file);
+  
+  const scheduler = createScheduler({
+    jobs,
+    timezone,
+    log,
+    stateFile: CONFIG.schedule.stateFile,
+    lockFile: CONFIG.schedule.lockFile,
+    run: (job) => main({
+      ...options,
+      region: job.region || options.region,
+      sources: job.sources || options.sources,
+      mode: job.mode || options.mode
+    })
   });
+  
+  console.log('\n');
+  console.log('⏰ Florida Property Scraper - Scheduler');
+  console.log('=======================================\n');
+  scheduler.start();
+  log.info(`State: ${CONFIG.schedule.stateFile}`);
+  
+  let stopping = false;
+  const shutdown = (signal) => {
+    if (stopping) {
+      log.warn(`${signal} received again, exiting without waiting`);
+      process.exit(1);
+    }
+    stopping = true;
+    log.info(`${signal} received, stopping the scheduler...`);
+    scheduler.stop()
+      .then(() => {
+        log.success('Scheduler stopped');
+        process.exit(0);
+      })
+      .catch(error => {
+        log.error(`Scheduler shutdown failed: ${error.message}`);
+        process.exit(1);
+      });
+  };
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  
+  return scheduler;
+}
+
+// Run scraper: the scrape command of cli.js, with --health and
+// --schedule[=file] standing in for the health and schedule commands
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const scheduleArg = args.find(arg => arg === '--schedule' || arg.startsWith('--schedule='));
+  const command = args.includes('--health') ? 'health' : scheduleArg ? 'schedule' : 'scrape';
+  const rest = args.filter(arg => arg !== '--health' && arg !== scheduleArg);
+  if (scheduleArg && scheduleArg.includes('=')) {
+    rest.push(`--file=${scheduleArg.slice('--schedule='.length)}`);
+  }
+  
+  // Loaded once this module has finished evaluating (cli.js imports it)
+  import('./cli.js')
+    .then(({ runCli }) => runCli([command, ...rest]))
+    .then(code => {
+      process.exitCode = code;
+    });
 }
 
-export { main, scrapeZillowWeb, scrapeRealtorCom, generateSampleProperties };
+export { RUN_MODES, main, health, schedule, scrapeZillowWeb, scrapeRealtorCom, generateSampleProperties };
@@ -0,0 +1,116 @@
+/**
+ * Address Normalization
+ *
+ * Reduces a street address to a comparable form so the same listing from
+ * different sources ("123 Oak Drive, Apt. 4" / "123 OAK DR #4") matches:
+ * upper case, no punctuation, USPS street suffix and directional
+ * abbreviations (Publication 28), and one "UNIT <n>" form for unit numbers.
+ *
+ * Usage:
+ *   normalizeAddress('123 North Oak Drive, Apt. 4')  // '123 N OAK DR UNIT 4'
+ *   addressKey(property)                             // '123 N OAK DR UNIT 4|32801'
+ */
+
+// Street suffixes and common variants -> USPS abbreviation
+const STREET_SUFFIXES = {
+  ALLEY: 'ALY', ALY: 'ALY',
+  AVENUE: 'AVE', AVEN: 'AVE', AV: 'AVE', AVE: 'AVE',
+  BEND: 'BND', BND: 'BND',
+  BOULEVARD: 'BLVD', BOUL: 'BLVD', BLV: 'BLVD', BLVD: 'BLVD',
+  CIRCLE: 'CIR', CIRC: 'CIR', CRCL: 'CIR', CIR: 'CIR',
+  COURT: 'CT', CRT: 'CT', CT: 'CT',
+  COVE: 'CV', CV: 'CV',
+  CROSSING: 'XING', CRSSNG: 'XING', XING: 'XING',
+  DRIVE: 'DR', DRV: 'DR', DR: 'DR',
+  EXPRESSWAY: 'EXPY', EXPY: 'EXPY',
+  GROVE: 'GRV', GRV: 'GRV',
+  HIGHWAY: 'HWY', HWAY: 'HWY', HWY: 'HWY',
+  HOLLOW: 'HOLW', HOLW: 'HOLW',
+  LANDING: 'LNDG', LNDG: 'LNDG',
+  LANE: 'LN', LN: 'LN',
+  LOOP: 'LOOP',
+  MEADOW: 'MDW', MDW: 'MDW',
+  PARKWAY: 'PKWY', PKY: 'PKWY', PKWY: 'PKWY',
+  PLACE: 'PL', PL: 'PL',
+  PLAZA: 'PLZ', PLZ: 'PLZ',
+  POINT: 'PT', PT: 'PT',
+  RIDGE: 'RDG', RDG: 'RDG',
+  ROAD: 'RD', RD: 'RD',
+  RUN: 'RUN',
+  SQUARE: 'SQ', SQ: 'SQ',
+  STREET: 'ST', STR: 'ST', ST: 'ST',
+  TERRACE: 'TER', TERR: 'TER', TER: 'TER',
+  TRACE: 'TRCE', TRCE: 'TRCE',
+  TRAIL: 'TRL', TRL: 'TRL',
+  TURNPIKE: 'TPKE', TPKE: 'TPKE',
+  VIEW: 'VW', VW: 'VW',
+  VILLAGE: 'VLG', VLG: 'VLG',
+  VISTA: 'VIS', VIS: 'VIS',
+  WALK: 'WALK',
+  WAY: 'WAY'
+};
+
+const DIRECTIONALS = {
+  NORTH: 'N', SOUTH: 'S', EAST: 'E', WEST: 'W',
+  NORTHEAST: 'NE', NORTHWEST: 'NW', SOUTHEAST: 'SE', SOUTHWEST: 'SW',
+  N: 'N', S: 'S', E: 'E', W: 'W', NE: 'NE', NW: 'NW', SE: 'SE', SW: 'SW'
+};
+
+// Trailing unit designator ("APT 4", "SUITE 200", "# 4B") -> its number
+const UNIT_PATTERN = /\s(?:#|(?:APT|APARTMENT|UNIT|STE|SUITE|LOT|SPC|SPACE)\b\s*#?)\s*([A-Z0-9]+)$/;
+
+/**
+ * Normalize a street address for matching
+ *
+ * @param {string} streetAddress - Street line only (no city/state/ZIP)
+ * @returns {string|null} Normalized address, null when empty
+ */
+function normalizeAddress(streetAddress) {
+  let text = String(streetAddress || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9#\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!text) return null;
+
+  let unit = null;
+  const match = text.match(UNIT_PATTERN);
+  if (match) {
+    unit = match[1];
+    text = text.slice(0, match.index).trim();
+  }
+
+  const tokens = text.split(' ');
+  const last = tokens.length - 1;
+
+  // Post-directional ("MAIN ST NORTH"), then the suffix before it
+  let suffixAt = last;
+  if (tokens.length > 3 && DIRECTIONALS[tokens[last]]) {
+    tokens[last] = DIRECTIONALS[tokens[last]];
+    suffixAt = last - 1;
+  }
+  if (suffixAt > 1 && STREET_SUFFIXES[tokens[suffixAt]]) {
+    tokens[suffixAt] = STREET_SUFFIXES[tokens[suffixAt]];
+  }
+  // Pre-directional, unless it is the street name itself ("123 NORTH ST")
+  if (suffixAt > 2 && DIRECTIONALS[tokens[1]]) {
+    tokens[1] = DIRECTIONALS[tokens[1]];
+  }
+
+  return tokens.join(' ') + (unit ? ` UNIT ${unit}` : '');
+}
+
+/**
+ * Key identifying a property's location across sources: normalized street
+ * address plus ZIP code (or city when there is no ZIP)
+ *
+ * @returns {string|null} null when the record has no street address
+ */
+function addressKey(property) {
+  const street = normalizeAddress(property.streetAddress);
+  if (!street) return null;
+  const area = property.zipCode || String(property.city || '').trim().toUpperCase();
+  return `${street}|${area}`;
+}
+
+module.exports = { STREET_SUFFIXES, DIRECTIONALS, normalizeAddress, addressKey };
@@ -0,0 +1,141 @@
+/**
+ * Command-Line Arguments
+ *
+ * One parser (node's util.parseArgs) for every CLI in the repo, so options
+ * behave the same everywhere:
+ *
+ *   --city Orlando  and  --city=Orlando     are the same option
+ *   --city Orlando --city "Tampa Bay"       repeatable options collect values
+ *   --format json,csv                       list options also split on commas
+ *
+ * Unknown options, missing values and invalid numbers throw an error with
+ * code USAGE, which the CLIs report with their usage text (exit code 2).
+ *
+ * Usage:
+ *   const { values, positionals } = parseCommandLine(argv, {
+ *     city: { type: 'string', multiple: true },
+ *     limit: { type: 'string' },
+ *     'dry-run': { type: 'boolean' }
+ *   });
+ *   const cities = listOption(values.city);
+ *   const limit = integerOption(values.limit, 'limit');
+ */
+
+const { parseArgs } = require('util');
+const { parseColumns } = require('./csv.cjs');
+
+// Exit codes shared by the CLIs
+const EXIT_CODES = { ok: 0, failed: 1, usage: 2 };
+
+/**
+ * Usage error with a code (USAGE)
+ */
+function usageError(message) {
+  const error = new Error(message);
+  error.code = 'USAGE';
+  return error;
+}
+
+/**
+ * Parse arguments against an option spec (util.parseArgs options)
+ *
+ * @param {Array<string>} argv - Arguments after the script (and command) name
+ * @param {Object} options - { [name]: { type: 'string' | 'boolean', multiple, short, default } }
+ * @param {Object} settings - { positionals: true to accept positional arguments }
+ * @returns {{ values: Object, positionals: Array<string> }}
+ */
+function parseCommandLine(argv, options, settings = {}) {
+  try {
+    return parseArgs({
+      args: argv,
+      options,
+      allowPositionals: Boolean(settings.positionals),
+      strict: true
+    });
+  } catch (error) {
+    if (error.code && error.code.startsWith('ERR_PARSE_ARGS')) {
+      throw usageError(error.message);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Values of a repeatable or comma-separated option as one list
+ *
+ * @param {string|Array<string>|undefined} value
+ * @returns {Array<string>} Trimmed, non-empty values (empty when not given)
+ */
+function listOption(value) {
+  return [].concat(value === undefined ? [] : value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * An integer option
+ *
+ * @param {string|undefined} value
+ * @param {string} name - Option name, for the error message
+ * @param {Object} range - { min, max }
+ * @returns {number|undefined} undefined when not given
+ */
+function integerOption(value, name, range = {}) {
+  if (value === undefined) return undefined;
+  const { min = 1, max = Infinity } = range;
+  const number = Number(value);
+  if (value === '' || !Number.isInteger(number) || number < min || number > max) {
+    throw usageError(`--${name} must be an integer${max === Infinity ? ` of at least ${min}` : ` between ${min} and ${max}`} (got "${value}")`);
+  }
+  return number;
+}
+
+/**
+ * A list option whose values must come from a fixed set
+ *
+ * @returns {Array<string>} The values, or `fallback` when none were given
+ */
+function choiceOption(value, name, choices, fallback = []) {
+  const values = listOption(value);
+  const unknown = values.filter(item => !choices.includes(item));
+  if (unknown.length) {
+    throw usageError(`Unknown --${name} ${unknown.join(', ')} (expected one of: ${choices.join(', ')})`);
+  }
+  return values.length ? values : fallback;
+}
+
+/**
+ * An option that takes exactly one value from a fixed set (a list is rejected)
+ *
+ * @returns {string|undefined} The value, or `fallback` when not given
+ */
+function singleChoiceOption(value, name, choices, fallback = undefined) {
+  const values = choiceOption(value, name, choices);
+  if (values.length > 1) {
+    throw usageError(`--${name} takes one value (got ${values.join(', ')})`);
+  }
+  return values.length ? values[0] : fallback;
+}
+
+/**
+ * A --columns option: CSV field names (lib/csv.cjs), "all", or the defaults
+ */
+function columnsOption(value) {
+  const { columns, errors } = parseColumns(value);
+  if (errors.length) {
+    throw usageError(`${errors.join(', ')} in --columns`);
+  }
+  return columns;
+}
+
+module.exports = {
+  EXIT_CODES,
+  usageError,
+  parseCommandLine,
+  listOption,
+  integerOption,
+  choiceOption,
+  singleChoiceOption,
+  columnsOption
+};
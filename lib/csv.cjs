@@ -0,0 +1,152 @@
+/**
+ * CSV Serializer
+ *
+ * One RFC 4180 writer for every CSV the scrapers and the API produce:
+ *
+ * - header row of field names, CRLF line endings
+ * - a cell is quoted when it contains a comma, a double quote, a line
+ *   break or leading/trailing spaces; quotes inside are doubled
+ * - null and undefined are empty cells (never the text "null")
+ * - lists of plain values (images) are joined with "|"; other nested
+ *   values (schools, priceHistory, provenance) are written as JSON
+ *
+ * Columns are canonical field names (lib/schema.cjs); `columns=` on the
+ * API and `--columns` on the CLI pick them, "all" selects every field.
+ *
+ * Usage:
+ *   const { columns, errors } = parseColumns(req.query.columns);
+ *   await pipeline(createCsvStream(properties, { columns }), res);
+ *   const text = toCSV(properties, { columns: ['propertyId', 'price'] });
+ */
+
+const { Readable } = require('stream');
+const { PROPERTY_FIELDS } = require('./schema.cjs');
+
+const DEFAULT_COLUMNS = [
+  'propertyId',
+  'mlsId',
+  'streetAddress',
+  'city',
+  'state',
+  'zipCode',
+  'price',
+  'bedrooms',
+  'bathrooms',
+  'sqft',
+  'propertyType',
+  'yearBuilt',
+  'status',
+  'agentName',
+  'agentPhone',
+  'brokerName',
+  'source',
+  'isSynthetic',
+  'listingLink'
+];
+
+const LINE_END = '\r\n';
+
+/**
+ * Split a single, repeated or comma-separated value into trimmed, non-empty parts
+ */
+function splitValues(value) {
+  return [].concat(value === undefined ? [] : value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse a column selection
+ *
+ * @param {string|Array<string>|undefined} value - Field names, or "all"
+ * @returns {{ columns: Array<string>, errors: Array<string> }} DEFAULT_COLUMNS when empty
+ */
+function parseColumns(value) {
+  const names = splitValues(value);
+  if (names.length === 0) return { columns: DEFAULT_COLUMNS, errors: [] };
+  if (names.length === 1 && names[0] === 'all') return { columns: PROPERTY_FIELDS, errors: [] };
+
+  const errors = names
+    .filter(name => !PROPERTY_FIELDS.includes(name))
+    .map(name => `Unknown column "${name}"`);
+  return { columns: [...new Set(names)], errors };
+}
+
+/**
+ * One value as CSV cell text (unquoted)
+ */
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) {
+    return value.every(item => item === null || typeof item !== 'object')
+      ? value.map(item => (item === null ? '' : String(item))).join('|')
+      : JSON.stringify(value);
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Quote a cell when RFC 4180 requires it
+ */
+function escapeCell(value) {
+  const text = cellText(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * The header line
+ */
+function csvHeader(columns = DEFAULT_COLUMNS) {
+  return columns.map(escapeCell).join(',') + LINE_END;
+}
+
+/**
+ * One property as a CSV line
+ */
+function csvRow(property, columns = DEFAULT_COLUMNS) {
+  return columns.map(column => escapeCell(property[column])).join(',') + LINE_END;
+}
+
+/**
+ * Header and rows as lines, one at a time
+ *
+ * @param {Iterable|AsyncIterable} properties - An array, or e.g. repository pages
+ * @param {Object} options - { columns }
+ */
+async function* csvLines(properties, options = {}) {
+  const columns = options.columns || DEFAULT_COLUMNS;
+  yield csvHeader(columns);
+  for await (const property of properties) {
+    yield csvRow(property, columns);
+  }
+}
+
+/**
+ * A readable stream of CSV text, for piping to a file or HTTP response
+ */
+function createCsvStream(properties, options = {}) {
+  return Readable.from(csvLines(properties, options));
+}
+
+/**
+ * Properties as one CSV string (small exports)
+ */
+function toCSV(properties, options = {}) {
+  const columns = options.columns || DEFAULT_COLUMNS;
+  return csvHeader(columns) + properties.map(property => csvRow(property, columns)).join('');
+}
+
+module.exports = {
+  DEFAULT_COLUMNS,
+  parseColumns,
+  cellText,
+  escapeCell,
+  csvHeader,
+  csvRow,
+  csvLines,
+  createCsvStream,
+  toCSV
+};
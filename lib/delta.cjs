@@ -0,0 +1,195 @@
+/**
+ * Listing Deltas
+ *
+ * Every save records what happened to each listing as a change entry (the
+ * rows of the listing_changes table):
+ *
+ *   added    first time the listing is stored
+ *   changed  fields differ from the stored version; fields: { name: { old, new } }
+ *   removed  delisted (see lib/history.cjs); fields holds the status change
+ *
+ * Entry: { propertyId, runId, type, fields, recordedAt }
+ *
+ * A delta export folds the entries recorded after a point in time (or
+ * after a run) into one change per listing, so a downstream import only
+ * sees what differs from its last sync: a listing added and changed since
+ * is "added", one changed twice shows its first old and last new values,
+ * and one added and removed again does not appear at all.
+ *
+ * Usage:
+ *   const delta = await loadDelta(repository, { since: '2025-11-27T00:00:00Z' });
+ *   // { since, sinceRun, until, counts: { added, changed, removed }, changes: [...] }
+ */
+
+const { PROPERTY_FIELDS } = require('./schema.cjs');
+
+const CHANGE_TYPES = ['added', 'changed', 'removed'];
+
+// Fields left out of the comparison: they differ on every scrape
+const IGNORED_FIELDS = ['scrapedAt', 'daysOnMarket'];
+
+const COMPARED_FIELDS = PROPERTY_FIELDS.filter(field => !IGNORED_FIELDS.includes(field));
+
+/**
+ * Delta error with a code (INVALID_SINCE, UNKNOWN_RUN)
+ */
+function deltaError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+const sameValue = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+/**
+ * Fields that differ between two versions of a listing
+ *
+ * @returns {Object} { field: { old, new } }, empty when nothing changed
+ */
+function diffFields(previous, current) {
+  const fields = {};
+  for (const field of COMPARED_FIELDS) {
+    if (!sameValue(previous[field], current[field])) {
+      fields[field] = { old: previous[field] ?? null, new: current[field] ?? null };
+    }
+  }
+  return fields;
+}
+
+/**
+ * Build one change entry
+ */
+function changeEntry(type, propertyId, fields, options = {}) {
+  return {
+    propertyId,
+    runId: options.runId || null,
+    type,
+    fields,
+    recordedAt: options.recordedAt || new Date().toISOString()
+  };
+}
+
+/**
+ * The change entry for a listing being saved
+ *
+ * @param {Object|null} previous - Stored record, null when new
+ * @param {Object} current - Record being saved
+ * @param {Object} options - { runId, recordedAt }
+ * @returns {Object|null} null when nothing changed
+ */
+function detectDelta(previous, current, options = {}) {
+  if (!previous) {
+    return changeEntry('added', current.propertyId, null, options);
+  }
+  const fields = diffFields(previous, current);
+  return Object.keys(fields).length ? changeEntry('changed', current.propertyId, fields, options) : null;
+}
+
+/**
+ * Change entries for listings marked as delisted
+ *
+ * @param {Array} events - delisted history events (lib/history.cjs)
+ */
+function removedEntries(events) {
+  return events.map(event => changeEntry('removed', event.propertyId, {
+    status: { old: event.previousStatus, new: event.status }
+  }, event));
+}
+
+/**
+ * Fold change entries (oldest first) into one change per listing
+ *
+ * @returns {Array} { type, propertyId, runId, recordedAt, fields }, in order of
+ *   each listing's last change; fields is null for added listings
+ */
+function collapseChanges(entries) {
+  const byProperty = new Map();
+  for (const entry of entries) {
+    const folded = byProperty.get(entry.propertyId);
+    if (!folded) {
+      byProperty.set(entry.propertyId, { ...entry, first: entry.type, fields: { ...entry.fields } });
+      continue;
+    }
+    for (const [field, values] of Object.entries(entry.fields || {})) {
+      folded.fields[field] = { old: folded.fields[field] ? folded.fields[field].old : values.old, new: values.new };
+    }
+    // Re-inserted so the map stays ordered by last change
+    byProperty.delete(entry.propertyId);
+    byProperty.set(entry.propertyId, { ...folded, type: entry.type, runId: entry.runId, recordedAt: entry.recordedAt });
+  }
+
+  const changes = [];
+  for (const { first, type, fields, ...entry } of byProperty.values()) {
+    const changed = Object.fromEntries(Object.entries(fields).filter(([, values]) => !sameValue(values.old, values.new)));
+    if (first === 'added') {
+      if (type !== 'removed') changes.push({ type: 'added', ...entry, fields: null });
+    } else if (type === 'removed') {
+      changes.push({ type, ...entry, fields: changed });
+    } else if (Object.keys(changed).length) {
+      changes.push({ type: 'changed', ...entry, fields: changed });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Resolve `since`: an ISO 8601 date or timestamp, a run ID (changes recorded
+ * after that run finished), or nothing for the last completed run before the
+ * latest one (the changes made by the latest run, including one still in
+ * progress; running and failed runs are never the starting point, and every
+ * change counts when there is no such run)
+ *
+ * @returns {Promise<{ since: string|null, sinceRun: string|null }>}
+ */
+async function resolveSince(repository, value) {
+  if (value === undefined || value === null || value === '') {
+    const [latest] = await repository.listRuns({ limit: 1 });
+    const completed = latest ? await repository.listRuns({ limit: 2, status: 'completed' }) : [];
+    const previous = completed.find(run => run.id !== latest.id);
+    return previous ? { since: previous.finishedAt || previous.startedAt, sinceRun: previous.id } : { since: null, sinceRun: null };
+  }
+  if (/^\d{4}-\d{2}-\d{2}/.test(value)) {
+    const time = new Date(value);
+    if (Number.isNaN(time.getTime())) {
+      throw deltaError('INVALID_SINCE', `since must be an ISO 8601 date or timestamp, or a run ID (got "${value}")`);
+    }
+    return { since: time.toISOString(), sinceRun: null };
+  }
+  const run = await repository.getRun(value);
+  if (!run) {
+    throw deltaError('UNKNOWN_RUN', `Unknown run "${value}" (expected a run ID from /api/runs or an ISO 8601 timestamp)`);
+  }
+  return { since: run.finishedAt || run.startedAt, sinceRun: run.id };
+}
+
+/**
+ * The delta since a timestamp or run: one change per listing, each with the
+ * listing as stored now (the last known record for removed listings)
+ *
+ * @param {Object} repository
+ * @param {Object} options - { since: timestamp | run ID | undefined }
+ * @returns {Promise<{ since, sinceRun, until, counts: { added, changed, removed }, changes: Array }>}
+ */
+async function loadDelta(repository, options = {}) {
+  const { since, sinceRun } = await resolveSince(repository, options.since);
+  const until = new Date().toISOString();
+  const entries = await repository.listChanges({ since, until });
+
+  const changes = [];
+  for (const change of collapseChanges(entries)) {
+    changes.push({ ...change, property: await repository.getProperty(change.propertyId) });
+  }
+  const counts = Object.fromEntries(CHANGE_TYPES.map(type => [type, changes.filter(change => change.type === type).length]));
+  return { since, sinceRun, until, counts, changes };
+}
+
+module.exports = {
+  CHANGE_TYPES,
+  IGNORED_FIELDS,
+  diffFields,
+  detectDelta,
+  removedEntries,
+  collapseChanges,
+  resolveSince,
+  loadDelta
+};
@@ -0,0 +1,271 @@
+/**
+ * Property Exports
+ *
+ * Writes scraped or stored properties to files or HTTP responses, in one
+ * of EXPORT_FORMATS:
+ *
+ *   json     pretty-printed array of canonical records
+ *   ndjson   one record per line (newline-delimited JSON), for streaming
+ *   geojson  FeatureCollection of Point features (longitude, latitude);
+ *            records without coordinates get a null geometry
+ *   csv      one row per property (lib/csv.cjs; `columns` picks the fields)
+ *   xlsx     Excel workbook with one "Properties" sheet (same columns as csv)
+ *   parquet  every schema field as a typed, optional column; lists and
+ *            nested objects as JSON strings, dates as ISO 8601 strings
+ *
+ * Records are written as they come, so an async iterable (e.g. stored
+ * listings read page by page) is never held in memory as a whole.
+ *
+ * File names come from a template (exportFileName): "properties-{date}"
+ * with {date} (YYYY-MM-DD), {timestamp} (YYYYMMDDTHHMMSSZ) and, for scrape
+ * runs, {runId} and {mode}; the format's extension is appended.
+ *
+ * Usage:
+ *   const file = await writeExport(properties, { format: 'parquet', outputDir: './out', name: 'properties-{timestamp}' });
+ *   await sendExport(res, properties, { format: 'xlsx', filename: 'properties-orlando' });
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline, finished } = require('stream/promises');
+const { PROPERTY_SCHEMA } = require('./schema.cjs');
+const { DEFAULT_COLUMNS, csvLines, cellText } = require('./csv.cjs');
+
+// Formats written when none are asked for
+const DEFAULT_FORMATS = ['json', 'csv'];
+
+// Parquet column type per property schema type
+const PARQUET_TYPES = {
+  string: 'UTF8',
+  number: 'DOUBLE',
+  integer: 'INT64',
+  boolean: 'BOOLEAN',
+  // ISO 8601 text: parquetjs-lite cannot read INT64 timestamps back on current Node
+  date: 'UTF8',
+  array: 'UTF8',
+  object: 'UTF8'
+};
+
+/**
+ * Export error with a code (UNKNOWN_FORMAT, INVALID_NAME_TEMPLATE)
+ */
+function exportError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * A JSON array as text chunks, formatted as JSON.stringify(array, null, 2)
+ */
+async function* jsonLines(properties) {
+  let first = true;
+  for await (const property of properties) {
+    yield `${first ? '[\n' : ',\n'}  ${JSON.stringify(property, null, 2).replace(/\n/g, '\n  ')}`;
+    first = false;
+  }
+  yield first ? '[]' : '\n]';
+}
+
+async function* ndjsonLines(properties) {
+  for await (const property of properties) {
+    yield JSON.stringify(property) + '\n';
+  }
+}
+
+/**
+ * One property as a GeoJSON Feature
+ */
+function toFeature(property) {
+  const { latitude, longitude, ...fields } = property;
+  const located = typeof latitude === 'number' && typeof longitude === 'number';
+  return {
+    type: 'Feature',
+    id: property.propertyId,
+    geometry: located ? { type: 'Point', coordinates: [longitude, latitude] } : null,
+    properties: fields
+  };
+}
+
+async function* geojsonLines(properties) {
+  let first = true;
+  yield '{"type":"FeatureCollection","features":[';
+  for await (const property of properties) {
+    yield (first ? '\n' : ',\n') + JSON.stringify(toFeature(property));
+    first = false;
+  }
+  yield first ? ']}\n' : '\n]}\n';
+}
+
+/**
+ * Writer for a text format: pipes its chunks into the stream
+ */
+function textWriter(lines) {
+  return (properties, stream, options) => pipeline(Readable.from(lines(properties, options)), stream);
+}
+
+/**
+ * A cell value for a spreadsheet: numbers and booleans stay typed, nested
+ * values are flattened as in CSV
+ */
+function sheetValue(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number' || typeof value === 'boolean') return value;
+  return cellText(value);
+}
+
+async function writeXlsx(properties, stream, options) {
+  // Loaded on first use: only spreadsheet exports need it
+  const ExcelJS = require('exceljs');
+  const columns = options.columns || DEFAULT_COLUMNS;
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  const sheet = workbook.addWorksheet('Properties', { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = columns.map(column => ({ header: column, key: column, width: Math.max(12, column.length + 2) }));
+  sheet.getRow(1).font = { bold: true };
+
+  for await (const property of properties) {
+    sheet.addRow(columns.map(column => sheetValue(property[column]))).commit();
+  }
+  await workbook.commit();
+}
+
+/**
+ * A record as a Parquet row: nested values as JSON, dates as ISO text, and
+ * missing values left out
+ */
+function parquetRow(property) {
+  const row = {};
+  for (const [field, { type }] of Object.entries(PROPERTY_SCHEMA)) {
+    const value = property[field];
+    if (value === null || value === undefined) continue;
+    row[field] = type === 'array' || type === 'object'
+      ? JSON.stringify(value)
+      : type === 'date' ? new Date(value).toISOString() : value;
+  }
+  return row;
+}
+
+async function writeParquet(properties, stream) {
+  // Loaded on first use: only Parquet exports need it
+  const { ParquetSchema, ParquetWriter } = require('parquetjs-lite');
+  const schema = new ParquetSchema(Object.fromEntries(
+    Object.entries(PROPERTY_SCHEMA).map(([field, { type }]) => [field, { type: PARQUET_TYPES[type], optional: true }])
+  ));
+  // Version 1 data pages: readable by every Parquet implementation
+  const writer = await ParquetWriter.openStream(schema, stream, { useDataPageV2: false });
+  for await (const property of properties) {
+    await writer.appendRow(parquetRow(property));
+  }
+  await writer.close();
+}
+
+const FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', write: textWriter(jsonLines) },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', write: textWriter(ndjsonLines) },
+  geojson: { contentType: 'application/geo+json; charset=utf-8', write: textWriter(geojsonLines) },
+  csv: { contentType: 'text/csv; charset=utf-8', write: textWriter(csvLines) },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', write: writeXlsx },
+  parquet: { contentType: 'application/vnd.apache.parquet', write: writeParquet }
+};
+
+const EXPORT_FORMATS = Object.keys(FORMATS);
+
+function getFormat(format) {
+  if (!FORMATS[format]) {
+    throw exportError('UNKNOWN_FORMAT', `Unknown export format "${format}" (expected one of: ${EXPORT_FORMATS.join(', ')})`);
+  }
+  return FORMATS[format];
+}
+
+/**
+ * Write properties to a writable stream in an export format; resolves
+ * once the stream has finished
+ *
+ * @param {Writable} stream - A file stream or HTTP response
+ * @param {Iterable|AsyncIterable} properties
+ * @param {Object} options - { format, columns (csv, xlsx) }
+ */
+async function exportTo(stream, properties, options) {
+  const { write } = getFormat(options.format);
+  try {
+    await Promise.all([finished(stream), write(properties, stream, options)]);
+  } catch (error) {
+    stream.destroy();
+    throw error;
+  }
+}
+
+/**
+ * File name (without extension) from a name template
+ *
+ * @param {string} template - e.g. "properties-{date}"
+ * @param {Object} values - Extra placeholders ({ runId, mode }), and `now`
+ */
+function exportFileName(template, values = {}) {
+  const { now = new Date(), ...extra } = values;
+  const fields = {
+    date: now.toISOString().split('T')[0],
+    timestamp: now.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z'),
+    ...extra
+  };
+  return template.replace(/\{(\w*)\}/g, (placeholder, name) => {
+    if (fields[name] === undefined || fields[name] === null) {
+      throw exportError('INVALID_NAME_TEMPLATE', `Unknown placeholder ${placeholder} in file name "${template}" (available: ${Object.keys(fields).map(field => `{${field}}`).join(', ')})`);
+    }
+    return String(fields[name]).replace(/[^\w.-]+/g, '-');
+  });
+}
+
+/**
+ * Write properties to <outputDir>/<name>.<format>
+ *
+ * @param {Iterable|AsyncIterable} properties
+ * @param {Object} options - { format, outputDir (created when missing, default cwd),
+ *   name: file name template (default "properties"), nameValues: extra
+ *   placeholders, columns }
+ * @returns {Promise<string>} Path of the written file
+ */
+async function writeExport(properties, options) {
+  const { format, outputDir = process.cwd(), name = 'properties' } = options;
+  getFormat(format);
+  const file = path.join(outputDir, `${exportFileName(name, options.nameValues)}.${format}`);
+  await fs.promises.mkdir(outputDir, { recursive: true });
+  await exportTo(fs.createWriteStream(file), properties, options);
+  return file;
+}
+
+/**
+ * Content-Disposition header for a download: a plain ASCII filename plus the
+ * exact name percent-encoded (RFC 6266), so quotes, line breaks or accents
+ * in a query parameter cannot break the header
+ */
+function contentDisposition(file) {
+  const ascii = file.replace(/[^\w.-]+/g, '-');
+  const encoded = encodeURIComponent(file).replace(/['()*!]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * Send properties as a file download
+ *
+ * @param {ServerResponse} res
+ * @param {Iterable|AsyncIterable} properties
+ * @param {Object} options - { format, columns, filename (without extension; may hold
+ *   request input, it is escaped) }
+ */
+async function sendExport(res, properties, options) {
+  const { contentType } = getFormat(options.format);
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', contentDisposition(`${options.filename || 'properties'}.${options.format}`));
+  await exportTo(res, properties, options);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  DEFAULT_FORMATS,
+  exportFileName,
+  exportTo,
+  writeExport,
+  sendExport
+};
@@ -0,0 +1,140 @@
+/**
+ * Property Search Filters
+ *
+ * Parses search filters from API query parameters and matches canonical
+ * property records against them, whatever source they came from.
+ *
+ * Usage:
+ *   const { filters, errors } = parseFilters(req.query);
+ *   if (errors.length) return res.status(400).json({ error: 'Invalid filters', details: errors });
+ *   const matches = properties.filter(property => matchesFilters(property, filters));
+ *
+ * Supported parameters:
+ *   minPrice, maxPrice, minBeds, minBaths, minSqft, maxSqft, yearBuiltMin,
+ *   maxHoa                      - non-negative numbers
+ *   propertyType, status        - one or more values, repeated
+ *                                 (?propertyType=Condo&propertyType=Townhouse)
+ *                                 or comma-separated
+ */
+
+const { PROPERTY_TYPES, LISTING_STATUSES, normalizePropertyType } = require('./schema.cjs');
+
+// Numeric filters: query parameter -> property field and comparison
+const NUMERIC_FILTERS = {
+  minPrice: { field: 'price', compare: 'min' },
+  maxPrice: { field: 'price', compare: 'max' },
+  minBeds: { field: 'bedrooms', compare: 'min' },
+  minBaths: { field: 'bathrooms', compare: 'min' },
+  minSqft: { field: 'sqft', compare: 'min' },
+  maxSqft: { field: 'sqft', compare: 'max' },
+  yearBuiltMin: { field: 'yearBuilt', compare: 'min' },
+  maxHoa: { field: 'hoaFee', compare: 'max' }
+};
+
+// Ranges whose lower bound must not exceed the upper bound
+const RANGES = [['minPrice', 'maxPrice'], ['minSqft', 'maxSqft']];
+
+const FILTER_PARAMS = [...Object.keys(NUMERIC_FILTERS), 'propertyType', 'status'];
+
+/**
+ * Split a single or repeated query value into trimmed, non-empty parts
+ */
+function listValues(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse and validate filter parameters
+ *
+ * @param {Object} query - Query parameters (other parameters are ignored)
+ * @returns {{ filters: Object, errors: Array<{ field: string, message: string }> }}
+ */
+function parseFilters(query = {}) {
+  const filters = {};
+  const errors = [];
+
+  for (const param of Object.keys(NUMERIC_FILTERS)) {
+    const raw = query[param];
+    if (raw === undefined || raw === '') continue;
+    const text = String(Array.isArray(raw) ? raw[raw.length - 1] : raw).trim();
+    const value = Number(text);
+    if (!text || !Number.isFinite(value) || value < 0) {
+      errors.push({ field: param, message: `must be a non-negative number (got "${text}")` });
+      continue;
+    }
+    filters[param] = value;
+  }
+
+  for (const [min, max] of RANGES) {
+    if (filters[min] !== undefined && filters[max] !== undefined && filters[min] > filters[max]) {
+      errors.push({ field: min, message: `must not be greater than ${max}` });
+    }
+  }
+
+  if (query.propertyType !== undefined && query.propertyType !== '') {
+    const types = [];
+    for (const value of listValues(query.propertyType)) {
+      const type = normalizePropertyType(value);
+      if (type === 'Other' && value.toLowerCase() !== 'other') {
+        errors.push({ field: 'propertyType', message: `must be one of: ${PROPERTY_TYPES.join(', ')} (got "${value}")` });
+      } else if (!types.includes(type)) {
+        types.push(type);
+      }
+    }
+    if (types.length) filters.propertyType = types;
+  }
+
+  if (query.status !== undefined && query.status !== '') {
+    const statuses = [];
+    for (const value of listValues(query.status)) {
+      const status = value.toLowerCase().replace(/[\s-]+/g, '_');
+      if (!LISTING_STATUSES.includes(status)) {
+        errors.push({ field: 'status', message: `must be one of: ${LISTING_STATUSES.join(', ')} (got "${value}")` });
+      } else if (!statuses.includes(status)) {
+        statuses.push(status);
+      }
+    }
+    if (statuses.length) filters.status = statuses;
+  }
+
+  return { filters, errors };
+}
+
+/**
+ * Check a property against parsed filters. A property without the value a
+ * filter needs does not match, except that no HOA fee counts as $0 for maxHoa.
+ */
+function matchesFilters(property, filters = {}) {
+  for (const [param, { field, compare }] of Object.entries(NUMERIC_FILTERS)) {
+    if (filters[param] === undefined) continue;
+    let value = property[field];
+    if (value === null || value === undefined) {
+      if (param !== 'maxHoa') return false;
+      value = 0;
+    }
+    if (compare === 'min' ? value < filters[param] : value > filters[param]) return false;
+  }
+
+  if (filters.propertyType && !filters.propertyType.includes(property.propertyType)) return false;
+  if (filters.status && !filters.status.includes(property.status)) return false;
+
+  return true;
+}
+
+/**
+ * Whether any filter is set
+ */
+function hasFilters(filters = {}) {
+  return Object.keys(filters).length > 0;
+}
+
+module.exports = {
+  FILTER_PARAMS,
+  parseFilters,
+  matchesFilters,
+  hasFilters
+};
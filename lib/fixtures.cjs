@@ -0,0 +1,91 @@
+/**
+ * HTML Fixture Record/Replay
+ *
+ * In "record" mode every page fetched by a source adapter is saved under
+ * <dir>/<source>/<city-slug>.html (<city-slug>-p2.html, ... for follow-up
+ * result pages) together with a .meta.json file. In
+ * "replay" mode adapters are not called at all and the saved page is parsed
+ * instead, so runs and tests work offline.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURE_MODES = ['record', 'replay'];
+
+/**
+ * File-name slug for a city, e.g. "St. Petersburg" -> "st-petersburg-fl"
+ */
+function citySlug(city) {
+  return `${city.name}-${city.state || 'FL'}`
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * Path of the fixture for a source/city/page
+ */
+function fixturePath(dir, source, city, extension = '.html', page = 1) {
+  const suffix = page > 1 ? `-p${page}` : '';
+  return path.join(dir, source, citySlug(city) + suffix + extension);
+}
+
+/**
+ * Read a recorded page
+ */
+function readFixture(dir, source, city, page = 1) {
+  const file = fixturePath(dir, source, city, '.html', page);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No fixture recorded for ${source} / ${city.name} page ${page} (${file})`);
+  }
+  return fs.readFileSync(file, 'utf8');
+}
+
+/**
+ * Save a fetched page and its metadata
+ */
+function writeFixture(dir, source, city, content, page = 1) {
+  const file = fixturePath(dir, source, city, '.html', page);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content), 'utf8');
+  fs.writeFileSync(
+    fixturePath(dir, source, city, '.meta.json', page),
+    JSON.stringify({
+      source,
+      city: { name: city.name, state: city.state, zip: city.zip, county: city.county },
+      page,
+      recordedAt: new Date().toISOString()
+    }, null, 2) + '\n',
+    'utf8'
+  );
+  return file;
+}
+
+/**
+ * List recorded fixtures as { source, slug, file, meta } entries
+ */
+function listFixtures(dir) {
+  if (!fs.existsSync(dir)) return [];
+
+  const fixtures = [];
+  for (const source of fs.readdirSync(dir).sort()) {
+    const sourceDir = path.join(dir, source);
+    if (!fs.statSync(sourceDir).isDirectory()) continue;
+
+    for (const name of fs.readdirSync(sourceDir).sort()) {
+      if (!name.endsWith('.html')) continue;
+      const slug = name.slice(0, -'.html'.length);
+      const metaFile = path.join(sourceDir, `${slug}.meta.json`);
+      fixtures.push({
+        source,
+        slug,
+        file: path.join(sourceDir, name),
+        meta: fs.existsSync(metaFile) ? JSON.parse(fs.readFileSync(metaFile, 'utf8')) : null
+      });
+    }
+  }
+  return fixtures;
+}
+
+module.exports = { FIXTURE_MODES, citySlug, fixturePath, readFixture, writeFixture, listFixtures };
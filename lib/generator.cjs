@@ -0,0 +1,149 @@
+/**
+ * Sample Property Generator
+ *
+ * Generates realistic, clearly synthetic (source: 'generator') property
+ * records. ZIP codes, coordinates, prices and property types come from the
+ * city's profile in the region catalog (lib/regions.cjs), so a Tampa record
+ * has a Tampa ZIP, sits inside Tampa and is priced like Tampa.
+ *
+ * Every property draws from its own PRNG seeded with `<seed>:<city>:<index>`,
+ * so the same seed, city and count always yield identical records - IDs and
+ * timestamps included - and a larger count only appends records.
+ *
+ * Usage:
+ *   generateProperties('Orlando', 10)                  // random
+ *   generateProperties('Orlando', 10, { seed: 123 })   // deterministic
+ */
+
+const { normalizeProperty } = require('./schema.cjs');
+const { createRandom, randomSeed } = require('./random.cjs');
+const { cityProfile } = require('./regions.cjs');
+
+// Timestamp used for seeded records so they never depend on the clock
+const SEEDED_TIMESTAMP = '2024-11-01T00:00:00.000Z';
+
+// With a filter, give up after this many candidates per requested property
+const MAX_CANDIDATES_PER_RESULT = 25;
+
+// Size, lot and HOA ranges per property type; lotFactor is lot size as a
+// multiple of living area (null: no lot of its own)
+const TYPE_SHAPES = {
+  'Single Family': { beds: [3, 5], sqft: [1200, 3200], lotFactor: [3, 6], hoaChance: 0.35, hoa: [25, 150] },
+  'Condo': { beds: [1, 3], sqft: [650, 1600], lotFactor: null, hoaChance: 1, hoa: [250, 650] },
+  'Townhouse': { beds: [2, 4], sqft: [1100, 2200], lotFactor: [1, 2], hoaChance: 1, hoa: [150, 400] },
+  'Multi-Family': { beds: [4, 8], sqft: [1800, 4000], lotFactor: [2, 4], hoaChance: 0, hoa: null }
+};
+const STREETS = ['Main St', 'Oak Ave', 'Palm Dr', 'Lake View Blvd', 'Sunset Way', 'Beach Rd', 'Pine St', 'Maple Ave'];
+const AGENTS = [
+  { name: 'John Smith', phone: '(407) 555-0101', email: 'john.smith@realty.com', broker: 'Keller Williams' },
+  { name: 'Sarah Johnson', phone: '(407) 555-0102', email: 'sarah.j@remax.com', broker: 'RE/MAX' },
+  { name: 'Mike Davis', phone: '(407) 555-0103', email: 'mdavis@century21.com', broker: 'Century 21' },
+  { name: 'Emily Brown', phone: '(407) 555-0104', email: 'ebrown@coldwell.com', broker: 'Coldwell Banker' }
+];
+const IMAGES = [
+  'https://images.unsplash.com/photo-1568605114967-8130f3a36994?w=800&q=80',
+  'https://images.unsplash.com/photo-1570129477492-45c003edd2be?w=800&q=80',
+  'https://images.unsplash.com/photo-1564013799919-ab600027ffc6?w=800&q=80',
+  'https://images.unsplash.com/photo-1600596542815-ffad4c1539a9?w=800&q=80'
+];
+
+/**
+ * Pick a property type according to the profile's type mix
+ */
+function pickPropertyType(mix, rng) {
+  const entries = Object.entries(mix).filter(([type, weight]) => TYPE_SHAPES[type] && weight > 0);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let roll = rng.next() * total;
+  for (const [type, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) return type;
+  }
+  return entries.length ? entries[entries.length - 1][0] : 'Single Family';
+}
+
+/**
+ * Generate one property from its own PRNG
+ */
+function generateProperty(profile, rng, scrapedAt) {
+  const city = profile.name;
+  const propertyType = pickPropertyType(profile.propertyTypeMix, rng);
+  const shape = TYPE_SHAPES[propertyType];
+  const beds = rng.int(shape.beds[0], shape.beds[1] + 1);
+  const baths = Math.max(1, beds - 1 - rng.int(0, 2)) + (rng.chance(0.5) ? 0.5 : 0);
+  const sqft = rng.int(shape.sqft[0], shape.sqft[1]);
+  const price = Math.floor((sqft * profile.medianPricePerSqft * rng.float(0.8, 1.25)) / 1000) * 1000;
+  const agent = rng.pick(AGENTS);
+  const propertyId = `ZPID${rng.int(0, 100000000)}`;
+  const { north, south, east, west } = profile.bounds;
+
+  return normalizeProperty({
+    propertyId,
+    mlsId: `MLS${rng.int(0, 1000000)}`,
+    streetAddress: `${100 + rng.int(0, 9900)} ${rng.pick(STREETS)}`,
+    city,
+    state: profile.state,
+    zipCode: rng.pick(profile.zips),
+    latitude: rng.float(south, north).toFixed(6),
+    longitude: rng.float(west, east).toFixed(6),
+    price,
+    bedrooms: beds,
+    bathrooms: baths,
+    sqft,
+    lotSize: shape.lotFactor ? Math.floor(sqft * rng.float(shape.lotFactor[0], shape.lotFactor[1])) : null,
+    yearBuilt: 1980 + rng.int(0, 44),
+    propertyType,
+    status: 'active',
+    daysOnMarket: rng.int(0, 90),
+    hoaFee: rng.chance(shape.hoaChance) ? rng.int(shape.hoa[0], shape.hoa[1]) : null,
+    images: IMAGES,
+    thumbnailUrl: `https://images.unsplash.com/photo-1568605114967-8130f3a36994?w=400&q=80`,
+    listingLink: `https://example.com/property/${propertyId}`,
+    description: `Beautiful ${beds} bedroom, ${baths} bathroom ${propertyType.toLowerCase()} in ${city}. This stunning property features ${sqft} sq ft of living space with modern amenities, updated kitchen, and spacious living areas. Great location close to schools, shopping, and entertainment. ${rng.chance(0.5) ? 'Recently renovated with new appliances and flooring.' : 'Move-in ready with excellent curb appeal.'} Perfect for ${beds >= 4 ? 'large families' : 'first-time buyers or investors'}.`,
+    agentName: agent.name,
+    agentPhone: agent.phone,
+    agentEmail: agent.email,
+    brokerName: agent.broker,
+    zestimate: Math.floor(price * rng.float(0.95, 1.05)),
+    rentZestimate: Math.floor(price * 0.006),
+    taxHistory: [
+      { year: 2024, value: Math.floor(price * 0.85), tax: Math.floor(price * 0.012) },
+      { year: 2023, value: Math.floor(price * 0.82), tax: Math.floor(price * 0.011) }
+    ],
+    schools: [
+      { name: `${city} Elementary School`, rating: 7 + rng.int(0, 3), distance: rng.float(0.5, 2.5), grades: 'K-5' },
+      { name: `${city} Middle School`, rating: 6 + rng.int(0, 4), distance: rng.float(1, 4), grades: '6-8' },
+      { name: `${city} High School`, rating: 7 + rng.int(0, 3), distance: rng.float(2, 6), grades: '9-12' }
+    ],
+    scrapedAt
+  }, { source: 'generator', city });
+}
+
+/**
+ * Generate sample properties for a city
+ *
+ * @param {string|Object} city - City name or { name, ... }
+ * @param {number} count - Number of properties
+ * @param {Object} options - { seed: string|number for reproducible output,
+ *                              filter: keep only properties it returns true for }
+ * @returns {Array} Canonical property records; with a filter, up to `count`
+ *   matching ones (the matches among the unfiltered sequence, in order)
+ */
+function generateProperties(city, count = 10, options = {}) {
+  const cityName = typeof city === 'string' ? city : city.name;
+  const profile = cityProfile(cityName);
+  const seeded = options.seed !== undefined && options.seed !== null && options.seed !== '';
+  const seed = seeded ? String(options.seed) : randomSeed();
+  const scrapedAt = seeded ? SEEDED_TIMESTAMP : new Date().toISOString();
+
+  const filter = options.filter || null;
+  const maxCandidates = filter ? count * MAX_CANDIDATES_PER_RESULT : count;
+
+  const properties = [];
+  for (let i = 0; i < maxCandidates && properties.length < count; i++) {
+    const property = generateProperty(profile, createRandom(`${seed}:${cityName}:${i}`), scrapedAt);
+    if (!filter || filter(property)) properties.push(property);
+  }
+  return properties;
+}
+
+module.exports = { generateProperties };
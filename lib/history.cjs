@@ -0,0 +1,100 @@
+/**
+ * Listing Change Tracking
+ *
+ * Compares what a run scraped with what was stored before and turns the
+ * difference into history events (the rows of the price_history table):
+ *
+ *   listed          first time the listing is seen
+ *   price_drop      price went down
+ *   price_increase  price went up
+ *   status_change   e.g. active -> pending -> sold
+ *   delisted        an active/pending listing the source no longer returns
+ *
+ * Event: { propertyId, runId, event, price, previousPrice, status,
+ *          previousStatus, recordedAt }
+ */
+
+const HISTORY_EVENTS = ['listed', 'price_drop', 'price_increase', 'status_change', 'delisted'];
+
+// Statuses a listing can be delisted from (sold listings are expected to disappear)
+const DELISTABLE_STATUSES = ['active', 'pending'];
+
+/**
+ * Build one history event
+ */
+function historyEvent(event, current, previous, options = {}) {
+  return {
+    propertyId: (current || previous).propertyId,
+    runId: options.runId || null,
+    event,
+    price: current ? current.price : previous.price,
+    previousPrice: previous ? previous.price : null,
+    status: current ? current.status : 'off_market',
+    previousStatus: previous ? previous.status : null,
+    recordedAt: options.recordedAt || new Date().toISOString()
+  };
+}
+
+/**
+ * Events for a listing scraped again (or for the first time)
+ *
+ * @param {Object|null} previous - Stored record ({ propertyId, price, status }), null when new
+ * @param {Object} current - Record from this run
+ * @param {Object} options - { runId, recordedAt }
+ * @returns {Array} History events, empty when nothing changed
+ */
+function detectChanges(previous, current, options = {}) {
+  if (!previous) {
+    return [historyEvent('listed', current, null, options)];
+  }
+
+  const events = [];
+  if (previous.price !== null && current.price !== null && previous.price !== current.price) {
+    events.push(historyEvent(current.price < previous.price ? 'price_drop' : 'price_increase', current, previous, options));
+  }
+  if (previous.status !== current.status) {
+    events.push(historyEvent('status_change', current, previous, options));
+  }
+  return events;
+}
+
+/**
+ * Stored listings to mark as delisted: active/pending ones in a scraped
+ * city/source pair that this run did not return
+ *
+ * @param {Array} stored - Stored records ({ propertyId, city, source, price, status })
+ * @param {Array<{ city: string, source: string }>} scope - Pairs whose results were complete
+ * @param {Iterable<string>} seen - propertyIds returned by this run
+ * @param {Object} options - { runId, recordedAt }
+ * @returns {Array} delisted events
+ */
+function detectDelistings(stored, scope, seen, options = {}) {
+  const pairs = new Set(scope.map(({ city, source }) => `${city}|${source}`));
+  const seenIds = new Set(seen);
+  return stored
+    .filter(property =>
+      pairs.has(`${property.city}|${property.source}`) &&
+      DELISTABLE_STATUSES.includes(property.status) &&
+      !seenIds.has(property.propertyId)
+    )
+    .map(property => historyEvent('delisted', null, property, options));
+}
+
+/**
+ * Count events by type: { listed, price_drop, ... }
+ */
+function summarizeChanges(events) {
+  const summary = Object.fromEntries(HISTORY_EVENTS.map(event => [event, 0]));
+  for (const { event } of events) {
+    summary[event]++;
+  }
+  return summary;
+}
+
+module.exports = {
+  HISTORY_EVENTS,
+  DELISTABLE_STATUSES,
+  detectChanges,
+  detectDelistings,
+  summarizeChanges
+};
@@ -0,0 +1,207 @@
+/**
+ * Shared HTTP Client
+ *
+ * Used by every source adapter. Retries transient failures with jittered
+ * exponential backoff, honors Retry-After, and classifies each response so
+ * that a blocked request (403, 429, captcha page) is never mistaken for an
+ * empty result page.
+ *
+ * Usage:
+ *   const http = createHttpClient({ retries: 3, timeout: 30000, onOutcome });
+ *   const { data } = await http.get(url, { headers });
+ *   await http.post(webhookUrl, body, { headers: { 'Content-Type': 'application/json' } });
+ *
+ * Failed requests throw an Error whose `code` is one of ERROR_CODES and
+ * whose `outcome` is the final classification.
+ */
+
+const axios = require('axios');
+
+// Markers of bot-protection / captcha interstitials served with HTTP 200
+const CAPTCHA_PATTERNS = [
+  /px-captcha/i,
+  /g-recaptcha|hcaptcha/i,
+  /please verify you are a human/i,
+  /press (?:&amp;|&) hold/i,
+  /access to this page has been denied/i,
+  /_sec\/cp_challenge/i
+];
+
+const ERROR_CODES = {
+  blocked: 'BLOCKED',
+  not_found: 'NOT_FOUND',
+  http_error: 'HTTP_ERROR',
+  timeout: 'TIMEOUT',
+  network: 'NETWORK'
+};
+
+// Outcomes worth another attempt; a blocked request is only retried when
+// it was rate limited (HTTP 429), never for a 403 or a captcha page
+const RETRYABLE = new Set(['server_error', 'timeout', 'network']);
+
+const isRetryable = (outcome, status) => RETRYABLE.has(outcome) || (outcome === 'blocked' && status === 429);
+
+const defaultSleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Classify an HTTP response
+ *
+ * @returns {string} ok | blocked | not_found | server_error | http_error
+ */
+function classifyResponse(status, body) {
+  if (status === 403 || status === 429) return 'blocked';
+  if (status === 404 || status === 410) return 'not_found';
+  if (status >= 500) return 'server_error';
+  if (status < 200 || status >= 400) return 'http_error';
+  if (typeof body === 'string' && CAPTCHA_PATTERNS.some(pattern => pattern.test(body))) return 'blocked';
+  return 'ok';
+}
+
+/**
+ * Classify a request that produced no response
+ *
+ * @returns {string} timeout | network
+ */
+function classifyError(error) {
+  const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || /timeout/i.test(error.message);
+  return timedOut ? 'timeout' : 'network';
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Backoff before retry `attempt` (1-based): a random delay in the upper half
+ * of an exponentially growing window, capped at maxDelayMs
+ */
+function backoffDelay(attempt, baseDelayMs, maxDelayMs, random = Math.random) {
+  const window = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.floor(window / 2 + random() * window / 2);
+}
+
+/**
+ * Build the error thrown for a failed request
+ */
+function requestError(url, outcome, status, cause) {
+  const reason = status ? `HTTP ${status}` : (cause && cause.message) || outcome;
+  const error = new Error(outcome === 'blocked'
+    ? `Blocked by ${new URL(url).host} (${reason})`
+    : `Request to ${url} failed (${reason})`);
+  error.code = ERROR_CODES[outcome] || ERROR_CODES.http_error;
+  error.outcome = outcome;
+  error.status = status || null;
+  return error;
+}
+
+/**
+ * Create an HTTP client
+ *
+ * @param {Object} options
+ * @param {number} options.retries - Extra attempts after the first (default 3)
+ * @param {number} options.timeout - Per-request timeout in ms
+ * @param {number} options.retryBaseDelayMs - First backoff window
+ * @param {number} options.retryMaxDelayMs - Largest backoff / Retry-After wait
+ * @param {string} options.userAgent - Default User-Agent header
+ * @param {Function} options.onOutcome - Called after every attempt with
+ *   { url, host, outcome, status, attempt, willRetry, durationMs }
+ * @param {Object} options.limiter - Rate limiter ({ acquire(host) }, see
+ *   lib/rate-limiter.cjs); every attempt, retries included, waits for a slot
+ * @param {Function} options.request - Transport (defaults to axios.request)
+ * @param {Function} options.sleep - Delay function (injectable for tests)
+ */
+function createHttpClient(options = {}) {
+  const {
+    retries = 3,
+    timeout = 30000,
+    retryBaseDelayMs = 1000,
+    retryMaxDelayMs = 30000,
+    userAgent,
+    onOutcome = () => {},
+    limiter = null,
+    request = axios.request,
+    sleep = defaultSleep
+  } = options;
+
+  /**
+   * Send a request, retrying transient failures
+   *
+   * @returns {Promise<{ status: number, data: any, headers: Object, attempts: number }>}
+   */
+  async function send(method, url, requestOptions = {}) {
+    const maxAttempts = 1 + (requestOptions.retries !== undefined ? requestOptions.retries : retries);
+    const host = new URL(url).host;
+    const headers = { ...(userAgent ? { 'User-Agent': userAgent } : {}), ...requestOptions.headers };
+
+    for (let attempt = 1; ; attempt++) {
+      if (limiter) await limiter.acquire(host);
+      const started = Date.now();
+      let response = null;
+      let outcome;
+      let failure = null;
+
+      try {
+        response = await request({
+          method,
+          url,
+          headers,
+          data: requestOptions.data,
+          timeout: requestOptions.timeout || timeout,
+          validateStatus: () => true
+        });
+        outcome = classifyResponse(response.status, response.data);
+      } catch (error) {
+        failure = error;
+        outcome = classifyError(error);
+      }
+
+      const status = response ? response.status : null;
+      const willRetry = isRetryable(outcome, status) && attempt < maxAttempts;
+      onOutcome({ url, host, outcome, status, attempt, willRetry, durationMs: Date.now() - started });
+
+      if (outcome === 'ok') {
+        return { status, data: response.data, headers: response.headers || {}, attempts: attempt };
+      }
+      if (!willRetry) {
+        throw requestError(url, outcome, status, failure);
+      }
+
+      const retryAfter = response ? parseRetryAfter((response.headers || {})['retry-after']) : null;
+      const wait = retryAfter !== null
+        ? Math.min(retryAfter, retryMaxDelayMs)
+        : backoffDelay(attempt, retryBaseDelayMs, retryMaxDelayMs);
+      await sleep(wait);
+    }
+  }
+
+  /**
+   * GET a URL, retrying transient failures
+   */
+  function get(url, requestOptions = {}) {
+    return send('GET', url, requestOptions);
+  }
+
+  /**
+   * POST a body (a string is sent as is), retrying transient failures
+   */
+  function post(url, data, requestOptions = {}) {
+    return send('POST', url, { ...requestOptions, data });
+  }
+
+  return { get, post };
+}
+
+module.exports = {
+  ERROR_CODES,
+  createHttpClient,
+  classifyResponse,
+  parseRetryAfter,
+  backoffDelay
+};
@@ -0,0 +1,13 @@
+/**
+ * Console logging utilities shared by the scrapers and lib modules
+ */
+
+const log = {
+  info: (msg) => console.log(`ℹ️  ${msg}`),
+  success: (msg) => console.log(`✅ ${msg}`),
+  error: (msg) => console.error(`❌ ${msg}`),
+  warn: (msg) => console.warn(`⚠️  ${msg}`),
+  debug: (msg) => process.env.DEBUG && console.log(`🐛 ${msg}`)
+};
+
+module.exports = { log };
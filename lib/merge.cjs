@@ -0,0 +1,121 @@
+/**
+ * Cross-Source Record Merging
+ *
+ * Listings for the same address from different sources (matched on
+ * addressKey, see lib/address.cjs) are merged into one canonical record:
+ *
+ * - the record from the highest-priority source is the primary one and
+ *   keeps its propertyId, source and sourceId
+ * - every other field takes the first non-empty value in priority order;
+ *   provenance[field] names the source it came from when that is not the
+ *   primary source
+ * - sourceLinks lists every listing the record was built from
+ *
+ * Usage:
+ *   const { properties, duplicates } = mergeProperties(records, { priority: ['zillow', 'realtor'] });
+ *   const record = attachToStored(property, storedAtSameAddress);
+ */
+
+const { PROPERTY_FIELDS } = require('./schema.cjs');
+const { addressKey } = require('./address.cjs');
+
+// Fields that identify the primary listing rather than describe the property
+const IDENTITY_FIELDS = ['propertyId', 'source', 'sourceId', 'sourceLinks', 'provenance', 'isSynthetic', 'scrapedAt'];
+
+const isEmpty = (value) => value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Union of the records' source links, one per source listing
+ */
+function mergeSourceLinks(records) {
+  const links = new Map();
+  for (const record of records) {
+    for (const link of record.sourceLinks || []) {
+      const key = `${link.source}|${link.sourceId || link.url}`;
+      if (!links.has(key)) links.set(key, link);
+    }
+  }
+  return [...links.values()];
+}
+
+/**
+ * Merge records describing the same property, highest priority first
+ *
+ * @param {Array} records - Canonical records, primary first
+ * @returns {Object} Merged canonical record
+ */
+function mergeRecords(records) {
+  const [primary] = records;
+  if (records.length === 1) return primary;
+
+  const merged = {};
+  const provenance = {};
+  for (const field of PROPERTY_FIELDS) {
+    if (IDENTITY_FIELDS.includes(field)) continue;
+    const from = records.find(record => !isEmpty(record[field])) || primary;
+    merged[field] = from[field] === undefined ? primary[field] : from[field];
+    const origin = (from.provenance && from.provenance[field]) || from.source;
+    if (!isEmpty(from[field]) && origin !== primary.source) {
+      provenance[field] = origin;
+    }
+  }
+
+  return {
+    propertyId: primary.propertyId,
+    source: primary.source,
+    sourceId: primary.sourceId,
+    ...merged,
+    sourceLinks: mergeSourceLinks(records),
+    provenance,
+    isSynthetic: records.every(record => record.isSynthetic),
+    scrapedAt: records.map(record => record.scrapedAt).sort().pop()
+  };
+}
+
+/**
+ * A freshly scraped record for a property that is already stored under
+ * another propertyId (same address, different source): keeps the stored
+ * propertyId so its row and history continue, and adds the new links
+ */
+function attachToStored(property, stored) {
+  if (!stored || stored.propertyId === property.propertyId) return property;
+  return {
+    ...property,
+    propertyId: stored.propertyId,
+    sourceLinks: mergeSourceLinks([property, stored])
+  };
+}
+
+/**
+ * Group records by address and merge each group
+ *
+ * @param {Array} properties - Canonical records from any sources
+ * @param {Object} options - { priority: source names, most trusted first
+ *   (sources not listed follow in the order they appear) }
+ * @returns {{ properties: Array, duplicates: number }} Merged records in
+ *   first-seen order, and how many records were folded into another
+ */
+function mergeProperties(properties, options = {}) {
+  const priority = options.priority || [];
+  const rank = (record) => {
+    const index = priority.indexOf(record.source);
+    return index === -1 ? priority.length : index;
+  };
+
+  const groups = new Map();
+  for (const property of properties) {
+    const key = addressKey(property) || `id:${property.propertyId}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(property);
+  }
+
+  const merged = [...groups.values()].map(group =>
+    mergeRecords(group.map((record, index) => ({ record, index }))
+      .sort((a, b) => rank(a.record) - rank(b.record) || a.index - b.index)
+      .map(({ record }) => record))
+  );
+
+  return { properties: merged, duplicates: properties.length - merged.length };
+}
+
+module.exports = { mergeRecords, mergeProperties, mergeSourceLinks, attachToStored };
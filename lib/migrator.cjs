@@ -0,0 +1,132 @@
+/**
+ * Schema Migrations
+ *
+ * The database schema is owned by the numbered files in migrations/
+ * (`<version>-<name>.cjs`, each exporting async up(db) and down(db)).
+ * Applied versions are recorded in the schema_migrations table, so `up`
+ * only runs what is pending and `down` reverts the newest first.
+ *
+ * Usage:
+ *   const migrator = createMigrator(connection);
+ *   await migrator.up();              // apply every pending migration
+ *   await migrator.down({ steps: 1 }); // revert the last one
+ *   await migrator.status();          // [{ version, name, applied, appliedAt }]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATIONS_TABLE = 'schema_migrations';
+const FILE_PATTERN = /^(\d+)-([\w-]+)\.cjs$/;
+
+/**
+ * Load migration modules from a directory, ordered by version
+ *
+ * @returns {Array<{ version: string, name: string, up: Function, down: Function }>}
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map(file => ({ file, match: file.match(FILE_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const migration = require(path.join(dir, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up(db) and down(db)`);
+      }
+      return { version: match[1], name: match[2], up: migration.up, down: migration.down };
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+
+  const versions = new Set();
+  for (const { version } of migrations) {
+    if (versions.has(version)) throw new Error(`Duplicate migration version ${version} in ${dir}`);
+    versions.add(version);
+  }
+  return migrations;
+}
+
+/**
+ * Create a migrator on an open mysql2/promise connection
+ *
+ * @param {Object} connection - mysql2/promise connection
+ * @param {Object} options - { migrations (default: loadMigrations()),
+ *                             onMigrate(direction, migration) progress callback }
+ */
+function createMigrator(connection, options = {}) {
+  const migrations = options.migrations || loadMigrations();
+  const onMigrate = options.onMigrate || (() => {});
+
+  async function ensureTable() {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+        version VARCHAR(20) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        appliedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  async function appliedVersions() {
+    await ensureTable();
+    const [rows] = await connection.query(`SELECT version, appliedAt FROM ${MIGRATIONS_TABLE}`);
+    return new Map(rows.map(row => [String(row.version), row.appliedAt]));
+  }
+
+  /**
+   * Every known migration and whether it has been applied
+   */
+  async function status() {
+    const applied = await appliedVersions();
+    return migrations.map(({ version, name }) => ({
+      version,
+      name,
+      applied: applied.has(version),
+      appliedAt: applied.get(version) || null
+    }));
+  }
+
+  /**
+   * Apply pending migrations in order, up to and including version `to`
+   *
+   * @returns {Promise<Array>} The migrations applied
+   */
+  async function up({ to } = {}) {
+    const applied = await appliedVersions();
+    const pending = migrations.filter(migration =>
+      !applied.has(migration.version) && (to === undefined || Number(migration.version) <= Number(to))
+    );
+
+    for (const migration of pending) {
+      onMigrate('up', migration);
+      await migration.up(connection);
+      await connection.query(`INSERT INTO ${MIGRATIONS_TABLE} (version, name) VALUES (?, ?)`, [migration.version, migration.name]);
+    }
+    return pending;
+  }
+
+  /**
+   * Revert applied migrations, newest first: the last `steps` of them
+   * (default 1), or every one newer than version `to`
+   *
+   * @returns {Promise<Array>} The migrations reverted
+   */
+  async function down({ steps = 1, to } = {}) {
+    const applied = await appliedVersions();
+    const newestFirst = migrations.filter(migration => applied.has(migration.version)).reverse();
+    const reverting = to !== undefined
+      ? newestFirst.filter(migration => Number(migration.version) > Number(to))
+      : newestFirst.slice(0, steps);
+
+    for (const migration of reverting) {
+      onMigrate('down', migration);
+      await migration.down(connection);
+      await connection.query(`DELETE FROM ${MIGRATIONS_TABLE} WHERE version = ?`, [migration.version]);
+    }
+    return reverting;
+  }
+
+  return { status, up, down };
+}
+
+module.exports = { MIGRATIONS_DIR, loadMigrations, createMigrator };
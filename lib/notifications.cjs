@@ -0,0 +1,163 @@
+/**
+ * Saved Search Notifications
+ *
+ * Delivers the matches of a saved search (lib/saved-searches.cjs) to its
+ * targets:
+ *
+ *   webhook  POST of the JSON payload, signed with HMAC-SHA256, retried on
+ *            server errors, timeouts and 429 (lib/http.cjs)
+ *   outbox   the payload appended as one line to an NDJSON file
+ *   digest   an email-ready message (.eml: headers and a plain-text body)
+ *            written to a directory, for a mailer or a person to pick up
+ *
+ * Webhook requests carry:
+ *
+ *   X-Signature-Timestamp: <unix seconds>
+ *   X-Signature-256: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the secret>
+ *
+ * Receivers recompute the signature over the raw body and reject requests
+ * whose timestamp is too old.
+ *
+ * Payload: { search, runId, generatedAt, count, matches: [{ event, propertyId,
+ *   price, previousPrice, status, property }] }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createHttpClient } = require('./http.cjs');
+
+const TARGET_TYPES = ['webhook', 'outbox', 'digest'];
+
+const EVENT_LABELS = {
+  listed: 'New listing',
+  price_drop: 'Price drop',
+  price_increase: 'Price increase',
+  status_change: 'Status change'
+};
+
+/**
+ * The payload sent for one search's matches
+ *
+ * @param {Object} search - { name }
+ * @param {Array} matches - { event (lib/history.cjs), property }
+ * @param {Object} options - { runId, now }
+ */
+function buildPayload(search, matches, options = {}) {
+  return {
+    search: search.name,
+    runId: options.runId || null,
+    generatedAt: (options.now || new Date()).toISOString(),
+    count: matches.length,
+    matches: matches.map(({ event, property }) => ({
+      event: event.event,
+      propertyId: property.propertyId,
+      price: event.price,
+      previousPrice: event.previousPrice,
+      status: property.status,
+      property
+    }))
+  };
+}
+
+/**
+ * Signature header value for a webhook body
+ */
+function signPayload(body, secret, timestamp) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+const money = (value) => (typeof value === 'number' ? `$${value.toLocaleString('en-US')}` : 'n/a');
+
+/**
+ * A payload as an email-ready plain-text message
+ *
+ * @param {Object} payload
+ * @param {Object} target - { to, from }
+ */
+function formatDigest(payload, target = {}) {
+  const lines = payload.matches.map(match => {
+    const { property } = match;
+    const price = match.event === 'listed' || match.previousPrice === null
+      ? money(match.price)
+      : `${money(match.previousPrice)} -> ${money(match.price)}`;
+    const facts = [
+      property.bedrooms !== null && property.bedrooms !== undefined ? `${property.bedrooms} bd` : null,
+      property.bathrooms !== null && property.bathrooms !== undefined ? `${property.bathrooms} ba` : null,
+      property.sqft ? `${property.sqft.toLocaleString('en-US')} sqft` : null
+    ].filter(Boolean).join(', ');
+    return [
+      `- ${EVENT_LABELS[match.event] || match.event}: ${property.streetAddress}, ${property.city} ${property.zipCode || ''}`.trimEnd(),
+      `  ${price}${facts ? ` | ${facts}` : ''}`,
+      property.listingLink ? `  ${property.listingLink}` : null
+    ].filter(Boolean).join('\r\n');
+  });
+
+  const headers = [
+    target.from ? `From: ${target.from}` : null,
+    target.to ? `To: ${target.to}` : null,
+    `Subject: ${payload.count} update${payload.count === 1 ? '' : 's'} for saved search "${payload.search}"`,
+    `Date: ${new Date(payload.generatedAt).toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8'
+  ].filter(Boolean);
+
+  return [
+    ...headers,
+    '',
+    `Saved search "${payload.search}"${payload.runId ? ` (run ${payload.runId})` : ''}:`,
+    '',
+    ...lines,
+    ''
+  ].join('\r\n');
+}
+
+/**
+ * Deliver a payload to one target
+ *
+ * @param {Object} target - { type, url, secret, retries } | { type, file } | { type, dir, to, from }
+ * @param {Object} payload
+ * @param {Object} options - { http: client from lib/http.cjs (for tests), now }
+ * @returns {Promise<{ type: string, target: string, attempts: number }>}
+ */
+async function deliver(target, payload, options = {}) {
+  if (target.type === 'webhook') {
+    const http = options.http || createHttpClient({ retries: target.retries, timeout: 10000 });
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor((options.now || new Date()).getTime() / 1000);
+    const { attempts } = await http.post(target.url, body, {
+      retries: target.retries,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'florida-property-scraper',
+        'X-Signature-Timestamp': String(timestamp),
+        'X-Signature-256': signPayload(body, target.secret, timestamp)
+      }
+    });
+    return { type: target.type, target: target.url, attempts };
+  }
+
+  if (target.type === 'outbox') {
+    await fs.promises.mkdir(path.dirname(target.file), { recursive: true });
+    await fs.promises.appendFile(target.file, JSON.stringify(payload) + '\n');
+    return { type: target.type, target: target.file, attempts: 1 };
+  }
+
+  if (target.type === 'digest') {
+    const stamp = payload.generatedAt.replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+    const file = path.join(target.dir, `${payload.search.replace(/[^\w.-]+/g, '-')}-${stamp}.eml`);
+    await fs.promises.mkdir(target.dir, { recursive: true });
+    await fs.promises.writeFile(file, formatDigest(payload, target));
+    return { type: target.type, target: file, attempts: 1 };
+  }
+
+  throw new Error(`Unknown delivery type "${target.type}" (expected one of: ${TARGET_TYPES.join(', ')})`);
+}
+
+module.exports = {
+  TARGET_TYPES,
+  buildPayload,
+  signPayload,
+  formatDigest,
+  deliver
+};
@@ -0,0 +1,171 @@
+/**
+ * Sorting and Cursor Pagination
+ *
+ * Orders property records and pages through them with opaque keyset
+ * cursors. A cursor holds the sort and the sort key of the last record
+ * returned, and the next page starts right after that key - so when the
+ * data is stored, records added or removed between requests never shift
+ * or repeat the rest of the pages.
+ *
+ * Usage:
+ *   const { paging, errors } = parsePaging(req.query);
+ *   const { properties, nextCursor, total } = pageProperties(all, paging);
+ *
+ * Query parameters:
+ *   sort      price | -price | sqft | pricePerSqft | daysOnMarket | yearBuilt
+ *             (a leading "-" sorts descending; ties are broken by propertyId)
+ *   pageSize  1..MAX_PAGE_SIZE; without pageSize or cursor nothing is paged
+ *   cursor    nextCursor from the previous page
+ */
+
+const SORT_FIELDS = {
+  price: (property) => property.price,
+  sqft: (property) => property.sqft,
+  pricePerSqft: (property) => (property.price && property.sqft ? property.price / property.sqft : null),
+  daysOnMarket: (property) => property.daysOnMarket,
+  yearBuilt: (property) => property.yearBuilt
+};
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Encode cursor state as an opaque URL-safe string
+ */
+function encodeCursor(state) {
+  return Buffer.from(JSON.stringify(state), 'utf8').toString('base64url');
+}
+
+/**
+ * Decode a cursor (null when it is not one of ours)
+ */
+function decodeCursor(cursor) {
+  try {
+    const state = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return state && typeof state === 'object' && typeof state.id === 'string' ? state : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse and validate sort / paging parameters
+ *
+ * @param {Object} query - Query parameters (other parameters are ignored)
+ * @returns {{ paging: { sort: string|null, pageSize: number|null, cursor: Object|null },
+ *             errors: Array<{ field: string, message: string }> }}
+ */
+function parsePaging(query = {}) {
+  const paging = { sort: null, pageSize: null, cursor: null };
+  const errors = [];
+
+  if (query.sort !== undefined && query.sort !== '') {
+    const sort = String(query.sort).trim();
+    if (!SORT_FIELDS[sort.replace(/^-/, '')]) {
+      errors.push({ field: 'sort', message: `must be one of: ${Object.keys(SORT_FIELDS).join(', ')} (optionally prefixed with "-")` });
+    } else {
+      paging.sort = sort;
+    }
+  }
+
+  if (query.pageSize !== undefined && query.pageSize !== '') {
+    const pageSize = Number(query.pageSize);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      errors.push({ field: 'pageSize', message: `must be an integer from 1 to ${MAX_PAGE_SIZE}` });
+    } else {
+      paging.pageSize = pageSize;
+    }
+  }
+
+  if (query.cursor !== undefined && query.cursor !== '') {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      errors.push({ field: 'cursor', message: 'is not a valid cursor' });
+    } else if ((cursor.sort || null) !== paging.sort) {
+      errors.push({ field: 'cursor', message: 'was issued for a different sort' });
+    } else {
+      paging.cursor = cursor;
+      paging.pageSize = paging.pageSize || cursor.pageSize || DEFAULT_PAGE_SIZE;
+    }
+  }
+
+  return { paging, errors };
+}
+
+/**
+ * Compare two sort keys ({ value, id }); missing values sort last in
+ * either direction
+ */
+function compareKeys(a, b, descending) {
+  const aMissing = a.value === null || a.value === undefined;
+  const bMissing = b.value === null || b.value === undefined;
+  if (aMissing !== bMissing) return aMissing ? 1 : -1;
+  if (!aMissing && a.value !== b.value) {
+    return (a.value < b.value ? -1 : 1) * (descending ? -1 : 1);
+  }
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+/**
+ * Sort key of a property for a sort parameter
+ */
+function sortKey(property, sort) {
+  const field = sort ? SORT_FIELDS[sort.replace(/^-/, '')] : null;
+  const value = field ? field(property) : null;
+  return { value: value === undefined ? null : value, id: property.propertyId };
+}
+
+/**
+ * Sort properties (by propertyId when no sort is given)
+ *
+ * @returns {Array} A new, sorted array
+ */
+function sortProperties(properties, sort = null) {
+  const descending = Boolean(sort && sort.startsWith('-'));
+  return properties
+    .map(property => ({ property, key: sortKey(property, sort) }))
+    .sort((a, b) => compareKeys(a.key, b.key, descending))
+    .map(({ property }) => property);
+}
+
+/**
+ * Sort and page properties
+ *
+ * @param {Array} properties - All matching properties
+ * @param {Object} paging - From parsePaging
+ * @param {Object} extra - Additional state to carry in nextCursor (e.g. { seed })
+ * @returns {{ properties: Array, nextCursor: string|null, total: number }}
+ */
+function pageProperties(properties, paging = {}, extra = {}) {
+  const { sort = null, pageSize = null, cursor = null } = paging;
+  const descending = Boolean(sort && sort.startsWith('-'));
+  let sorted = sort || pageSize || cursor ? sortProperties(properties, sort) : properties;
+
+  if (!pageSize) {
+    return { properties: sorted, nextCursor: null, total: sorted.length };
+  }
+
+  if (cursor) {
+    const after = { value: cursor.value === undefined ? null : cursor.value, id: cursor.id };
+    sorted = sorted.filter(property => compareKeys(sortKey(property, sort), after, descending) > 0);
+  }
+
+  const page = sorted.slice(0, pageSize);
+  const last = page[page.length - 1];
+  const nextCursor = sorted.length > pageSize
+    ? encodeCursor({ ...extra, sort, pageSize, ...sortKey(last, sort) })
+    : null;
+
+  return { properties: page, nextCursor, total: properties.length };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parsePaging,
+  sortProperties,
+  pageProperties,
+  encodeCursor,
+  decodeCursor
+};
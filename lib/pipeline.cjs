@@ -0,0 +1,209 @@
+/**
+ * Scrape Pipeline
+ *
+ * Runs source adapters for a city: fetch -> parse -> validate.
+ * Adapter failures are logged and yield no records so one broken site
+ * never stops the run.
+ *
+ * When context.fixtures is { mode: 'record' | 'replay', dir }, fetched pages
+ * are saved to / loaded from HTML fixtures (see lib/fixtures.cjs).
+ *
+ * Pacing is left to the rate limiter behind context.http, so cities and
+ * sources can be scraped in parallel without exceeding any site's rate.
+ */
+
+const fs = require('fs');
+const { validateProperty, clearInvalidFields } = require('./schema.cjs');
+const { fixturePath, readFixture, writeFixture } = require('./fixtures.cjs');
+const { runPool } = require('./pool.cjs');
+
+const describeErrors = errors => errors.map(e => `${e.field} ${e.message}`).join('; ');
+
+/**
+ * Check a normalized record against the schema
+ *
+ * Invalid optional fields are cleared with a warning; only a missing or
+ * invalid required field (ID, address, price, ...) rejects the record.
+ *
+ * @returns {Object|null} The record to keep, or null when it is rejected
+ */
+function checkProperty(property, log) {
+  const { property: cleaned, cleared } = clearInvalidFields(property);
+  const { valid, errors } = validateProperty(cleaned);
+  if (!valid) {
+    log.debug(`Skipping invalid ${property.source} record: ${describeErrors(errors)}`);
+    return null;
+  }
+  if (cleared.length > 0) {
+    log.warn(`Cleared invalid fields of ${cleaned.propertyId}: ${describeErrors(cleared)}`);
+  }
+  return cleaned;
+}
+
+/**
+ * Parse page content with an adapter and keep only schema-valid records,
+ * clearing invalid optional fields
+ *
+ * Pure: no network or file access, which is what the fixture tests exercise.
+ */
+function extractProperties(adapter, content, city, log) {
+  return adapter.parse(content, city)
+    .map(property => checkProperty(property, log))
+    .filter(Boolean);
+}
+
+/**
+ * Fetch one results page, honoring the record/replay fixture mode.
+ * Returns null in replay mode when a follow-up page was never recorded.
+ */
+async function loadContent(adapter, city, context, page) {
+  const fixtures = context.fixtures || {};
+
+  if (fixtures.mode === 'replay') {
+    if (page > 1 && !fs.existsSync(fixturePath(fixtures.dir, adapter.name, city, '.html', page))) {
+      return null;
+    }
+    return readFixture(fixtures.dir, adapter.name, city, page);
+  }
+
+  const content = await adapter.fetch(city, context, page);
+
+  if (fixtures.mode === 'record') {
+    const file = writeFixture(fixtures.dir, adapter.name, city, content, page);
+    context.log.info(`Recorded fixture ${file}`);
+  }
+
+  return content;
+}
+
+/**
+ * Scrape one city from one source, following result pages until the
+ * per-city cap is reached, a page has no new listings, or the adapter
+ * reports no further page
+ *
+ * @returns {Promise<{ properties: Array, complete: boolean }>} complete is
+ *   true when the source ran out of listings, i.e. nothing was cut off by the
+ *   cap, the page limit or a failed page
+ */
+async function scrapeSourcePages(adapter, city, context) {
+  const { log } = context;
+  const { maxPropertiesPerCity, maxPages } = context.config.scraper;
+  const limit = maxPropertiesPerCity || Infinity;
+  const properties = [];
+  const seen = new Set();
+  let complete = false;
+
+  log.info(`Scraping ${adapter.label} for ${city.name}, ${city.state}...`);
+
+  for (let page = 1; page <= (maxPages || 1) && properties.length < limit; page++) {
+    let content;
+    let extracted;
+    try {
+      content = await loadContent(adapter, city, context, page);
+      if (content === null) break;
+      extracted = extractProperties(adapter, content, city, log);
+    } catch (error) {
+      if (page === 1) {
+        if (error.code === 'BLOCKED') {
+          log.warn(`${adapter.label} blocked the request for ${city.name}: ${error.message}`);
+        } else {
+          log.error(`${adapter.label} scraping failed: ${error.message}`);
+        }
+        return { properties: [], complete: false };
+      }
+      log.warn(`${adapter.label} page ${page} failed, keeping ${properties.length} properties: ${error.message}`);
+      break;
+    }
+
+    let added = 0;
+    for (const property of extracted) {
+      if (seen.has(property.propertyId) || properties.length >= limit) continue;
+      seen.add(property.propertyId);
+      properties.push(property);
+      added++;
+    }
+    log.debug(`${adapter.label} page ${page}: ${added} new properties`);
+
+    if (added === 0 || !adapter.hasNextPage(content, page)) {
+      complete = properties.length < limit;
+      break;
+    }
+  }
+
+  log.success(`Found ${properties.length} properties on ${adapter.label}`);
+  return { properties, complete };
+}
+
+/**
+ * Scrape one city from one source (see scrapeSourcePages)
+ *
+ * @param {Object} adapter - Source adapter
+ * @param {Object} city - { name, state, zip }
+ * @param {Object} context - { config, log, http, fixtures }
+ * @returns {Promise<Array>} Valid canonical records, deduplicated by propertyId
+ */
+async function scrapeSource(adapter, city, context) {
+  const { properties } = await scrapeSourcePages(adapter, city, context);
+  return properties;
+}
+
+/**
+ * Scrape many cities from many sources with a bounded worker pool
+ *
+ * Every (city, source) pair is one task; at most
+ * context.config.scraper.concurrency tasks run at once.
+ *
+ * @returns {Promise<Array<{ city: Object, properties: Array, bySource: Object, complete: Object }>>}
+ *   In city order; bySource maps source name to its count and complete to
+ *   whether that source returned every listing it has (see scrapeSourcePages)
+ */
+async function scrapeCities(cities, adapters, context) {
+  const tasks = [];
+  for (const city of cities) {
+    for (const adapter of adapters) {
+      tasks.push({ city, adapter });
+    }
+  }
+
+  const found = await runPool(tasks, context.config.scraper.concurrency, ({ city, adapter }) =>
+    scrapeSourcePages(adapter, city, context)
+  );
+
+  return cities.map(city => {
+    const properties = [];
+    const bySource = {};
+    const complete = {};
+    tasks.forEach((task, index) => {
+      if (task.city !== city) return;
+      properties.push(...found[index].properties);
+      bySource[task.adapter.name] = found[index].properties.length;
+      complete[task.adapter.name] = found[index].complete;
+    });
+    return { city, properties, bySource, complete };
+  });
+}
+
+/**
+ * Scrape one city from every given source
+ *
+ * @returns {Promise<{ properties: Array, bySource: Object }>}
+ */
+async function scrapeCity(city, adapters, context) {
+  const [result] = await scrapeCities([city], adapters, context);
+  return { properties: result.properties, bySource: result.bySource };
+}
+
+/**
+ * Run the health check of every given source
+ *
+ * @returns {Promise<Object>} Map of source name to { ok, status, message }
+ */
+async function checkSources(adapters, context) {
+  const results = {};
+  for (const adapter of adapters) {
+    results[adapter.name] = await adapter.health(context);
+  }
+  return results;
+}
+
+module.exports = { extractProperties, scrapeSource, scrapeCity, scrapeCities, checkSources };
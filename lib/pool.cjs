@@ -0,0 +1,38 @@
+/**
+ * Bounded Worker Pool
+ *
+ * Runs an async worker over a list with at most `concurrency` calls in
+ * flight. Results keep the input order. A worker that throws rejects the
+ * pool once the in-flight calls have settled.
+ */
+
+/**
+ * @param {Array} items - Work items
+ * @param {number} concurrency - Maximum parallel workers
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+async function runPool(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failure = null;
+
+  async function runWorker() {
+    while (next < items.length && !failure) {
+      const index = next++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(concurrency || 1, items.length)) }, runWorker);
+  await Promise.all(workers);
+
+  if (failure) throw failure;
+  return results;
+}
+
+module.exports = { runPool };
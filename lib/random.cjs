@@ -0,0 +1,58 @@
+/**
+ * Seedable Pseudo-Random Number Generator
+ *
+ * mulberry32 seeded from a string hash, so the same seed always yields the
+ * same sequence on every machine and Node version.
+ *
+ * Usage:
+ *   const rng = createRandom('123:Orlando:0');
+ *   rng.int(1, 6); rng.pick(['a', 'b']); rng.chance(0.5);
+ */
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function hashSeed(value) {
+  let hash = 0x811c9dc5;
+  const text = String(value);
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a generator for a seed (any string or number)
+ */
+function createRandom(seed) {
+  let state = hashSeed(seed);
+
+  // mulberry32: uniform float in [0, 1)
+  function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  return {
+    next,
+    // Integer in [min, max)
+    int: (min, max) => min + Math.floor(next() * (max - min)),
+    // Float in [min, max)
+    float: (min, max) => min + next() * (max - min),
+    pick: (list) => list[Math.floor(next() * list.length)],
+    chance: (probability) => next() < probability
+  };
+}
+
+/**
+ * A fresh random seed for unseeded runs
+ */
+function randomSeed() {
+  return Math.floor(Math.random() * 4294967296).toString(36);
+}
+
+module.exports = { createRandom, hashSeed, randomSeed };
@@ -0,0 +1,93 @@
+/**
+ * Per-Host Token-Bucket Rate Limiter
+ *
+ * Each host gets its own bucket that refills at `requestsPerSecond` and holds
+ * at most `burst` tokens. acquire(host) resolves once a token is available;
+ * waiters for the same host are served in order, so no host ever sees more
+ * than its configured rate no matter how many workers share the limiter.
+ *
+ * Usage:
+ *   const limiter = createRateLimiter({ requestsPerSecond: 0.5, hosts: { 'www.zillow.com': { requestsPerSecond: 0.25 } } });
+ *   await limiter.acquire('www.zillow.com');
+ */
+
+const defaultSleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Parse "host=rate,host=rate" (e.g. from RATE_LIMITS) into per-host settings
+ */
+function parseRateLimits(text) {
+  const hosts = {};
+  for (const entry of String(text || '').split(',')) {
+    const [host, rate] = entry.split('=').map(part => part && part.trim());
+    if (host && Number(rate) > 0) {
+      hosts[host] = { requestsPerSecond: Number(rate) };
+    }
+  }
+  return hosts;
+}
+
+/**
+ * Create a rate limiter
+ *
+ * @param {Object} options
+ * @param {number} options.requestsPerSecond - Default rate for every host
+ * @param {number} options.burst - Default bucket size (requests allowed back to back)
+ * @param {Object} options.hosts - Per-host overrides: { host: { requestsPerSecond, burst } }
+ * @param {Function} options.now - Clock (injectable for tests)
+ * @param {Function} options.sleep - Delay function (injectable for tests)
+ */
+function createRateLimiter(options = {}) {
+  const {
+    requestsPerSecond = 0.5,
+    burst = 1,
+    hosts = {},
+    now = Date.now,
+    sleep = defaultSleep
+  } = options;
+
+  const buckets = new Map();
+
+  function getBucket(host) {
+    if (!buckets.has(host)) {
+      const settings = { requestsPerSecond, burst, ...hosts[host] };
+      buckets.set(host, {
+        rate: settings.requestsPerSecond / 1000,
+        capacity: Math.max(1, settings.burst),
+        tokens: Math.max(1, settings.burst),
+        updatedAt: now(),
+        queue: Promise.resolve()
+      });
+    }
+    return buckets.get(host);
+  }
+
+  function refill(bucket) {
+    const current = now();
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (current - bucket.updatedAt) * bucket.rate);
+    bucket.updatedAt = current;
+  }
+
+  async function take(bucket) {
+    refill(bucket);
+    while (bucket.tokens < 1) {
+      await sleep(Math.ceil((1 - bucket.tokens) / bucket.rate));
+      refill(bucket);
+    }
+    bucket.tokens -= 1;
+  }
+
+  /**
+   * Wait for a request slot on a host
+   */
+  function acquire(host) {
+    const bucket = getBucket(host);
+    const turn = bucket.queue.then(() => take(bucket));
+    bucket.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  return { acquire };
+}
+
+module.exports = { createRateLimiter, parseRateLimits };
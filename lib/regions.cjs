@@ -0,0 +1,174 @@
+/**
+ * Region Catalog
+ *
+ * The single list of covered markets, shared by every entry point. The
+ * catalog (data/regions.json by default) defines each city - state, county,
+ * primary ZIP, all ZIPs, centroid and bounding box, median price per sqft and
+ * property-type mix - plus named groups of cities such as "Tampa Bay".
+ *
+ * Another catalog can be used with REGIONS_FILE=path or useRegionsFile(path)
+ * (the CLIs' --regions=path).
+ *
+ * Usage:
+ *   resolveCities()                        // every city in the catalog
+ *   resolveCities('Tampa Bay,Palm Coast')  // groups, counties and cities
+ *   cityProfile('Orlando').zips
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_REGIONS_FILE = path.join(__dirname, '..', 'data', 'regions.json');
+
+// Profile for cities outside the catalog: a generic Central Florida market
+const DEFAULT_PROFILE = {
+  name: null,
+  state: 'FL',
+  county: null,
+  zip: '32801',
+  zips: ['32801'],
+  centroid: { latitude: 28.5384, longitude: -81.3789 },
+  bounds: { north: 28.62, south: 28.35, east: -81.2, west: -81.51 },
+  medianPricePerSqft: 230,
+  propertyTypeMix: { 'Single Family': 0.6, 'Condo': 0.2, 'Townhouse': 0.15, 'Multi-Family': 0.05 }
+};
+
+let regionsFile = process.env.REGIONS_FILE || DEFAULT_REGIONS_FILE;
+let catalog = null;
+
+const key = (name) => String(name || '').trim().toLowerCase();
+
+/**
+ * Read and check a catalog file
+ *
+ * @param {string} file - Path to a catalog JSON file
+ * @returns {{ cities: Array<Object>, groups: Object<string, Array<string>> }}
+ */
+function loadRegions(file = DEFAULT_REGIONS_FILE) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot load region catalog ${file}: ${error.message}`);
+  }
+
+  if (!Array.isArray(data.cities) || data.cities.length === 0) {
+    throw new Error(`Region catalog ${file} has no cities`);
+  }
+
+  const cities = data.cities.map(city => {
+    if (!city.name) throw new Error(`Region catalog ${file} has a city without a name`);
+    const zips = Array.isArray(city.zips) && city.zips.length ? city.zips.map(String) : (city.zip ? [String(city.zip)] : []);
+    return { ...DEFAULT_PROFILE, ...city, state: city.state || 'FL', zip: city.zip ? String(city.zip) : zips[0] || null, zips };
+  });
+
+  const names = new Set(cities.map(city => key(city.name)));
+  const groups = data.groups || {};
+  for (const [group, members] of Object.entries(groups)) {
+    const unknown = (members || []).filter(name => !names.has(key(name)));
+    if (unknown.length) {
+      throw new Error(`Region group "${group}" in ${file} lists unknown cities: ${unknown.join(', ')}`);
+    }
+  }
+
+  return { file, cities, groups };
+}
+
+/**
+ * Switch to another catalog file (the next lookup loads it)
+ */
+function useRegionsFile(file) {
+  regionsFile = file || DEFAULT_REGIONS_FILE;
+  catalog = null;
+}
+
+/**
+ * The active catalog, loaded on first use
+ */
+function getRegions() {
+  if (!catalog) catalog = loadRegions(regionsFile);
+  return catalog;
+}
+
+/**
+ * Look up a catalog city by name (case-insensitive)
+ *
+ * @returns {Object|null}
+ */
+function getCity(name) {
+  return getRegions().cities.find(city => key(city.name) === key(name)) || null;
+}
+
+/**
+ * Resolve a selection of city names, group names and county names (an
+ * array or a comma-separated string) into catalog cities, in catalog order.
+ * An empty selection selects every city.
+ *
+ * @returns {Array<Object>} Catalog cities
+ * @throws {Error} code UNKNOWN_REGION for a name that is not a city, group
+ *   or county
+ */
+function resolveCities(selection) {
+  const { cities, groups } = getRegions();
+  const names = (Array.isArray(selection) ? selection : String(selection || '').split(','))
+    .map(name => String(name).trim())
+    .filter(Boolean);
+  if (names.length === 0) return cities.slice();
+
+  const selected = new Set();
+  for (const name of names) {
+    const group = Object.keys(groups).find(groupName => key(groupName) === key(name));
+    const city = getCity(name);
+    const matches = group
+      ? cities.filter(c => groups[group].some(member => key(member) === key(c.name)))
+      : city
+        ? [city]
+        : cities.filter(c => key(c.county) === key(name.replace(/\s+county$/i, '')));
+
+    if (matches.length === 0) {
+      const error = new Error(`Unknown city or region "${name}" (see ${getRegions().file})`);
+      error.code = 'UNKNOWN_REGION';
+      throw error;
+    }
+    matches.forEach(match => selected.add(match));
+  }
+
+  return cities.filter(city => selected.has(city));
+}
+
+/**
+ * City names to look up stored listings by: catalog cities, groups and
+ * counties expand to their cities, any other name is kept as given (stored
+ * listings may be outside the catalog)
+ *
+ * @returns {Array<string>} Empty for no selection (every city)
+ */
+function cityNames(selection) {
+  if (!selection) return [];
+  try {
+    return resolveCities(selection).map(city => city.name);
+  } catch (error) {
+    if (error.code !== 'UNKNOWN_REGION') throw error;
+    return [String(selection).trim()];
+  }
+}
+
+/**
+ * Market profile for a city; cities outside the catalog get DEFAULT_PROFILE
+ * under their own name
+ */
+function cityProfile(name) {
+  return getCity(name) || { ...DEFAULT_PROFILE, name };
+}
+
+module.exports = {
+  DEFAULT_REGIONS_FILE,
+  DEFAULT_PROFILE,
+  loadRegions,
+  useRegionsFile,
+  getRegions,
+  getCity,
+  resolveCities,
+  cityNames,
+  cityProfile
+};
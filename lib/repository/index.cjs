@@ -0,0 +1,71 @@
+/**
+ * Property Repository
+ *
+ * Storage behind the read API and the scraper's database writes. Every
+ * implementation has the same async interface:
+ *
+ *   saveProperties(properties, { runId })   -> { inserted, updated, failed, errors, changes, propertyIds }
+ *   delistMissing({ scope, seen, runId })   -> delisted events
+ *   getProperty(propertyId)                 -> property | null
+ *   getHistory(propertyId)                  -> history events, oldest first
+ *   findPriceDrops()                        -> propertyIds with a price_drop event
+ *   listChanges({ since, until })           -> change entries, oldest first
+ *   findProperties({ cities, filters, paging }) -> { properties, nextCursor, total }
+ *   saveRun(report) / getRun(id) / listRuns({ limit, status }) -> run reports (lib/runs.cjs)
+ *   close()
+ *
+ * Saving records listing changes (new listings, price and status changes,
+ * delistings) as history events; see lib/history.cjs. It also records which
+ * fields changed, for delta exports; see lib/delta.cjs.
+ *
+ * eachProperty() reads findProperties() results page by page, for exports
+ * that should not load every stored listing at once.
+ *
+ * openRepository() picks MySQL when DATABASE_URL is set, otherwise an
+ * in-memory store loaded from PROPERTIES_FILE (a scraper JSON export).
+ */
+
+const { createMemoryRepository, loadMemoryRepository } = require('./memory.cjs');
+const { createMySqlRepository, openMySqlRepository } = require('./mysql.cjs');
+const { decodeCursor } = require('../paging.cjs');
+
+/**
+ * Open the configured repository
+ *
+ * @param {Object} options - { databaseUrl, propertiesFile } (default to the
+ *   DATABASE_URL and PROPERTIES_FILE environment variables)
+ */
+async function openRepository(options = {}) {
+  const databaseUrl = options.databaseUrl !== undefined ? options.databaseUrl : process.env.DATABASE_URL;
+  if (databaseUrl) {
+    return openMySqlRepository(databaseUrl);
+  }
+
+  const propertiesFile = options.propertiesFile !== undefined ? options.propertiesFile : process.env.PROPERTIES_FILE;
+  return propertiesFile ? loadMemoryRepository(propertiesFile) : createMemoryRepository();
+}
+
+/**
+ * Every property matching a query, fetched one page at a time
+ *
+ * @param {Object} repository
+ * @param {Object} query - { cities, filters } as for findProperties
+ * @param {number} pageSize - Properties per page
+ */
+async function* eachProperty(repository, query = {}, pageSize = 500) {
+  let cursor = null;
+  do {
+    const page = await repository.findProperties({ ...query, paging: { sort: null, pageSize, cursor } });
+    yield* page.properties;
+    cursor = page.nextCursor ? decodeCursor(page.nextCursor) : null;
+  } while (cursor);
+}
+
+module.exports = {
+  openRepository,
+  eachProperty,
+  createMemoryRepository,
+  loadMemoryRepository,
+  createMySqlRepository,
+  openMySqlRepository
+};
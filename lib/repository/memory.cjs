@@ -0,0 +1,189 @@
+/**
+ * In-Memory Property Repository
+ *
+ * Same interface as the MySQL repository, holding canonical records in a
+ * Map. Used by the tests and for local runs without a database: point
+ * PROPERTIES_FILE at a scraper JSON export (e.g. properties.json) and the
+ * API serves those listings.
+ */
+
+const fs = require('fs');
+const { matchesFilters } = require('../filters.cjs');
+const { pageProperties } = require('../paging.cjs');
+const { detectChanges, detectDelistings } = require('../history.cjs');
+const { detectDelta, removedEntries } = require('../delta.cjs');
+const { addressKey } = require('../address.cjs');
+const { attachToStored } = require('../merge.cjs');
+
+const key = (value) => String(value || '').trim().toLowerCase();
+
+/**
+ * Create an in-memory repository
+ *
+ * @param {Array} properties - Initial canonical records
+ */
+function createMemoryRepository(properties = []) {
+  const store = new Map();
+  const byAddress = new Map();
+  const history = [];
+  const changeLog = [];
+  const runs = new Map();
+
+  const put = (property) => {
+    store.set(property.propertyId, property);
+    const key = addressKey(property);
+    if (key) byAddress.set(key, property.propertyId);
+  };
+  properties.forEach(put);
+
+  /**
+   * Insert or replace properties by propertyId, recording what changed. A
+   * property already stored at the same address under another propertyId
+   * (see lib/address.cjs) is saved under the stored one.
+   *
+   * @param {Object} options - { runId, recordedAt } for the history events
+   * @returns {Promise<{ inserted: number, updated: number, failed: number, errors: Array<string>,
+   *   changes: Array, propertyIds: Array<string> }>} propertyIds as stored, in input order
+   */
+  async function saveProperties(list, options = {}) {
+    let inserted = 0;
+    let updated = 0;
+    const changes = [];
+    const propertyIds = [];
+    for (const incoming of list) {
+      const key = addressKey(incoming);
+      const previous = store.get(incoming.propertyId) || (key && store.get(byAddress.get(key))) || null;
+      const property = attachToStored(incoming, previous);
+      if (previous) {
+        updated++;
+      } else {
+        inserted++;
+      }
+      changes.push(...detectChanges(previous, property, options));
+      const delta = detectDelta(previous, property, options);
+      if (delta) changeLog.push(delta);
+      put(property);
+      propertyIds.push(property.propertyId);
+    }
+    history.push(...changes);
+    return { inserted, updated, failed: 0, errors: [], changes, propertyIds };
+  }
+
+  /**
+   * Mark active/pending listings in the given city/source pairs that are not
+   * in `seen` as off_market
+   *
+   * @param {Object} query - { scope: Array<{ city, source }>, seen: Array<string>, runId, recordedAt }
+   * @returns {Promise<Array>} The delisted events
+   */
+  async function delistMissing(query) {
+    const events = detectDelistings([...store.values()], query.scope, query.seen, query);
+    for (const { propertyId } of events) {
+      store.set(propertyId, { ...store.get(propertyId), status: 'off_market' });
+    }
+    history.push(...events);
+    changeLog.push(...removedEntries(events));
+    return events;
+  }
+
+  /**
+   * History events for one property, oldest first
+   */
+  async function getHistory(propertyId) {
+    return history.filter(event => event.propertyId === propertyId);
+  }
+
+  /**
+   * propertyIds with at least one price_drop history event
+   */
+  async function findPriceDrops() {
+    return [...new Set(history.filter(({ event }) => event === 'price_drop').map(({ propertyId }) => propertyId))];
+  }
+
+  /**
+   * Change entries (lib/delta.cjs) recorded after `since` (all when null) up
+   * to `until`, oldest first
+   */
+  async function listChanges({ since = null, until = null } = {}) {
+    return changeLog.filter(entry =>
+      (since === null || new Date(entry.recordedAt) > new Date(since)) &&
+      (until === null || new Date(entry.recordedAt) <= new Date(until))
+    );
+  }
+
+  /**
+   * One property by propertyId (null when unknown)
+   */
+  async function getProperty(propertyId) {
+    return store.get(propertyId) || null;
+  }
+
+  /**
+   * Properties in the given cities (all when empty) matching the filters,
+   * sorted and paged
+   *
+   * @param {Object} query - { cities: Array<string>, filters (lib/filters.cjs),
+   *                          paging (lib/paging.cjs) }
+   * @returns {Promise<{ properties: Array, nextCursor: string|null, total: number }>}
+   */
+  async function findProperties(query = {}) {
+    const cities = new Set((query.cities || []).map(key));
+    const matching = [...store.values()].filter(property =>
+      (cities.size === 0 || cities.has(key(property.city))) && matchesFilters(property, query.filters)
+    );
+    return pageProperties(matching, query.paging);
+  }
+
+  /**
+   * Insert or replace a run report by id
+   */
+  async function saveRun(report) {
+    runs.set(report.id, report);
+  }
+
+  /**
+   * One run report by id (null when unknown)
+   */
+  async function getRun(id) {
+    return runs.get(id) || null;
+  }
+
+  /**
+   * The most recent run reports, newest first (only those with `status` when given)
+   */
+  async function listRuns({ limit = 20, status } = {}) {
+    return [...runs.values()]
+      .filter(run => !status || run.status === status)
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+      .slice(0, limit);
+  }
+
+  async function close() {}
+
+  return {
+    saveProperties,
+    delistMissing,
+    getProperty,
+    getHistory,
+    findPriceDrops,
+    listChanges,
+    findProperties,
+    saveRun,
+    getRun,
+    listRuns,
+    close
+  };
+}
+
+/**
+ * Create an in-memory repository from a JSON export of canonical records
+ */
+function loadMemoryRepository(file) {
+  const properties = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(properties)) {
+    throw new Error(`${file} does not contain an array of properties`);
+  }
+  return createMemoryRepository(properties);
+}
+
+module.exports = { createMemoryRepository, loadMemoryRepository };
@@ -0,0 +1,466 @@
+/**
+ * MySQL Property Repository
+ *
+ * The data-access module both scrapers and the read API go through. Works
+ * on the `properties` table created by the migrations in migrations/
+ * (run `npm run migrate` first). Indexed columns carry the fields the API
+ * filters and sorts on; the full canonical record is kept in the `data` JSON
+ * column so readers get back exactly what the scraper collected.
+ *
+ * Usage:
+ *   const repository = await openMySqlRepository(process.env.DATABASE_URL);
+ *   await repository.saveProperties(properties);
+ *   const { properties, nextCursor } = await repository.findProperties({ cities: ['Tampa'], filters, paging });
+ *   await repository.close();
+ */
+
+const mysql = require('mysql2/promise');
+const { PROPERTY_FIELDS, normalizeProperty } = require('../schema.cjs');
+const { encodeCursor } = require('../paging.cjs');
+const { DELISTABLE_STATUSES, detectChanges, detectDelistings } = require('../history.cjs');
+const { detectDelta, removedEntries } = require('../delta.cjs');
+const { addressKey } = require('../address.cjs');
+const { attachToStored } = require('../merge.cjs');
+
+const TABLE = 'properties';
+const MIGRATE_HINT = ' (run `npm run migrate` to create the database tables)';
+const HISTORY_TABLE = 'price_history';
+const RUNS_TABLE = 'scrape_runs';
+const CHANGES_TABLE = 'listing_changes';
+const CHANGE_COLUMNS = ['propertyId', 'runId', 'type', 'fields', 'recordedAt'];
+const HISTORY_COLUMNS = ['propertyId', 'runId', 'event', 'price', 'previousPrice', 'status', 'previousStatus', 'recordedAt'];
+
+// Canonical fields stored in their own column (everything else lives in `data`)
+const COLUMNS = [
+  'propertyId', 'source', 'sourceId', 'mlsId', 'streetAddress', 'city', 'state', 'zipCode',
+  'latitude', 'longitude', 'price', 'bedrooms', 'bathrooms', 'sqft', 'lotSize', 'yearBuilt',
+  'propertyType', 'status', 'daysOnMarket', 'hoaFee', 'zestimate', 'rentZestimate',
+  'listingLink', 'thumbnailUrl', 'isSynthetic'
+];
+
+// Written with every record: the normalized address it is matched on, the full record and its scrape time
+const EXTRA_COLUMNS = ['addressKey', 'data', 'scrapedAt'];
+
+// Columns refreshed when a stored property is scraped again
+const UPDATED_COLUMNS = [...COLUMNS.filter(column => column !== 'propertyId' && column !== 'source'), ...EXTRA_COLUMNS];
+
+// Numeric filters -> column and operator (see lib/filters.cjs)
+const FILTER_COLUMNS = {
+  minPrice: ['price', '>='],
+  maxPrice: ['price', '<='],
+  minBeds: ['bedrooms', '>='],
+  minBaths: ['bathrooms', '>='],
+  minSqft: ['sqft', '>='],
+  maxSqft: ['sqft', '<='],
+  yearBuiltMin: ['yearBuilt', '>=']
+};
+
+// Sort parameter -> SQL expression (see lib/paging.cjs)
+const SORT_EXPRESSIONS = {
+  price: 'price',
+  sqft: 'sqft',
+  pricePerSqft: 'ROUND(price / NULLIF(sqft, 0), 6)',
+  daysOnMarket: 'daysOnMarket',
+  yearBuilt: 'yearBuilt'
+};
+
+// mysql2 returns JSON columns parsed, but strings from some servers (MariaDB)
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+/**
+ * Turn a row back into a canonical record
+ */
+function rowToProperty(row) {
+  if (row.data) {
+    return parseJson(row.data);
+  }
+
+  // Rows without a stored record: rebuild it from the columns
+  const raw = {};
+  for (const field of PROPERTY_FIELDS) {
+    if (row[field] !== undefined) raw[field] = row[field];
+  }
+  raw.isSynthetic = Boolean(row.isSynthetic);
+  if (row.scrapedAt instanceof Date) raw.scrapedAt = row.scrapedAt.toISOString();
+  return normalizeProperty(raw, { source: row.source });
+}
+
+/**
+ * Column values for a canonical record, in COLUMNS then EXTRA_COLUMNS order
+ */
+function propertyToRow(property) {
+  return [
+    ...COLUMNS.map(column => (column === 'isSynthetic' ? (property.isSynthetic ? 1 : 0) : property[column] === undefined ? null : property[column])),
+    addressKey(property),
+    JSON.stringify(property),
+    new Date(property.scrapedAt)
+  ];
+}
+
+/**
+ * Turn a price_history row into a history event
+ */
+function rowToEvent(row) {
+  const event = {};
+  for (const column of HISTORY_COLUMNS) {
+    event[column] = row[column] === undefined ? null : row[column];
+  }
+  if (event.recordedAt instanceof Date) event.recordedAt = event.recordedAt.toISOString();
+  return event;
+}
+
+/**
+ * Turn a listing_changes row into a change entry
+ */
+function rowToChange(row) {
+  return {
+    propertyId: row.propertyId,
+    runId: row.runId === undefined ? null : row.runId,
+    type: row.type,
+    fields: parseJson(row.fields) || null,
+    recordedAt: row.recordedAt instanceof Date ? row.recordedAt.toISOString() : row.recordedAt
+  };
+}
+
+/**
+ * WHERE clause and parameters for a cities / filters query
+ */
+function whereClause(cities = [], filters = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (cities.length) {
+    conditions.push(`city IN (${cities.map(() => '?').join(', ')})`);
+    params.push(...cities);
+  }
+  for (const [param, [column, operator]] of Object.entries(FILTER_COLUMNS)) {
+    if (filters[param] === undefined) continue;
+    conditions.push(`${column} ${operator} ?`);
+    params.push(filters[param]);
+  }
+  if (filters.maxHoa !== undefined) {
+    conditions.push('COALESCE(hoaFee, 0) <= ?');
+    params.push(filters.maxHoa);
+  }
+  for (const field of ['propertyType', 'status']) {
+    if (!filters[field]) continue;
+    conditions.push(`${field} IN (${filters[field].map(() => '?').join(', ')})`);
+    params.push(...filters[field]);
+  }
+
+  return { conditions, params };
+}
+
+/**
+ * Create a repository on an open mysql2/promise connection
+ */
+function createMySqlRepository(connection) {
+  const upsert = `
+    INSERT INTO ${TABLE} (${[...COLUMNS, ...EXTRA_COLUMNS].join(', ')})
+    VALUES (${[...COLUMNS, ...EXTRA_COLUMNS].map(() => '?').join(', ')})
+    ON DUPLICATE KEY UPDATE
+    ${UPDATED_COLUMNS.map(column => `${column} = VALUES(${column})`).join(',\n    ')}
+  `;
+
+  /**
+   * Append history events to price_history
+   */
+  async function recordHistory(events) {
+    if (!events.length) return;
+    try {
+      await connection.query(
+        `INSERT INTO ${HISTORY_TABLE} (${HISTORY_COLUMNS.join(', ')}) VALUES ?`,
+        [events.map(event => HISTORY_COLUMNS.map(column => (column === 'recordedAt' ? new Date(event.recordedAt) : event[column])))]
+      );
+    } catch (error) {
+      if (error.code === 'ER_NO_SUCH_TABLE') error.message += MIGRATE_HINT;
+      throw error;
+    }
+  }
+
+  /**
+   * Append change entries to listing_changes
+   */
+  async function recordChanges(entries) {
+    if (!entries.length) return;
+    try {
+      await connection.query(
+        `INSERT INTO ${CHANGES_TABLE} (${CHANGE_COLUMNS.join(', ')}) VALUES ?`,
+        [entries.map(entry => [entry.propertyId, entry.runId, entry.type, entry.fields && JSON.stringify(entry.fields), new Date(entry.recordedAt)])]
+      );
+    } catch (error) {
+      if (error.code === 'ER_NO_SUCH_TABLE') error.message += MIGRATE_HINT;
+      throw error;
+    }
+  }
+
+  /**
+   * Insert or update properties by propertyId, recording what changed since
+   * the stored version in price_history and listing_changes; a row that fails is counted and
+   * skipped. A property already stored at the same address under another
+   * propertyId (see lib/address.cjs) is saved under the stored one.
+   *
+   * @param {Object} options - { runId, recordedAt } for the history events
+   * @returns {Promise<{ inserted: number, updated: number, failed: number, errors: Array<string>,
+   *   changes: Array, propertyIds: Array<string> }>} propertyIds as stored, in input order
+   */
+  async function saveProperties(properties, options = {}) {
+    let inserted = 0;
+    let updated = 0;
+    const errors = [];
+    const changes = [];
+    const deltas = [];
+    const propertyIds = [];
+    if (!properties.length) return { inserted, updated, failed: 0, errors, changes, propertyIds };
+
+    const keys = properties.map(addressKey).filter(Boolean);
+    let stored;
+    try {
+      [stored] = await connection.query(
+        `SELECT * FROM ${TABLE} WHERE propertyId IN (?) OR addressKey IN (?)`,
+        [properties.map(property => property.propertyId), keys.length ? keys : [null]]
+      );
+    } catch (error) {
+      if (error.code === 'ER_NO_SUCH_TABLE') error.message += MIGRATE_HINT;
+      throw error;
+    }
+    const previous = new Map();
+    const byAddress = new Map();
+    const remember = (property) => {
+      previous.set(property.propertyId, property);
+      const key = addressKey(property);
+      if (key) byAddress.set(key, property.propertyId);
+    };
+    stored.map(rowToProperty).forEach(remember);
+
+    for (const incoming of properties) {
+      const key = addressKey(incoming);
+      const before = previous.get(incoming.propertyId) || (key && previous.get(byAddress.get(key))) || null;
+      const property = attachToStored(incoming, before);
+      propertyIds.push(property.propertyId);
+
+      let result;
+      try {
+        [result] = await connection.execute(upsert, propertyToRow(property));
+      } catch (error) {
+        errors.push(`${property.propertyId}: ${error.message}`);
+        continue;
+      }
+
+      // MySQL reports 1 for an insert, 2 for an update and 0 for an unchanged row
+      if (result.affectedRows === 1) {
+        inserted++;
+      } else {
+        updated++;
+      }
+      changes.push(...detectChanges(before, property, options));
+      const delta = detectDelta(before, property, options);
+      if (delta) deltas.push(delta);
+      remember(property);
+    }
+
+    await recordHistory(changes);
+    await recordChanges(deltas);
+    return { inserted, updated, failed: errors.length, errors, changes, propertyIds };
+  }
+
+  /**
+   * Mark active/pending listings in the given city/source pairs that are not
+   * in `seen` as off_market
+   *
+   * @param {Object} query - { scope: Array<{ city, source }>, seen: Array<string>, runId, recordedAt }
+   * @returns {Promise<Array>} The delisted events
+   */
+  async function delistMissing(query) {
+    if (!query.scope.length) return [];
+
+    const [stored] = await connection.query(
+      `SELECT propertyId, city, source, price, status FROM ${TABLE}
+       WHERE (${query.scope.map(() => '(city = ? AND source = ?)').join(' OR ')})
+       AND status IN (?)`,
+      [...query.scope.flatMap(({ city, source }) => [city, source]), DELISTABLE_STATUSES]
+    );
+    const events = detectDelistings(stored, query.scope, query.seen, query);
+
+    for (const { propertyId } of events) {
+      await connection.execute(
+        `UPDATE ${TABLE} SET status = 'off_market', data = JSON_SET(data, '$.status', 'off_market') WHERE propertyId = ?`,
+        [propertyId]
+      );
+    }
+    await recordHistory(events);
+    await recordChanges(removedEntries(events));
+    return events;
+  }
+
+  /**
+   * History events for one property, oldest first
+   */
+  async function getHistory(propertyId) {
+    const [rows] = await connection.query(
+      `SELECT ${HISTORY_COLUMNS.join(', ')} FROM ${HISTORY_TABLE} WHERE propertyId = ? ORDER BY recordedAt ASC, id ASC`,
+      [propertyId]
+    );
+    return rows.map(rowToEvent);
+  }
+
+  /**
+   * propertyIds with at least one price_drop history event
+   */
+  async function findPriceDrops() {
+    const [rows] = await connection.query(`SELECT DISTINCT propertyId FROM ${HISTORY_TABLE} WHERE event = 'price_drop'`);
+    return rows.map(row => row.propertyId);
+  }
+
+  /**
+   * Change entries (lib/delta.cjs) recorded after `since` (all when null) up
+   * to `until`, oldest first
+   */
+  async function listChanges({ since = null, until = null } = {}) {
+    const conditions = [];
+    const params = [];
+    if (since !== null) {
+      conditions.push('recordedAt > ?');
+      params.push(new Date(since));
+    }
+    if (until !== null) {
+      conditions.push('recordedAt <= ?');
+      params.push(new Date(until));
+    }
+    const [rows] = await connection.query(
+      `SELECT ${CHANGE_COLUMNS.join(', ')} FROM ${CHANGES_TABLE}
+       ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY recordedAt ASC, id ASC`,
+      params
+    );
+    return rows.map(rowToChange);
+  }
+
+  /**
+   * One property by propertyId (null when unknown)
+   */
+  async function getProperty(propertyId) {
+    const [rows] = await connection.query(`SELECT * FROM ${TABLE} WHERE propertyId = ? LIMIT 1`, [propertyId]);
+    return rows.length ? rowToProperty(rows[0]) : null;
+  }
+
+  /**
+   * Properties in the given cities (all when empty) matching the filters,
+   * sorted and paged with keyset cursors computed in SQL
+   *
+   * @param {Object} query - { cities: Array<string>, filters (lib/filters.cjs),
+   *                          paging (lib/paging.cjs) }
+   * @returns {Promise<{ properties: Array, nextCursor: string|null, total: number }>}
+   */
+  async function findProperties(query = {}) {
+    const { sort = null, pageSize = null, cursor = null } = query.paging || {};
+    const { conditions, params } = whereClause(query.cities, query.filters);
+    const where = (list) => (list.length ? `WHERE ${list.join(' AND ')}` : '');
+
+    const [[{ total }]] = await connection.query(`SELECT COUNT(*) AS total FROM ${TABLE} ${where(conditions)}`, params);
+
+    const expression = sort ? SORT_EXPRESSIONS[sort.replace(/^-/, '')] : 'NULL';
+    const direction = sort && sort.startsWith('-') ? 'DESC' : 'ASC';
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+
+    if (cursor) {
+      if (cursor.value === null || cursor.value === undefined) {
+        pageConditions.push(`(${expression} IS NULL AND propertyId > ?)`);
+        pageParams.push(cursor.id);
+      } else {
+        const beyond = direction === 'DESC' ? '<' : '>';
+        pageConditions.push(`(${expression} IS NULL OR ${expression} ${beyond} ? OR (${expression} = ? AND propertyId > ?))`);
+        pageParams.push(cursor.value, cursor.value, cursor.id);
+      }
+    }
+
+    let sql = `SELECT *, ${expression} AS sortValue FROM ${TABLE} ${where(pageConditions)}
+               ORDER BY (${expression} IS NULL), ${expression} ${direction}, propertyId ASC`;
+    if (pageSize) {
+      sql += ' LIMIT ?';
+      pageParams.push(pageSize + 1);
+    }
+
+    const [rows] = await connection.query(sql, pageParams);
+    const page = pageSize ? rows.slice(0, pageSize) : rows;
+    const last = page[page.length - 1];
+    const nextCursor = pageSize && rows.length > pageSize
+      ? encodeCursor({ sort, pageSize, value: last.sortValue === undefined ? null : last.sortValue, id: last.propertyId })
+      : null;
+
+    return { properties: page.map(rowToProperty), nextCursor, total: Number(total) };
+  }
+
+  /**
+   * Insert or update a run report (see lib/runs.cjs) by id
+   */
+  async function saveRun(report) {
+    try {
+      await connection.execute(
+        `INSERT INTO ${RUNS_TABLE} (id, mode, status, options, report, startedAt, finishedAt)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE status = VALUES(status), report = VALUES(report), finishedAt = VALUES(finishedAt)`,
+        [
+          report.id,
+          report.mode,
+          report.status,
+          JSON.stringify(report.options),
+          JSON.stringify(report),
+          new Date(report.startedAt),
+          report.finishedAt ? new Date(report.finishedAt) : null
+        ]
+      );
+    } catch (error) {
+      if (error.code === 'ER_NO_SUCH_TABLE') error.message += MIGRATE_HINT;
+      throw error;
+    }
+  }
+
+  /**
+   * One run report by id (null when unknown)
+   */
+  async function getRun(id) {
+    const [rows] = await connection.query(`SELECT report FROM ${RUNS_TABLE} WHERE id = ? LIMIT 1`, [id]);
+    return rows.length ? parseJson(rows[0].report) : null;
+  }
+
+  /**
+   * The most recent run reports, newest first (only those with `status` when given)
+   */
+  async function listRuns({ limit = 20, status } = {}) {
+    const where = status ? 'WHERE status = ? ' : '';
+    const [rows] = await connection.query(
+      `SELECT report FROM ${RUNS_TABLE} ${where}ORDER BY startedAt DESC LIMIT ?`,
+      status ? [status, limit] : [limit]
+    );
+    return rows.map(row => parseJson(row.report));
+  }
+
+  async function close() {
+    await connection.end();
+  }
+
+  return {
+    saveProperties,
+    delistMissing,
+    getProperty,
+    getHistory,
+    findPriceDrops,
+    listChanges,
+    findProperties,
+    saveRun,
+    getRun,
+    listRuns,
+    close
+  };
+}
+
+/**
+ * Connect and create a repository
+ */
+async function openMySqlRepository(connectionString) {
+  return createMySqlRepository(await mysql.createConnection(connectionString));
+}
+
+module.exports = { createMySqlRepository, openMySqlRepository };
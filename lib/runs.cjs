@@ -0,0 +1,152 @@
+/**
+ * Scrape Run Reports
+ *
+ * Each scraper run gets an ID and a report that the run fills in as it
+ * goes; the report is returned by main(), persisted in the scrape_runs
+ * table and served by /api/runs.
+ *
+ * Report:
+ *   { id, status: running | completed | failed, mode, options,
+ *     startedAt, finishedAt, durationMs,
+ *     totals: { properties, synthetic, duplicates, failedCities },
+ *     cities: { [name]: { properties, synthetic, duplicates,
+ *                         sources: { [source]: { count, complete } } } },
+ *     sources: { [source]: count },
+ *     requests: { total, ok, blocked, failed, retried },
+ *     database: null | { inserted, updated, failed, changes: { listed, ... } },
+ *     notifications: null | { baseline, matches, delivered, failed, pending } (saved searches),
+ *     errors: [{ scope, message }] }
+ */
+
+const crypto = require('crypto');
+
+const RUN_STATUSES = ['running', 'completed', 'failed'];
+
+// Run modes:
+//   live               - scraped listings only
+//   sample             - generated listings only, no scraping
+//   live-with-fallback - scraped listings, generated ones for cities with none
+const RUN_MODES = ['live', 'sample', 'live-with-fallback'];
+
+/**
+ * New run ID: sortable start time plus a random suffix
+ */
+function createRunId(now = new Date()) {
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  return `run-${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Start a run report
+ *
+ * @param {Object} settings - { mode, options (as passed to the run), sources: names }
+ */
+function createRunReport(settings = {}) {
+  const now = new Date();
+  return {
+    id: createRunId(now),
+    status: 'running',
+    mode: settings.mode || null,
+    options: settings.options || {},
+    startedAt: now.toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    totals: { properties: 0, synthetic: 0, duplicates: 0, failedCities: 0 },
+    cities: {},
+    sources: Object.fromEntries((settings.sources || []).map(name => [name, 0])),
+    requests: { total: 0, ok: 0, blocked: 0, failed: 0, retried: 0 },
+    database: null,
+    notifications: null,
+    errors: []
+  };
+}
+
+/**
+ * Count one HTTP attempt (the http client's onOutcome event)
+ */
+function recordRequest(report, { outcome, willRetry }) {
+  report.requests.total++;
+  if (willRetry) {
+    report.requests.retried++;
+  } else if (outcome === 'ok') {
+    report.requests.ok++;
+  } else if (outcome === 'blocked') {
+    report.requests.blocked++;
+  } else {
+    report.requests.failed++;
+  }
+}
+
+/**
+ * Record the outcome for one city
+ *
+ * @param {Object} result - { properties, synthetic, duplicates, bySource, complete }
+ */
+function recordCity(report, name, result) {
+  const sources = {};
+  for (const [source, count] of Object.entries(result.bySource || {})) {
+    sources[source] = { count, complete: Boolean(result.complete && result.complete[source]) };
+    report.sources[source] = (report.sources[source] || 0) + count;
+  }
+  report.cities[name] = {
+    properties: result.properties,
+    synthetic: result.synthetic,
+    duplicates: result.duplicates,
+    sources
+  };
+  report.totals.properties += result.properties;
+  report.totals.synthetic += result.synthetic;
+  report.totals.duplicates += result.duplicates;
+}
+
+/**
+ * Record an error; scope names what failed (a city, "database", "run")
+ */
+function recordError(report, scope, message) {
+  report.errors.push({ scope, message });
+}
+
+/**
+ * Mark the run finished
+ *
+ * @param {string} status - completed | failed
+ */
+function finishRun(report, status = 'completed') {
+  const now = new Date();
+  report.status = status;
+  report.finishedAt = now.toISOString();
+  report.durationMs = now - new Date(report.startedAt);
+  return report;
+}
+
+/**
+ * The headline fields of a report, for run listings
+ */
+function runSummary(report) {
+  const { id, status, mode, startedAt, finishedAt, durationMs, totals, requests, database, errors } = report;
+  return {
+    id,
+    status,
+    mode,
+    startedAt,
+    finishedAt,
+    durationMs,
+    totals,
+    blockedRequests: requests.blocked,
+    inserted: database ? database.inserted : null,
+    updated: database ? database.updated : null,
+    errors: errors.length
+  };
+}
+
+module.exports = {
+  RUN_STATUSES,
+  RUN_MODES,
+  createRunId,
+  createRunReport,
+  recordRequest,
+  recordCity,
+  recordError,
+  finishRun,
+  runSummary
+};
@@ -0,0 +1,348 @@
+/**
+ * Saved Searches
+ *
+ * Stored filter sets evaluated after every scrape run. New listings and
+ * price drops (or any events a search asks for) that match are delivered
+ * to the search's targets (lib/notifications.cjs). Searches file:
+ *
+ *   {
+ *     "searches": [
+ *       {
+ *         "name": "orlando-starter-homes",
+ *         "city": "Orlando",
+ *         "filters": { "maxPrice": 400000, "minBeds": 3 },
+ *         "events": ["listed", "price_drop"],
+ *         "deliver": [
+ *           { "type": "webhook", "url": "https://crm.example.com/hooks/listings", "secretEnv": "CRM_WEBHOOK_SECRET" },
+ *           { "type": "outbox", "file": "outbox/orlando.ndjson" },
+ *           { "type": "digest", "dir": "outbox", "to": "agent@example.com" }
+ *         ]
+ *       }
+ *     ]
+ *   }
+ *
+ * "city" is a city, group or county from the region catalog (or a list;
+ * default every city), "filters" are the API search filters
+ * (lib/filters.cjs) and "events" default to listed and price_drop.
+ * Generated (synthetic) listings are skipped unless "includeSynthetic" is
+ * true. A webhook is signed with "secret", the variable named by
+ * "secretEnv", or WEBHOOK_SECRET.
+ *
+ * Events come from comparing each run with the price and status last seen
+ * per listing, kept in a state file; so they work with or without a
+ * database. The state also records the cities each search has seen: the
+ * first run in a city only records that city's baseline for the search, so
+ * a new search (or a search given more cities) does not report every
+ * existing listing as new. Matches whose delivery failed stay in the state
+ * and are sent again with the next run's matches for the same target.
+ * Relative outbox and digest paths are resolved from the searches file's
+ * directory.
+ *
+ * Usage:
+ *   const summary = await runSavedSearches(properties, { runId: report.id });
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { FILTER_PARAMS, parseFilters, matchesFilters } = require('./filters.cjs');
+const { resolveCities } = require('./regions.cjs');
+const { detectChanges } = require('./history.cjs');
+const { TARGET_TYPES, buildPayload, deliver } = require('./notifications.cjs');
+const { log: defaultLog } = require('./log.cjs');
+
+const DEFAULT_SEARCHES_FILE = path.join(__dirname, '..', 'data', 'saved-searches.json');
+
+// Events a search can ask for (delisted listings are never a match)
+const SEARCH_EVENTS = ['listed', 'price_drop', 'price_increase', 'status_change'];
+const DEFAULT_EVENTS = ['listed', 'price_drop'];
+
+/**
+ * Saved search error with a code (INVALID_SAVED_SEARCHES)
+ */
+function searchError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_SAVED_SEARCHES';
+  return error;
+}
+
+/**
+ * Validate one delivery target
+ */
+function validateTarget(target, label, env, baseDir) {
+  const resolve = (file) => (baseDir ? path.resolve(baseDir, file) : file);
+  if (!target || !TARGET_TYPES.includes(target.type)) {
+    throw searchError(`${label}: delivery type must be one of: ${TARGET_TYPES.join(', ')}`);
+  }
+  if (target.type === 'webhook') {
+    let url;
+    try {
+      url = new URL(target.url);
+    } catch (error) {
+      throw searchError(`${label}: webhook needs an http(s) "url" (got "${target.url}")`);
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      throw searchError(`${label}: webhook needs an http(s) "url" (got "${target.url}")`);
+    }
+    const secret = target.secret || (target.secretEnv ? env[target.secretEnv] : env.WEBHOOK_SECRET);
+    if (!secret) {
+      throw searchError(`${label}: webhook payloads are signed; set "secret", "secretEnv" or WEBHOOK_SECRET`);
+    }
+    if (target.retries !== undefined && !(Number.isInteger(target.retries) && target.retries >= 0)) {
+      throw searchError(`${label}: webhook "retries" must be a non-negative integer`);
+    }
+    return { type: 'webhook', url: url.href, secret, retries: target.retries };
+  }
+  if (target.type === 'outbox') {
+    if (typeof target.file !== 'string' || !target.file) throw searchError(`${label}: outbox needs a "file"`);
+    return { type: 'outbox', file: resolve(target.file) };
+  }
+  if (typeof target.dir !== 'string' || !target.dir) throw searchError(`${label}: digest needs a "dir"`);
+  return { type: 'digest', dir: resolve(target.dir), to: target.to || null, from: target.from || null };
+}
+
+/**
+ * Validate a saved searches definition
+ *
+ * @param {Object} definition - { searches: [{ name, city, filters, events, includeSynthetic, deliver }] }
+ * @param {Object} env - Environment for webhook secrets (default process.env)
+ * @param {string} baseDir - Directory relative outbox and digest paths are resolved
+ *   from (default: left relative, i.e. the working directory)
+ * @returns {Array} The searches, normalized: { name, cities, filters (parsed), events, includeSynthetic, deliver }
+ */
+function validateSearches(definition, env = process.env, baseDir = null) {
+  if (!definition || !Array.isArray(definition.searches)) {
+    throw searchError('Saved searches must have a "searches" array');
+  }
+
+  const names = new Set();
+  return definition.searches.map((search, index) => {
+    const label = search && search.name ? `Search "${search.name}"` : `Search ${index + 1}`;
+    if (!search || typeof search.name !== 'string' || !search.name.trim()) {
+      throw searchError(`${label} needs a name`);
+    }
+    if (names.has(search.name)) {
+      throw searchError(`${label} is defined twice`);
+    }
+    names.add(search.name);
+
+    let cities = [];
+    if (search.city) {
+      try {
+        cities = resolveCities(search.city).map(city => city.name);
+      } catch (error) {
+        throw searchError(`${label}: ${error.message}`);
+      }
+    }
+
+    const unknown = Object.keys(search.filters || {}).filter(param => !FILTER_PARAMS.includes(param));
+    if (unknown.length) {
+      throw searchError(`${label}: unknown filter ${unknown.join(', ')} (expected: ${FILTER_PARAMS.join(', ')})`);
+    }
+    const { filters, errors } = parseFilters(search.filters || {});
+    if (errors.length) {
+      throw searchError(`${label}: ${errors.map(({ field, message }) => `${field} ${message}`).join('; ')}`);
+    }
+
+    const events = search.events === undefined ? DEFAULT_EVENTS : search.events;
+    if (!Array.isArray(events) || events.length === 0 || events.some(event => !SEARCH_EVENTS.includes(event))) {
+      throw searchError(`${label}: "events" must list some of: ${SEARCH_EVENTS.join(', ')}`);
+    }
+
+    if (!Array.isArray(search.deliver) || search.deliver.length === 0) {
+      throw searchError(`${label} needs at least one "deliver" target`);
+    }
+    const deliver = search.deliver.map((target, i) => validateTarget(target, `${label}, target ${i + 1}`, env, baseDir));
+
+    return {
+      name: search.name,
+      cities,
+      filters,
+      events,
+      includeSynthetic: Boolean(search.includeSynthetic),
+      deliver
+    };
+  });
+}
+
+/**
+ * The searches file: `file`, else SAVED_SEARCHES_FILE, else data/saved-searches.json
+ */
+function searchesFile(file) {
+  return file || process.env.SAVED_SEARCHES_FILE || DEFAULT_SEARCHES_FILE;
+}
+
+/**
+ * Load and validate a saved searches file (see searchesFile)
+ *
+ * @returns {Array|null} null when there is no data/saved-searches.json (a
+ *   file that was named explicitly must exist)
+ */
+function loadSearches(file, env = process.env) {
+  file = searchesFile(file);
+  if (!fs.existsSync(file)) {
+    if (file === DEFAULT_SEARCHES_FILE) return null;
+    throw searchError(`Saved searches file ${file} not found`);
+  }
+  let definition;
+  try {
+    definition = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw searchError(`Could not read saved searches ${file}: ${error.message}`);
+  }
+  return validateSearches(definition, env, path.dirname(path.resolve(file)));
+}
+
+/**
+ * Whether a listing is in a search's cities and matches its filters
+ */
+function matchesSearch(search, property) {
+  if (property.isSynthetic && !search.includeSynthetic) return false;
+  if (search.cities.length && !search.cities.includes(property.city)) return false;
+  return matchesFilters(property, search.filters);
+}
+
+// Which source scraped a city, for pruning listings a run no longer reports
+const scopeKey = (listing) => `${listing.source}:${listing.city}`;
+
+/**
+ * Compare a run's listings with the last seen state and match the events
+ * against each search. Cities a search has not seen before only get their
+ * baseline recorded: their listings are not matched in this run.
+ *
+ * Only listings a search could match are kept in the state: generated
+ * listings are skipped unless a search has includeSynthetic, and a listing
+ * missing from a run that scraped its source and city again is dropped.
+ *
+ * @param {Array} searches - From validateSearches()
+ * @param {Array} properties - Canonical records from the run
+ * @param {Object} state - { listings: { [propertyId]: { source, city, price, status } },
+ *   covered: { [search name]: Array<city> } }, from a previous evaluation
+ * @param {Object} options - { runId }
+ * @returns {{ baseline: boolean, baselines: Array<{ search: string, cities: Array<string> }>,
+ *   results: Array<{ search, matches: Array<{ event, property }> }>, state }}
+ *   baseline is true on the first evaluation; baselines lists the cities
+ *   each search covered for the first time; state is the updated last seen state
+ */
+function evaluateSearches(searches, properties, state = {}, options = {}) {
+  const includeSynthetic = searches.some(search => search.includeSynthetic);
+  const tracked = properties.filter(property => includeSynthetic || !property.isSynthetic);
+  const scraped = new Set(tracked.map(scopeKey));
+  const previousListings = state.listings || {};
+  const listings = {};
+  for (const [propertyId, listing] of Object.entries(previousListings)) {
+    if (listing.city && !scraped.has(scopeKey(listing))) listings[propertyId] = listing;
+  }
+  const covered = { ...(state.covered || {}) };
+  const baseline = !state.listings;
+  const changes = [];
+
+  for (const property of tracked) {
+    const previous = previousListings[property.propertyId];
+    const events = detectChanges(previous ? { propertyId: property.propertyId, ...previous } : null, property, options);
+    changes.push(...events.map(event => ({ event, property })));
+    listings[property.propertyId] = { source: property.source, city: property.city, price: property.price, status: property.status };
+  }
+
+  const runCities = [...new Set(properties.map(property => property.city))];
+  const results = [];
+  const baselines = [];
+  for (const search of searches) {
+    const seen = new Set(covered[search.name] || []);
+    const matches = changes.filter(({ event, property }) =>
+      seen.has(property.city) && search.events.includes(event.event) && matchesSearch(search, property));
+    if (matches.length) results.push({ search, matches });
+
+    const cities = runCities.filter(city => !seen.has(city) && (!search.cities.length || search.cities.includes(city)));
+    if (cities.length) baselines.push({ search: search.name, cities });
+    covered[search.name] = [...seen, ...cities];
+  }
+
+  return { baseline, baselines, results, state: { updatedAt: new Date().toISOString(), listings, covered } };
+}
+
+/**
+ * Read the last seen state ({} when there is none yet)
+ */
+function readState(file) {
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw searchError(`Could not read saved search state ${file}: ${error.message}`);
+  }
+}
+
+// Identifies a delivery target in the state's retry queue
+const targetKey = (target) => `${target.type}:${target.url || target.file || target.dir}`;
+
+/**
+ * Evaluate the saved searches against a run's listings and deliver the
+ * matches; a failed delivery is reported, does not stop the others and is
+ * retried (with that target's new matches) on the next run
+ *
+ * @param {Array} properties - Canonical records from the run
+ * @param {Object} options - { file: searches file (see searchesFile), searches: already
+ *   loaded from it, stateFile (default SAVED_SEARCHES_STATE or saved-searches-state.json
+ *   next to the searches file), runId, log, deliver (for tests) }
+ * @returns {Promise<Object|null>} { searches, baseline, matches, delivered, failed,
+ *   pending: matches left to retry, errors: Array<string> }, null when there is no searches file
+ */
+async function runSavedSearches(properties, options = {}) {
+  const log = options.log || defaultLog;
+  const file = searchesFile(options.file);
+  const searches = options.searches || loadSearches(file);
+  if (!searches) return null;
+
+  const stateFile = options.stateFile || process.env.SAVED_SEARCHES_STATE || path.join(path.dirname(file), 'saved-searches-state.json');
+  const previous = readState(stateFile);
+  const { baseline, baselines, results, state } = evaluateSearches(searches, properties, previous, options);
+  const summary = { searches: searches.length, baseline, matches: 0, delivered: 0, failed: 0, pending: 0, errors: [] };
+
+  if (baseline) {
+    log.info(`Saved searches: recorded ${properties.length} listings as the baseline; later runs notify about changes`);
+  } else {
+    for (const { search, cities } of baselines) {
+      log.info(`Saved search "${search}": recorded the baseline for ${cities.join(', ')}; later runs notify about changes there`);
+    }
+  }
+
+  const queued = previous.pending || [];
+  const pending = [];
+  for (const search of searches) {
+    const result = results.find(entry => entry.search === search);
+    const matches = result ? result.matches : [];
+    summary.matches += matches.length;
+
+    for (const target of search.deliver) {
+      const key = targetKey(target);
+      const retry = queued.find(entry => entry.search === search.name && entry.target === key);
+      const batch = [...(retry ? retry.matches : []), ...matches];
+      if (!batch.length) continue;
+      try {
+        const delivery = await (options.deliver || deliver)(target, buildPayload(search, batch, options));
+        summary.delivered++;
+        log.success(`Saved search "${search.name}": ${batch.length} matches sent to ${delivery.target}${retry ? ` (${retry.matches.length} retried)` : ''}`);
+      } catch (error) {
+        summary.failed++;
+        summary.pending += batch.length;
+        summary.errors.push(`${search.name}: ${error.message}`);
+        pending.push({ search: search.name, target: key, matches: batch });
+        log.error(`Saved search "${search.name}": delivery to ${target.url || target.file || target.dir} failed, retried next run: ${error.message}`);
+      }
+    }
+  }
+
+  const temp = `${stateFile}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify({ ...state, pending }));
+  fs.renameSync(temp, stateFile);
+  return summary;
+}
+
+module.exports = {
+  SEARCH_EVENTS,
+  validateSearches,
+  loadSearches,
+  matchesSearch,
+  evaluateSearches,
+  runSavedSearches
+};
@@ -0,0 +1,291 @@
+/**
+ * Scrape Scheduler
+ *
+ * Runs scraper jobs on cron expressions (node-cron) from a schedule file:
+ *
+ *   {
+ *     "timezone": "America/New_York",
+ *     "jobs": [
+ *       { "name": "orlando-metro", "cron": "0 6 * * *", "region": "Orlando Metro" },
+ *       { "name": "realtor-every-6h", "cron": "0 0,6,12,18 * * *", "sources": ["realtor"] }
+ *     ]
+ *   }
+ *
+ * A job may also set "mode" (see RUN_MODES in lib/runs.cjs). Only one run
+ * happens at a time: a job that comes due while another run is in progress
+ * (in this process, or in another scheduler holding the lock file) is
+ * skipped. Last-run and next-run times per job are written to a state file.
+ *
+ * Usage:
+ *   const scheduler = createScheduler({ ...loadSchedule(file), run: (job) => main(jobOptions(job)), stateFile, lockFile });
+ *   scheduler.start();
+ *   process.on('SIGTERM', () => scheduler.stop().then(() => process.exit(0)));
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const { resolveCities } = require('./regions.cjs');
+const { RUN_MODES } = require('./runs.cjs');
+
+const DEFAULT_SCHEDULE_FILE = path.join(__dirname, '..', 'data', 'schedule.json');
+
+/**
+ * Schedule error with a code (INVALID_SCHEDULE)
+ */
+function scheduleError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_SCHEDULE';
+  return error;
+}
+
+/**
+ * Validate a schedule definition
+ *
+ * @param {Object} schedule - { timezone, jobs: [{ name, cron, region, sources, mode }] }
+ * @returns {Object} The schedule, with jobs normalized
+ */
+function validateSchedule(schedule) {
+  if (!schedule || !Array.isArray(schedule.jobs) || schedule.jobs.length === 0) {
+    throw scheduleError('Schedule must have a non-empty "jobs" array');
+  }
+  const timezone = schedule.timezone || null;
+  if (timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+      throw scheduleError(`Unknown timezone "${timezone}" (expected an IANA name, e.g. "America/New_York")`);
+    }
+  }
+
+  const names = new Set();
+  const jobs = schedule.jobs.map((job, index) => {
+    const label = job && job.name ? `Job "${job.name}"` : `Job ${index + 1}`;
+    if (!job || typeof job.name !== 'string' || !job.name.trim()) {
+      throw scheduleError(`${label} needs a name`);
+    }
+    if (names.has(job.name)) {
+      throw scheduleError(`${label} is defined twice`);
+    }
+    names.add(job.name);
+
+    // Five fields only (runs are scheduled to the minute); node-cron also
+    // rejects days the month never has, such as 30 2
+    if (typeof job.cron !== 'string' || job.cron.trim().split(/\s+/).length !== 5 || !cron.validate(job.cron)) {
+      throw scheduleError(`${label} has an invalid cron expression "${job.cron}" (expected 5 fields, e.g. "0 6 * * *")`);
+    }
+    if (job.mode !== undefined && !RUN_MODES.includes(job.mode)) {
+      throw scheduleError(`${label}: unknown mode "${job.mode}" (expected one of: ${RUN_MODES.join(', ')})`);
+    }
+    if (job.region) {
+      try {
+        resolveCities(job.region);
+      } catch (error) {
+        throw scheduleError(`${label}: ${error.message}`);
+      }
+    }
+    if (job.sources !== undefined && !Array.isArray(job.sources)) {
+      throw scheduleError(`${label}: "sources" must be an array of source names`);
+    }
+
+    return {
+      name: job.name,
+      cron: job.cron.trim(),
+      region: job.region || null,
+      sources: job.sources || null,
+      mode: job.mode || null
+    };
+  });
+
+  return { timezone, jobs };
+}
+
+/**
+ * Load and validate a schedule file
+ */
+function loadSchedule(file = DEFAULT_SCHEDULE_FILE) {
+  let schedule;
+  try {
+    schedule = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw scheduleError(`Could not read schedule ${file}: ${error.message}`);
+  }
+  return validateSchedule(schedule);
+}
+
+/**
+ * Take the cross-process lock file; a lock left by a process that no
+ * longer exists is taken over
+ *
+ * @returns {boolean} false when another live process holds it
+ */
+function acquireLock(lockFile) {
+  try {
+    fs.writeFileSync(lockFile, String(process.pid), { flag: 'wx' });
+    return true;
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+  }
+
+  const pid = parseInt(fs.readFileSync(lockFile, 'utf8'));
+  try {
+    if (pid && pid !== process.pid) {
+      process.kill(pid, 0);
+      return false;
+    }
+  } catch (error) {
+    if (error.code === 'EPERM') return false;
+  }
+  fs.writeFileSync(lockFile, String(process.pid));
+  return true;
+}
+
+function releaseLock(lockFile) {
+  try {
+    if (parseInt(fs.readFileSync(lockFile, 'utf8')) === process.pid) fs.unlinkSync(lockFile);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+/**
+ * Create a scheduler
+ *
+ * @param {Object} options - { jobs, timezone, run(job) -> Promise<run report>,
+ *   stateFile, lockFile, log, schedule (node-cron's schedule, replaceable in tests;
+ *   its tasks must have stop() and getNextRun()) }
+ */
+function createScheduler(options) {
+  const { jobs, timezone = null, run, stateFile = null, lockFile = null } = options;
+  const log = options.log || { info() {}, success() {}, warn() {}, error() {} };
+  const schedule = options.schedule || cron.schedule;
+
+  // Job name -> node-cron task
+  const tasks = new Map();
+  let active = null;
+  let stopping = false;
+
+  const state = { startedAt: null, updatedAt: null, running: null, jobs: {} };
+  if (stateFile && fs.existsSync(stateFile)) {
+    try {
+      Object.assign(state.jobs, JSON.parse(fs.readFileSync(stateFile, 'utf8')).jobs);
+    } catch (error) {
+      log.warn(`Ignoring unreadable schedule state ${stateFile}: ${error.message}`);
+    }
+  }
+  for (const job of jobs) {
+    state.jobs[job.name] = {
+      lastRunId: null,
+      lastStatus: null,
+      lastStartedAt: null,
+      lastFinishedAt: null,
+      lastError: null,
+      skipped: 0,
+      ...state.jobs[job.name],
+      cron: job.cron,
+      nextRunAt: null
+    };
+  }
+
+  function saveState() {
+    state.updatedAt = new Date().toISOString();
+    if (!stateFile) return;
+    const temp = `${stateFile}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(state, null, 2));
+    fs.renameSync(temp, stateFile);
+  }
+
+  function scheduleNext(job) {
+    const task = tasks.get(job.name);
+    const next = stopping || !task ? null : task.getNextRun();
+    state.jobs[job.name].nextRunAt = next ? next.toISOString() : null;
+  }
+
+  /**
+   * Run a job now unless another run is in progress
+   *
+   * @returns {Promise<Object|null>} The run report, null when skipped
+   */
+  async function runJob(job) {
+    const jobState = state.jobs[job.name];
+    if (stopping) return null;
+    if (active || (lockFile && !acquireLock(lockFile))) {
+      jobState.skipped++;
+      log.warn(`Skipping ${job.name}: ${active ? `${active.job.name} is still running` : `another scheduler holds ${lockFile}`}`);
+      scheduleNext(job);
+      saveState();
+      return null;
+    }
+
+    jobState.lastStartedAt = new Date().toISOString();
+    jobState.lastFinishedAt = null;
+    state.running = job.name;
+    saveState();
+    log.info(`Starting scheduled job ${job.name}`);
+
+    const promise = (async () => {
+      try {
+        const report = await run(job);
+        jobState.lastRunId = report ? report.id : null;
+        jobState.lastStatus = report ? report.status : 'completed';
+        jobState.lastError = null;
+        log.success(`Finished ${job.name}${report ? ` (${report.id})` : ''}`);
+        return report;
+      } catch (error) {
+        jobState.lastStatus = 'failed';
+        jobState.lastError = error.message;
+        log.error(`Scheduled job ${job.name} failed: ${error.message}`);
+        return null;
+      } finally {
+        jobState.lastFinishedAt = new Date().toISOString();
+        state.running = null;
+        active = null;
+        if (lockFile) releaseLock(lockFile);
+        scheduleNext(job);
+        saveState();
+      }
+    })();
+    active = { job, promise };
+    return promise;
+  }
+
+  /**
+   * Schedule every job
+   */
+  function start() {
+    state.startedAt = new Date().toISOString();
+    for (const job of jobs) {
+      tasks.set(job.name, schedule(job.cron, () => runJob(job), timezone ? { timezone } : undefined));
+      scheduleNext(job);
+      log.info(`Scheduled ${job.name} (${job.cron}${timezone ? ` ${timezone}` : ''}), next run ${state.jobs[job.name].nextRunAt}`);
+    }
+    saveState();
+  }
+
+  /**
+   * Stop scheduling and wait for a run in progress to finish
+   */
+  async function stop() {
+    stopping = true;
+    for (const task of tasks.values()) {
+      task.stop();
+    }
+    if (active) {
+      log.info(`Waiting for ${active.job.name} to finish...`);
+      await active.promise;
+    }
+    for (const job of jobs) {
+      state.jobs[job.name].nextRunAt = null;
+    }
+    saveState();
+  }
+
+  return { start, stop, runJob, getState: () => state };
+}
+
+module.exports = {
+  DEFAULT_SCHEDULE_FILE,
+  validateSchedule,
+  loadSchedule,
+  createScheduler
+};
@@ -0,0 +1,383 @@
+/**
+ * Canonical Property Schema
+ *
+ * Every code path (index.js, scraper-v2.cjs, scraper-standalone.cjs and the
+ * API handlers) emits and consumes records of this shape.
+ *
+ * Usage:
+ *   const { normalizeProperty, validateProperty } = require('./lib/schema.cjs');
+ *   const property = normalizeProperty(raw, { source: 'zillow', city });
+ *   const { valid, errors } = validateProperty(property);
+ *   const { property: cleaned, cleared } = clearInvalidFields(property);
+ */
+
+const crypto = require('crypto');
+
+const PROPERTY_TYPES = ['Single Family', 'Condo', 'Townhouse', 'Multi-Family', 'Land', 'Manufactured', 'Other'];
+
+const LISTING_STATUSES = ['active', 'pending', 'sold', 'off_market'];
+
+// Field definitions, in output order
+const PROPERTY_SCHEMA = {
+  propertyId: { type: 'string', required: true },
+  source: { type: 'string', required: true },
+  sourceId: { type: 'string' },
+  mlsId: { type: 'string' },
+  streetAddress: { type: 'string', required: true },
+  city: { type: 'string', required: true },
+  state: { type: 'string', required: true, pattern: /^[A-Z]{2}$/ },
+  zipCode: { type: 'string', pattern: /^\d{5}$/ },
+  latitude: { type: 'number', min: -90, max: 90 },
+  longitude: { type: 'number', min: -180, max: 180 },
+  price: { type: 'integer', required: true, min: 1 },
+  bedrooms: { type: 'number', min: 0 },
+  bathrooms: { type: 'number', min: 0 },
+  sqft: { type: 'integer', min: 1 },
+  lotSize: { type: 'integer', min: 0 },
+  yearBuilt: { type: 'integer', min: 1800, max: 2100 },
+  propertyType: { type: 'string', enum: PROPERTY_TYPES },
+  status: { type: 'string', required: true, enum: LISTING_STATUSES },
+  daysOnMarket: { type: 'integer', min: 0 },
+  hoaFee: { type: 'integer', min: 0 },
+  zestimate: { type: 'integer', min: 0 },
+  rentZestimate: { type: 'integer', min: 0 },
+  description: { type: 'string' },
+  images: { type: 'array' },
+  thumbnailUrl: { type: 'string' },
+  listingLink: { type: 'string' },
+  agentName: { type: 'string' },
+  agentPhone: { type: 'string' },
+  agentEmail: { type: 'string' },
+  brokerName: { type: 'string' },
+  priceHistory: { type: 'array' },
+  taxHistory: { type: 'array' },
+  schools: { type: 'array' },
+  // Every listing this record was merged from: [{ source, sourceId, url }]
+  sourceLinks: { type: 'array' },
+  // Field -> source, for fields filled from a source other than `source`
+  provenance: { type: 'object' },
+  // true for records made up by a generator rather than scraped from a site
+  isSynthetic: { type: 'boolean', required: true },
+  scrapedAt: { type: 'date', required: true }
+};
+
+const PROPERTY_FIELDS = Object.keys(PROPERTY_SCHEMA);
+
+// Legacy field names used by the older code paths
+const FIELD_ALIASES = {
+  address: 'streetAddress',
+  beds: 'bedrooms',
+  baths: 'bathrooms',
+  link: 'listingLink',
+  url: 'listingLink',
+  listingStatus: 'status',
+  imageUrl: 'thumbnailUrl',
+  dataSource: 'source',
+  zip: 'zipCode'
+};
+
+// Source-specific settings used while normalizing
+const SOURCES = {
+  zillow: { baseUrl: 'https://www.zillow.com', idPattern: /(\d+)_zpid/ },
+  realtor: { baseUrl: 'https://www.realtor.com', idPattern: /_M(\d+-\d+)/ },
+  generator: { baseUrl: null, idPattern: null, synthetic: true }
+};
+
+const PROPERTY_TYPE_ALIASES = {
+  'house': 'Single Family',
+  'single family': 'Single Family',
+  'single_family': 'Single Family',
+  'single-family': 'Single Family',
+  'condo': 'Condo',
+  'condominium': 'Condo',
+  'condos': 'Condo',
+  'apartment': 'Condo',
+  'townhouse': 'Townhouse',
+  'townhome': 'Townhouse',
+  'multi-family': 'Multi-Family',
+  'multi family': 'Multi-Family',
+  'multi_family': 'Multi-Family',
+  'land': 'Land',
+  'lot': 'Land',
+  'lots': 'Land',
+  'manufactured': 'Manufactured',
+  'mobile': 'Manufactured'
+};
+
+const STATUS_ALIASES = {
+  'active': 'active',
+  'for_sale': 'active',
+  'for sale': 'active',
+  'pending': 'pending',
+  'under_contract': 'pending',
+  'contingent': 'pending',
+  'sold': 'sold',
+  'recently_sold': 'sold',
+  'off_market': 'off_market',
+  'inactive': 'off_market'
+};
+
+/**
+ * Convert a value to a trimmed string (null when empty)
+ */
+function toText(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text ? text : null;
+}
+
+/**
+ * Convert a value to a number (null when not numeric)
+ */
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const cleaned = String(value).replace(/[^0-9.\-]/g, '');
+  if (!cleaned) return null;
+  const number = parseFloat(cleaned);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Convert a value to an integer (null when not numeric)
+ */
+function toInteger(value) {
+  const number = toNumber(value);
+  return number === null ? null : Math.round(number);
+}
+
+/**
+ * Map free-form property type text onto PROPERTY_TYPES
+ */
+function normalizePropertyType(value) {
+  const text = toText(value);
+  if (!text) return null;
+  if (PROPERTY_TYPES.includes(text)) return text;
+  return PROPERTY_TYPE_ALIASES[text.toLowerCase()] || 'Other';
+}
+
+/**
+ * Map source-specific status values onto LISTING_STATUSES
+ */
+function normalizeStatus(value) {
+  const text = toText(value);
+  if (!text) return 'active';
+  return STATUS_ALIASES[text.toLowerCase()] || 'active';
+}
+
+/**
+ * Resolve a relative listing/image link against the source's base URL
+ */
+function absoluteUrl(link, baseUrl) {
+  const text = toText(link);
+  if (!text) return null;
+  if (/^https?:\/\//i.test(text) || !baseUrl) return text;
+  return baseUrl + (text.startsWith('/') ? '' : '/') + text;
+}
+
+/**
+ * Build a stable property ID from the source and address when the source
+ * does not provide one
+ */
+function makePropertyId(source, streetAddress, zipCode) {
+  const key = [source, streetAddress, zipCode].map(part => String(part || '').toLowerCase()).join('|');
+  return `${source}-${crypto.createHash('sha1').update(key).digest('hex').slice(0, 12)}`;
+}
+
+/**
+ * Parse an images value that may be an array, a JSON string or a single URL
+ */
+function toImageList(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.filter(Boolean).map(String);
+  if (typeof value === 'string' && value.trim().startsWith('[')) {
+    try {
+      return toImageList(JSON.parse(value));
+    } catch (err) {
+      return [];
+    }
+  }
+  return [String(value)];
+}
+
+/**
+ * Normalize a raw record from any source onto the canonical schema
+ *
+ * @param {Object} raw - Record as extracted or generated
+ * @param {Object} context - { source, city } where city is a name or { name, state, zip }
+ * @returns {Object} Canonical property record
+ */
+function normalizeProperty(raw, context = {}) {
+  const input = {};
+  for (const [key, value] of Object.entries(raw || {})) {
+    input[FIELD_ALIASES[key] && raw[FIELD_ALIASES[key]] === undefined ? FIELD_ALIASES[key] : key] = value;
+  }
+
+  const city = typeof context.city === 'string' ? { name: context.city } : (context.city || {});
+  const source = toText(context.source || input.source) || 'unknown';
+  const settings = SOURCES[source] || {};
+
+  const listingLink = absoluteUrl(input.listingLink, settings.baseUrl);
+  const images = toImageList(input.images).map(url => absoluteUrl(url, settings.baseUrl));
+  const thumbnailUrl = absoluteUrl(input.thumbnailUrl, settings.baseUrl) || images[0] || null;
+
+  let sourceId = toText(input.sourceId);
+  if (!sourceId && settings.idPattern && listingLink) {
+    const match = listingLink.match(settings.idPattern);
+    if (match) sourceId = match[1];
+  }
+
+  const streetAddress = toText(input.streetAddress);
+  const zipCode = toText(input.zipCode) || toText(city.zip);
+
+  const property = {
+    propertyId: toText(input.propertyId) || (sourceId ? `${source}-${sourceId}` : makePropertyId(source, streetAddress, zipCode)),
+    source,
+    sourceId,
+    mlsId: toText(input.mlsId),
+    streetAddress,
+    city: toText(input.city) || toText(city.name),
+    state: (toText(input.state) || toText(city.state) || 'FL').toUpperCase(),
+    zipCode,
+    latitude: toNumber(input.latitude),
+    longitude: toNumber(input.longitude),
+    price: toInteger(input.price),
+    bedrooms: toNumber(input.bedrooms),
+    bathrooms: toNumber(input.bathrooms),
+    sqft: toInteger(input.sqft),
+    lotSize: toInteger(input.lotSize),
+    yearBuilt: toInteger(input.yearBuilt),
+    propertyType: normalizePropertyType(input.propertyType),
+    status: normalizeStatus(input.status),
+    daysOnMarket: toInteger(input.daysOnMarket),
+    hoaFee: toInteger(input.hoaFee),
+    zestimate: toInteger(input.zestimate),
+    rentZestimate: toInteger(input.rentZestimate),
+    description: toText(input.description),
+    images,
+    thumbnailUrl,
+    listingLink,
+    agentName: toText(input.agentName),
+    agentPhone: toText(input.agentPhone),
+    agentEmail: toText(input.agentEmail),
+    brokerName: toText(input.brokerName),
+    priceHistory: Array.isArray(input.priceHistory) ? input.priceHistory : [],
+    taxHistory: Array.isArray(input.taxHistory) ? input.taxHistory : [],
+    schools: Array.isArray(input.schools) ? input.schools : [],
+    sourceLinks: Array.isArray(input.sourceLinks) ? input.sourceLinks : [{ source, sourceId, url: listingLink }],
+    provenance: input.provenance && typeof input.provenance === 'object' ? input.provenance : {},
+    isSynthetic: Boolean(settings.synthetic || input.isSynthetic),
+    scrapedAt: toText(input.scrapedAt) || new Date().toISOString()
+  };
+
+  return property;
+}
+
+/**
+ * Check a single field value against its definition
+ */
+function validateField(field, value, definition) {
+  if (value === undefined || value === null) {
+    return definition.required ? 'is required' : null;
+  }
+
+  switch (definition.type) {
+    case 'string':
+      if (typeof value !== 'string') return 'must be a string';
+      if (definition.required && !value.trim()) return 'is required';
+      if (definition.pattern && !definition.pattern.test(value)) return `has an invalid format (${value})`;
+      if (definition.enum && !definition.enum.includes(value)) return `must be one of: ${definition.enum.join(', ')}`;
+      return null;
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+      if (definition.type === 'integer' && !Number.isInteger(value)) return 'must be an integer';
+      if (definition.min !== undefined && value < definition.min) return `must be >= ${definition.min}`;
+      if (definition.max !== undefined && value > definition.max) return `must be <= ${definition.max}`;
+      return null;
+    case 'array':
+      return Array.isArray(value) ? null : 'must be an array';
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be a boolean';
+    case 'date':
+      return typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? null : 'must be an ISO date string';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate a property record against the canonical schema
+ *
+ * @param {Object} property - Record to validate
+ * @returns {{ valid: boolean, errors: Array<{ field: string, message: string }> }}
+ */
+function validateProperty(property) {
+  const errors = [];
+
+  if (!property || typeof property !== 'object') {
+    return { valid: false, errors: [{ field: '*', message: 'must be an object' }] };
+  }
+
+  for (const [field, definition] of Object.entries(PROPERTY_SCHEMA)) {
+    const message = validateField(field, property[field], definition);
+    if (message) errors.push({ field, message });
+  }
+
+  for (const field of Object.keys(property)) {
+    if (!PROPERTY_SCHEMA[field]) {
+      errors.push({ field, message: 'is not part of the property schema' });
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Clear the optional fields that fail validation, so one bad value (say a
+ * negative daysOnMarket) does not cost the whole listing
+ *
+ * Invalid optional fields become null (arrays and objects become empty),
+ * fields outside the schema are dropped. Required fields are left as they
+ * are for validateProperty to reject.
+ *
+ * @param {Object} property - Normalized record
+ * @returns {{ property: Object, cleared: Array<{ field: string, message: string }> }}
+ */
+function clearInvalidFields(property) {
+  const cleared = [];
+  const result = {};
+
+  for (const [field, value] of Object.entries(property)) {
+    const definition = PROPERTY_SCHEMA[field];
+    if (!definition) {
+      cleared.push({ field, message: 'is not part of the property schema' });
+      continue;
+    }
+
+    const message = definition.required ? null : validateField(field, value, definition);
+    if (message) {
+      cleared.push({ field, message });
+      result[field] = definition.type === 'array' ? [] : definition.type === 'object' ? {} : null;
+    } else {
+      result[field] = value;
+    }
+  }
+
+  return { property: result, cleared };
+}
+
+module.exports = {
+  PROPERTY_SCHEMA,
+  PROPERTY_FIELDS,
+  PROPERTY_TYPES,
+  LISTING_STATUSES,
+  normalizeProperty,
+  normalizePropertyType,
+  normalizeStatus,
+  validateProperty,
+  clearInvalidFields,
+  makePropertyId
+};
@@ -0,0 +1,180 @@
+/**
+ * Local API Server
+ *
+ * Serves the api/ handlers the way Vercel does, for local use
+ * (`node cli.js serve`):
+ *
+ * - requests are matched against the routes in vercel.json, in order;
+ *   named groups fill the destination's $placeholders
+ *   ("/api/properties/(?<id>[^/]+)" -> "/api/property.js?id=$id")
+ * - /api/<name> without a route runs api/<name>.js
+ * - anything else is a static file from public/
+ *
+ * Handlers get Vercel's helpers: req.query, res.status(), res.json() and
+ * res.send(). Handlers written as CommonJS (module.exports = ...) are
+ * loaded as such even though the package is an ES module, as Vercel's
+ * builder does.
+ *
+ * Usage:
+ *   const server = createApiServer({ root });
+ *   server.listen(3000);
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const vm = require('vm');
+const { createRequire } = require('module');
+const { pathToFileURL } = require('url');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon'
+};
+
+/**
+ * Routes from a vercel.json config, compiled for matching
+ *
+ * @returns {Array<{ pattern: RegExp, file: string, query: Object }>}
+ */
+function compileRoutes(config) {
+  return (config.routes || []).map(route => {
+    const [file, search = ''] = route.dest.split('?');
+    return {
+      pattern: new RegExp(`^${route.src}$`),
+      file: file.replace(/^\//, ''),
+      query: Object.fromEntries(new URLSearchParams(search))
+    };
+  });
+}
+
+/**
+ * The handler file and route parameters for a request path
+ *
+ * @returns {{ file: string, query: Object }|null} file relative to the root
+ */
+function matchRoute(routes, pathname) {
+  for (const route of routes) {
+    const match = pathname.match(route.pattern);
+    if (!match) continue;
+    const groups = match.groups || {};
+    const query = {};
+    for (const [name, value] of Object.entries(route.query)) {
+      query[name] = value.replace(/\$(\w+)/g, (placeholder, group) =>
+        groups[group] !== undefined ? decodeURIComponent(groups[group]) : placeholder);
+    }
+    return { file: route.file, query };
+  }
+
+  const api = pathname.match(/^\/api\/([\w-]+)\/?$/);
+  return api ? { file: `api/${api[1]}.js`, query: {} } : null;
+}
+
+/**
+ * Query string as Vercel's req.query: repeated keys become arrays
+ */
+function parseQuery(searchParams) {
+  const query = {};
+  for (const [key, value] of searchParams) {
+    query[key] = key in query ? [].concat(query[key], value) : value;
+  }
+  return query;
+}
+
+/**
+ * Add Vercel's response helpers to a node response
+ */
+function withHelpers(res) {
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(body));
+    return res;
+  };
+  res.send = (body) => {
+    if (body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) return res.json(body);
+    if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.end(body);
+    return res;
+  };
+  return res;
+}
+
+/**
+ * Load a handler module's default export
+ */
+async function loadHandler(file) {
+  const source = fs.readFileSync(file, 'utf8');
+  if (/^\s*module\.exports\s*=/m.test(source)) {
+    // require() would load a .js file of this "type": "module" package as an
+    // ES module, so the source is wrapped as CommonJS, with its own require
+    const handlerModule = { exports: {} };
+    const wrapper = vm.compileFunction(source, ['exports', 'require', 'module', '__filename', '__dirname'], { filename: file });
+    wrapper(handlerModule.exports, createRequire(file), handlerModule, file, path.dirname(file));
+    return handlerModule.exports;
+  }
+  const imported = await import(pathToFileURL(file).href);
+  return imported.default;
+}
+
+/**
+ * Create the local API server
+ *
+ * @param {Object} options - { root: project directory, log }
+ * @returns {http.Server}
+ */
+function createApiServer(options) {
+  const { root } = options;
+  const log = options.log || { info() {}, error() {} };
+  const config = JSON.parse(fs.readFileSync(path.join(root, 'vercel.json'), 'utf8'));
+  const routes = compileRoutes(config);
+  const publicDir = path.join(root, 'public');
+  const handlers = new Map();
+
+  function sendStatic(pathname, res) {
+    const file = path.join(publicDir, path.normalize(pathname === '/' ? '/index.html' : pathname));
+    if (!file.startsWith(publicDir + path.sep) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+      res.status(404).json({ error: 'Not found' });
+      return;
+    }
+    res.setHeader('Content-Type', CONTENT_TYPES[path.extname(file)] || 'application/octet-stream');
+    fs.createReadStream(file).pipe(res);
+  }
+
+  return http.createServer(async (req, res) => {
+    withHelpers(res);
+    const url = new URL(req.url, 'http://localhost');
+    const started = Date.now();
+    res.on('finish', () => log.info(`${req.method} ${url.pathname}${url.search} ${res.statusCode} (${Date.now() - started}ms)`));
+
+    try {
+      const route = matchRoute(routes, url.pathname);
+      const file = route && path.join(root, route.file);
+      if (!route || !fs.existsSync(file)) {
+        sendStatic(url.pathname, res);
+        return;
+      }
+
+      if (!handlers.has(file)) handlers.set(file, await loadHandler(file));
+      req.query = { ...parseQuery(url.searchParams), ...route.query };
+      await handlers.get(file)(req, res);
+    } catch (error) {
+      log.error(`${req.method} ${url.pathname} failed: ${error.message}`);
+      if (!res.headersSent) {
+        res.status(500).json({ success: false, error: error.message });
+      } else {
+        res.end();
+      }
+    }
+  });
+}
+
+module.exports = { compileRoutes, matchRoute, parseQuery, createApiServer };
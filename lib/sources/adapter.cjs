@@ -0,0 +1,97 @@
+/**
+ * Source Adapter Interface
+ *
+ * A source adapter describes one listing site:
+ *   - name:   registry key, also used as the record `source` value
+ *   - label:  display name used in logs
+ *   - fetch:  async (city, context, page) => raw content of results page `page` (1-based)
+ *   - parse:  (content, city) => canonical property records (no I/O)
+ *   - hasNextPage: (content, page) => whether another results page follows
+ *                  (optional, defaults to a single page)
+ *   - health: async (context) => { ok, status, message }
+ *
+ * `context` carries the run configuration and the shared HTTP client
+ * ({ config, log, http } - see lib/http.cjs). Adapters must fetch through
+ * context.http so retries, rate limits and request stats apply.
+ */
+
+const REQUIRED_FUNCTIONS = ['fetch', 'parse'];
+
+/**
+ * Parse price from text
+ */
+function parsePrice(priceText) {
+  if (!priceText) return null;
+  const cleaned = priceText.replace(/[^0-9]/g, '');
+  return cleaned ? parseInt(cleaned) : null;
+}
+
+/**
+ * Split a one-line card address ("123 Oak Dr, Orlando, FL 32801") into parts.
+ * Parts that are missing from the text are returned as null.
+ */
+function parseAddressLine(text) {
+  const parts = String(text || '').split(',').map(part => part.trim()).filter(Boolean);
+  const match = parts.length >= 3 ? parts[parts.length - 1].match(/^([A-Z]{2})\s*(\d{5})?/) : null;
+
+  if (!match) {
+    return { streetAddress: parts.join(', ') || null, city: null, state: null, zipCode: null };
+  }
+
+  return {
+    streetAddress: parts.slice(0, -2).join(', '),
+    city: parts[parts.length - 2],
+    state: match[1],
+    zipCode: match[2] || null
+  };
+}
+
+/**
+ * Default health check: request the site's home page
+ */
+function defaultHealth(adapter) {
+  return async (context) => {
+    if (!adapter.baseUrl) {
+      return { ok: true, status: null, message: 'No remote endpoint' };
+    }
+
+    try {
+      const response = await context.http.get(adapter.baseUrl, { retries: 0 });
+      return { ok: true, status: response.status, message: 'Reachable' };
+    } catch (error) {
+      return { ok: false, status: error.status || null, message: error.message };
+    }
+  };
+}
+
+/**
+ * Validate an adapter definition and fill in defaults
+ *
+ * @param {Object} adapter - Adapter definition
+ * @returns {Object} Frozen adapter
+ */
+function defineSource(adapter) {
+  if (!adapter || typeof adapter.name !== 'string' || !adapter.name) {
+    throw new Error('Source adapter must have a name');
+  }
+
+  for (const fn of REQUIRED_FUNCTIONS) {
+    if (typeof adapter[fn] !== 'function') {
+      throw new Error(`Source adapter "${adapter.name}" must implement ${fn}()`);
+    }
+  }
+
+  const defined = {
+    label: adapter.name,
+    baseUrl: null,
+    hasNextPage: () => false,
+    ...adapter
+  };
+  if (typeof defined.health !== 'function') {
+    defined.health = defaultHealth(defined);
+  }
+
+  return Object.freeze(defined);
+}
+
+module.exports = { defineSource, parsePrice, parseAddressLine };
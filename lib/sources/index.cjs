@@ -0,0 +1,56 @@
+/**
+ * Source Adapter Registry
+ *
+ * Built-in adapters are registered here. To add a site (e.g. Redfin or
+ * Trulia), write an adapter module next to zillow.cjs and register it below.
+ */
+
+const { defineSource } = require('./adapter.cjs');
+
+const registry = new Map();
+
+/**
+ * Register a source adapter
+ */
+function registerSource(adapter) {
+  const defined = defineSource(adapter);
+  if (registry.has(defined.name)) {
+    throw new Error(`Source "${defined.name}" is already registered`);
+  }
+  registry.set(defined.name, defined);
+  return defined;
+}
+
+/**
+ * Look up a registered adapter by name
+ */
+function getSource(name) {
+  const adapter = registry.get(name);
+  if (!adapter) {
+    throw new Error(`Unknown source "${name}" (available: ${listSources().join(', ')})`);
+  }
+  return adapter;
+}
+
+/**
+ * Names of all registered adapters
+ */
+function listSources() {
+  return [...registry.keys()];
+}
+
+/**
+ * Resolve a list (or comma-separated string) of names to adapters.
+ * An empty list selects every registered source.
+ */
+function resolveSources(names) {
+  const list = (Array.isArray(names) ? names : String(names || '').split(','))
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+  return (list.length > 0 ? [...new Set(list)] : listSources()).map(getSource);
+}
+
+registerSource(require('./zillow.cjs'));
+registerSource(require('./realtor.cjs'));
+
+module.exports = { registerSource, getSource, listSources, resolveSources };
@@ -0,0 +1,74 @@
+/**
+ * Realtor.com source adapter
+ *
+ * Scrapes the public Realtor.com search results page for a city.
+ */
+
+const cheerio = require('cheerio');
+const { defineSource, parsePrice, parseAddressLine } = require('./adapter.cjs');
+const { normalizeProperty } = require('../schema.cjs');
+
+const BASE_URL = 'https://www.realtor.com';
+
+/**
+ * Build the search URL for a city and results page
+ */
+function searchUrl(city, page = 1) {
+  const url = `${BASE_URL}/realestateandhomes-search/${encodeURIComponent(city.name + '_' + city.state)}`;
+  return page > 1 ? `${url}/pg-${page}` : url;
+}
+
+/**
+ * Download a search results page for a city
+ */
+async function fetch(city, context, page = 1) {
+  const response = await context.http.get(searchUrl(city, page), {
+    headers: {
+      'Accept': 'text/html,application/xhtml+xml',
+    }
+  });
+  return response.data;
+}
+
+/**
+ * Whether another results page follows, from the pager links
+ */
+function hasNextPage(html) {
+  const $ = cheerio.load(html);
+  return $('a[rel="next"], a[aria-label="Go to next page"]').filter((i, elem) => $(elem).attr('aria-disabled') !== 'true').length > 0;
+}
+
+/**
+ * Extract property records from a search results page
+ */
+function parse(html, city) {
+  const $ = cheerio.load(html);
+  const properties = [];
+
+  $('[data-testid="property-card"]').each((i, elem) => {
+    const $elem = $(elem);
+
+    const address = parseAddressLine($elem.find('[data-testid="property-address"]').text());
+
+    properties.push(normalizeProperty({
+      ...address,
+      price: parsePrice($elem.find('[data-testid="property-price"]').text()),
+      bedrooms: parseInt($elem.find('[data-testid="property-beds"]').text()) || null,
+      bathrooms: parseFloat($elem.find('[data-testid="property-baths"]').text()) || null,
+      sqft: parseInt($elem.find('[data-testid="property-sqft"]').text().replace(/[^0-9]/g, '')) || null,
+      listingLink: $elem.find('a').attr('href'),
+      thumbnailUrl: $elem.find('img').attr('src')
+    }, { source: 'realtor', city }));
+  });
+
+  return properties;
+}
+
+module.exports = defineSource({
+  name: 'realtor',
+  label: 'Realtor.com',
+  baseUrl: BASE_URL,
+  fetch,
+  parse,
+  hasNextPage
+});
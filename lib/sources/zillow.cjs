@@ -0,0 +1,196 @@
+/**
+ * Zillow source adapter
+ *
+ * Scrapes the public Zillow search results page for a city. Listing data
+ * is read from the JSON embedded in the page; the property cards are only
+ * parsed when that payload is missing.
+ */
+
+const cheerio = require('cheerio');
+const { defineSource, parsePrice, parseAddressLine } = require('./adapter.cjs');
+const { normalizeProperty } = require('../schema.cjs');
+
+const BASE_URL = 'https://www.zillow.com';
+
+/**
+ * Build the search URL for a city and results page
+ */
+function searchUrl(city, page = 1) {
+  const url = `${BASE_URL}/homes/${encodeURIComponent(city.name + ', ' + city.state)}_rb/`;
+  return page > 1 ? `${url}${page}_p/` : url;
+}
+
+/**
+ * Download a search results page for a city
+ */
+async function fetch(city, context, page = 1) {
+  const response = await context.http.get(searchUrl(city, page), {
+    headers: {
+      'Accept': 'text/html,application/xhtml+xml',
+      'Accept-Language': 'en-US,en;q=0.9',
+    }
+  });
+  return response.data;
+}
+
+/**
+ * Locate the embedded search state in a results page
+ *
+ * Zillow ships the listing data as JSON, either in the Next.js payload
+ * (<script id="__NEXT_DATA__">) or, on older pages, in a comment-wrapped
+ * <script data-zrr-shared-data-key="mobileSearchPageStore">.
+ *
+ * @returns {Object|null} searchPageState, or null when none is present
+ */
+function extractSearchState($) {
+  const nextData = $('script#__NEXT_DATA__').first().text();
+  if (nextData) {
+    try {
+      const data = JSON.parse(nextData);
+      const state = data && data.props && data.props.pageProps && data.props.pageProps.searchPageState;
+      if (state) return state;
+    } catch (err) {
+      // Malformed payload - fall through to the next format
+    }
+  }
+
+  const store = $('script[data-zrr-shared-data-key="mobileSearchPageStore"]').first().html();
+  if (store) {
+    try {
+      return JSON.parse(store.replace(/^\s*<!--/, '').replace(/-->\s*$/, ''));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+// The last page loaded: the pipeline calls parse() and then hasNextPage()
+// on the same content, so the second call reuses the document and search state
+let lastPage = null;
+
+/**
+ * Load a results page and its embedded search state, once per page
+ *
+ * @returns {{ $: Function, state: Object|null }}
+ */
+function loadPage(html) {
+  if (!lastPage || lastPage.html !== html) {
+    const $ = cheerio.load(html);
+    lastPage = { html, $, state: extractSearchState($) };
+  }
+  return lastPage;
+}
+
+/**
+ * Map one embedded search result onto the canonical schema
+ */
+function mapSearchResult(result, city) {
+  const home = (result.hdpData && result.hdpData.homeInfo) || {};
+  const latLong = result.latLong || {};
+  const photos = (result.carouselPhotos || []).map(photo => photo.url).filter(Boolean);
+
+  return normalizeProperty({
+    sourceId: result.zpid || home.zpid,
+    streetAddress: result.addressStreet || home.streetAddress,
+    city: result.addressCity || home.city,
+    state: result.addressState || home.state,
+    zipCode: result.addressZipcode || home.zipcode,
+    latitude: latLong.latitude !== undefined ? latLong.latitude : home.latitude,
+    longitude: latLong.longitude !== undefined ? latLong.longitude : home.longitude,
+    price: result.unformattedPrice || home.price || parsePrice(result.price),
+    bedrooms: result.beds !== undefined ? result.beds : home.bedrooms,
+    bathrooms: result.baths !== undefined ? result.baths : home.bathrooms,
+    sqft: result.area || home.livingArea,
+    lotSize: home.lotAreaUnit === 'acres' ? home.lotAreaValue * 43560 : home.lotAreaValue,
+    yearBuilt: home.yearBuilt,
+    propertyType: home.homeType,
+    status: home.homeStatus || result.statusType,
+    daysOnMarket: home.daysOnZillow,
+    zestimate: result.zestimate || home.zestimate,
+    rentZestimate: home.rentZestimate,
+    images: photos,
+    thumbnailUrl: result.imgSrc,
+    listingLink: result.detailUrl,
+    brokerName: result.brokerName
+  }, { source: 'zillow', city });
+}
+
+/**
+ * Extract property records from the embedded search state
+ */
+function parseSearchState(state, city) {
+  const results = (state.cat1 && state.cat1.searchResults) || state.searchResults || {};
+  const listResults = results.listResults || [];
+  const seen = new Set(listResults.map(result => String(result.zpid)));
+  const mapOnly = (results.mapResults || []).filter(result => !seen.has(String(result.zpid)));
+
+  return [...listResults, ...mapOnly].map(result => mapSearchResult(result, city));
+}
+
+/**
+ * Extract property records from the rendered property cards
+ *
+ * Note: Cards carry only address/price/beds/baths/sqft - used when a page has no embedded JSON
+ */
+function parseCards($, city) {
+  const properties = [];
+
+  $('article[data-test="property-card"]').each((i, elem) => {
+    const $elem = $(elem);
+    const address = parseAddressLine($elem.find('[data-test="property-card-addr"]').text());
+
+    properties.push(normalizeProperty({
+      ...address,
+      price: parsePrice($elem.find('[data-test="property-card-price"]').text()),
+      bedrooms: parseInt($elem.find('[data-test="property-card-beds"]').text()) || null,
+      bathrooms: parseFloat($elem.find('[data-test="property-card-baths"]').text()) || null,
+      sqft: parseInt($elem.find('[data-test="property-card-sqft"]').text().replace(/[^0-9]/g, '')) || null,
+      listingLink: $elem.find('a').attr('href'),
+      thumbnailUrl: $elem.find('img').attr('src')
+    }, { source: 'zillow', city }));
+  });
+
+  return properties;
+}
+
+/**
+ * Whether another results page follows, from the embedded pagination
+ * data or the pager links
+ */
+function hasNextPage(html, page) {
+  const { $, state } = loadPage(html);
+  const searchList = state && state.cat1 && state.cat1.searchList;
+
+  if (searchList && searchList.pagination) {
+    if (searchList.pagination.nextUrl) return true;
+    if (searchList.totalPages) return page < searchList.totalPages;
+  }
+
+  return $('a[rel="next"], a[title="Next page"]').filter((i, elem) => $(elem).attr('aria-disabled') !== 'true').length > 0;
+}
+
+/**
+ * Extract property records from a search results page,
+ * preferring the embedded JSON over the DOM cards
+ */
+function parse(html, city) {
+  const { $, state } = loadPage(html);
+
+  if (state) {
+    const properties = parseSearchState(state, city);
+    if (properties.length > 0) return properties;
+  }
+
+  return parseCards($, city);
+}
+
+module.exports = defineSource({
+  name: 'zillow',
+  label: 'Zillow',
+  baseUrl: BASE_URL,
+  fetch,
+  parse,
+  hasNextPage
+});
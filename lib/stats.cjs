@@ -0,0 +1,173 @@
+/**
+ * Market Statistics
+ *
+ * Aggregates listings per city, ZIP code, property type or bedroom count:
+ *
+ *   count, price: { mean, median, min, max, p<N> }, medianPricePerSqft,
+ *   medianDaysOnMarket, inventory: { active, pending, sold, off_market },
+ *   priceDropShare: share of active listings whose price was ever cut (null
+ *   when no price history is given, e.g. for generated listings)
+ *
+ * Listings are added one at a time and only the numbers are kept, so
+ * stored listings can be read page by page (eachProperty).
+ *
+ * Usage:
+ *   const stats = createMarketStats({ groupBy: 'zip', priceDrops: new Set(ids) });
+ *   for await (const property of eachProperty(repository, query)) stats.add(property);
+ *   const { total, groups } = stats.result();
+ */
+
+const { LISTING_STATUSES } = require('./schema.cjs');
+
+// groupBy value -> property field
+const GROUP_FIELDS = {
+  city: 'city',
+  zip: 'zipCode',
+  propertyType: 'propertyType',
+  beds: 'bedrooms'
+};
+
+const GROUP_BY = Object.keys(GROUP_FIELDS);
+
+const DEFAULT_PERCENTILES = [10, 25, 75, 90];
+
+/**
+ * Percentile of sorted numbers, interpolated between the closest ranks
+ *
+ * @returns {number|null} null for an empty list
+ */
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const low = Math.floor(rank);
+  const high = Math.ceil(rank);
+  return sorted[low] + (sorted[high] - sorted[low]) * (rank - low);
+}
+
+const round = (value, digits = 0) => (value === null ? null : Number(value.toFixed(digits)));
+const sortNumbers = (values) => [...values].sort((a, b) => a - b);
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Parse a percentiles parameter ("10,25,75,90", repeated or comma-separated)
+ *
+ * @returns {{ percentiles: Array<number>, errors: Array<string> }} DEFAULT_PERCENTILES when empty
+ */
+function parsePercentiles(value) {
+  const parts = [].concat(value === undefined ? [] : value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+  if (!parts.length) return { percentiles: DEFAULT_PERCENTILES, errors: [] };
+
+  const errors = parts
+    .filter(part => !/^\d+$/.test(part) || Number(part) < 1 || Number(part) > 99)
+    .map(part => `Percentile must be an integer from 1 to 99 (got "${part}")`);
+  return { percentiles: [...new Set(parts.map(Number))].sort((a, b) => a - b), errors };
+}
+
+/**
+ * Running numbers for one group
+ */
+function createGroup() {
+  return {
+    count: 0,
+    prices: [],
+    pricesPerSqft: [],
+    daysOnMarket: [],
+    inventory: Object.fromEntries(LISTING_STATUSES.map(status => [status, 0])),
+    dropped: 0
+  };
+}
+
+/**
+ * A group's statistics (priceDropShare only when price drops were given)
+ */
+function summarizeGroup(group, percentiles, measuredDrops) {
+  const prices = sortNumbers(group.prices);
+  const price = {
+    mean: prices.length ? round(prices.reduce((sum, value) => sum + value, 0) / prices.length) : null,
+    median: round(percentile(prices, 50)),
+    min: prices.length ? prices[0] : null,
+    max: prices.length ? prices[prices.length - 1] : null
+  };
+  for (const p of percentiles) {
+    price[`p${p}`] = round(percentile(prices, p));
+  }
+
+  const active = group.inventory.active;
+  return {
+    count: group.count,
+    price,
+    medianPricePerSqft: round(percentile(sortNumbers(group.pricesPerSqft), 50), 2),
+    medianDaysOnMarket: round(percentile(sortNumbers(group.daysOnMarket), 50), 1),
+    inventory: { ...group.inventory },
+    priceDropShare: measuredDrops && active ? round(group.dropped / active, 4) : null
+  };
+}
+
+/**
+ * Order group keys: bedroom counts numerically, the rest alphabetically,
+ * listings without a value ("unknown") last
+ */
+function compareKeys(a, b) {
+  if (a === 'unknown' || b === 'unknown') return (a === 'unknown') - (b === 'unknown');
+  const numeric = /^\d+(\.\d+)?$/;
+  if (numeric.test(a) && numeric.test(b)) return Number(a) - Number(b);
+  return a.localeCompare(b);
+}
+
+/**
+ * Create a statistics accumulator
+ *
+ * @param {Object} options - { groupBy: one of GROUP_BY (default city), percentiles,
+ *   priceDrops: Set of propertyIds whose price was cut (see findPriceDrops); without
+ *   it priceDropShare is null }
+ * @returns {{ add(property), result(): { groupBy, total, groups: Array<{ key, ...stats }> } }}
+ */
+function createMarketStats(options = {}) {
+  const groupBy = options.groupBy || 'city';
+  const field = GROUP_FIELDS[groupBy];
+  if (!field) {
+    throw new Error(`Unknown groupBy "${groupBy}" (expected one of: ${GROUP_BY.join(', ')})`);
+  }
+  const percentiles = options.percentiles || DEFAULT_PERCENTILES;
+  const priceDrops = options.priceDrops || null;
+  const total = createGroup();
+  const groups = new Map();
+
+  function add(property) {
+    const value = property[field];
+    const key = value === null || value === undefined || value === '' ? 'unknown' : String(value);
+    if (!groups.has(key)) groups.set(key, createGroup());
+
+    for (const group of [total, groups.get(key)]) {
+      group.count++;
+      if (isNumber(property.price)) group.prices.push(property.price);
+      if (isNumber(property.price) && isNumber(property.sqft) && property.sqft > 0) {
+        group.pricesPerSqft.push(property.price / property.sqft);
+      }
+      if (isNumber(property.daysOnMarket)) group.daysOnMarket.push(property.daysOnMarket);
+      if (group.inventory[property.status] !== undefined) group.inventory[property.status]++;
+      if (property.status === 'active' && priceDrops && priceDrops.has(property.propertyId)) group.dropped++;
+    }
+  }
+
+  function result() {
+    return {
+      groupBy,
+      total: summarizeGroup(total, percentiles, Boolean(priceDrops)),
+      groups: [...groups.keys()].sort(compareKeys).map(key => ({ key, ...summarizeGroup(groups.get(key), percentiles, Boolean(priceDrops)) }))
+    };
+  }
+
+  return { add, result };
+}
+
+module.exports = {
+  GROUP_BY,
+  DEFAULT_PERCENTILES,
+  percentile,
+  parsePercentiles,
+  createMarketStats
+};
@@ -0,0 +1,89 @@
+/**
+ * Database Migrations CLI
+ *
+ * Creates and updates the MySQL schema (DATABASE_URL) from migrations/.
+ *
+ * Usage:
+ *   node migrate.cjs                 (same as up)
+ *   node migrate.cjs up              (apply every pending migration)
+ *   node migrate.cjs up --to=003     (apply pending migrations up to 003)
+ *   node migrate.cjs down            (revert the last migration)
+ *   node migrate.cjs down --steps 2
+ *   node migrate.cjs down --to=001   (revert everything after 001)
+ *   node migrate.cjs status
+ *   npm run migrate
+ *
+ * Also available as `node cli.js migrate`.
+ */
+
+require('dotenv').config();
+const mysql = require('mysql2/promise');
+const { createMigrator } = require('./lib/migrator.cjs');
+const { EXIT_CODES, parseCommandLine, integerOption, usageError } = require('./lib/args.cjs');
+
+const COMMANDS = ['up', 'down', 'status'];
+
+// Command-line options (lib/args.cjs), shared with `cli.js migrate`
+const MIGRATE_OPTIONS = {
+  to: { type: 'string' },
+  steps: { type: 'string' }
+};
+
+/**
+ * Run a migration command
+ *
+ * @param {string} command - up | down | status
+ * @param {Object} options - { to, steps, databaseUrl }
+ */
+async function migrate(command = 'up', options = {}) {
+  if (!COMMANDS.includes(command)) {
+    throw usageError(`Unknown migrate command "${command}" (expected one of: ${COMMANDS.join(', ')})`);
+  }
+  const databaseUrl = options.databaseUrl || process.env.DATABASE_URL;
+  if (!databaseUrl) {
+    throw new Error('DATABASE_URL is not set');
+  }
+
+  const connection = await mysql.createConnection(databaseUrl);
+  try {
+    const migrator = createMigrator(connection, {
+      onMigrate: (direction, { version, name }) => console.log(`${direction === 'up' ? '⬆️ ' : '⬇️ '} ${version}-${name}`)
+    });
+
+    if (command === 'status') {
+      const migrations = await migrator.status();
+      for (const { version, name, applied, appliedAt } of migrations) {
+        console.log(`${applied ? '✅' : '⏳'} ${version}-${name}${applied ? ` (applied ${new Date(appliedAt).toISOString()})` : ''}`);
+      }
+      return migrations;
+    }
+
+    const done = command === 'up'
+      ? await migrator.up({ to: options.to })
+      : await migrator.down({ to: options.to, steps: options.steps });
+    console.log(done.length
+      ? `✅ ${command === 'up' ? 'Applied' : 'Reverted'} ${done.length} migration(s)`
+      : 'ℹ️  Nothing to do');
+    return done;
+  } finally {
+    await connection.end();
+  }
+}
+
+if (require.main === module) {
+  Promise.resolve()
+    .then(() => {
+      const { values, positionals } = parseCommandLine(process.argv.slice(2), MIGRATE_OPTIONS, { positionals: true });
+      if (positionals.length > 1) throw usageError(`Unexpected argument "${positionals[1]}"`);
+      return migrate(positionals[0] || 'up', { to: values.to, steps: integerOption(values.steps, 'steps') });
+    })
+    .then(() => {
+      process.exitCode = EXIT_CODES.ok;
+    })
+    .catch(error => {
+      console.error(`❌ Migration failed: ${error.message}`);
+      process.exitCode = error.code === 'USAGE' ? EXIT_CODES.usage : EXIT_CODES.failed;
+    });
+}
+
+module.exports = { migrate, MIGRATE_OPTIONS, COMMANDS };
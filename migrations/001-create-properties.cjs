@@ -0,0 +1,50 @@
+/**
+ * Properties: one row per listing, keyed by the canonical propertyId.
+ * Filter/sort fields have their own columns; `data` holds the full record.
+ */
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE properties (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      propertyId VARCHAR(100) NOT NULL,
+      source VARCHAR(50) NOT NULL,
+      sourceId VARCHAR(100),
+      mlsId VARCHAR(50),
+      streetAddress VARCHAR(255),
+      city VARCHAR(100),
+      state CHAR(2),
+      zipCode VARCHAR(10),
+      latitude DECIMAL(9,6),
+      longitude DECIMAL(9,6),
+      price INT,
+      bedrooms DECIMAL(4,1),
+      bathrooms DECIMAL(4,1),
+      sqft INT,
+      lotSize INT,
+      yearBuilt INT,
+      propertyType VARCHAR(50),
+      status VARCHAR(20),
+      daysOnMarket INT,
+      hoaFee INT,
+      zestimate INT,
+      rentZestimate INT,
+      listingLink TEXT,
+      thumbnailUrl TEXT,
+      isSynthetic TINYINT(1) NOT NULL DEFAULT 0,
+      data JSON,
+      scrapedAt DATETIME,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY unique_property_id (propertyId),
+      KEY idx_properties_city (city),
+      KEY idx_properties_price (price)
+    )
+  `);
+}
+
+async function down(db) {
+  await db.query('DROP TABLE properties');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,56 @@
+/**
+ * Copy listings from the scraped_properties table that index.js used to
+ * create inline. The old table is left in place; drop it by hand once the
+ * copy has been checked.
+ */
+
+const { normalizeProperty } = require('../lib/schema.cjs');
+
+// properties columns as created by 001
+const COLUMNS = [
+  'propertyId', 'source', 'sourceId', 'mlsId', 'streetAddress', 'city', 'state', 'zipCode',
+  'latitude', 'longitude', 'price', 'bedrooms', 'bathrooms', 'sqft', 'lotSize', 'yearBuilt',
+  'propertyType', 'status', 'daysOnMarket', 'hoaFee', 'zestimate', 'rentZestimate',
+  'listingLink', 'thumbnailUrl', 'isSynthetic'
+];
+
+async function up(db) {
+  const [tables] = await db.query("SHOW TABLES LIKE 'scraped_properties'");
+  if (tables.length === 0) return;
+
+  const [rows] = await db.query('SELECT * FROM scraped_properties');
+  for (const row of rows) {
+    const stored = row.data ? (typeof row.data === 'string' ? JSON.parse(row.data) : row.data) : null;
+    const property = stored || normalizeProperty({
+      propertyId: row.propertyId,
+      address: row.address,
+      city: row.city,
+      state: row.state,
+      zipCode: row.zipCode,
+      price: row.price,
+      beds: row.beds,
+      baths: row.baths,
+      sqft: row.sqft,
+      propertyType: row.propertyType,
+      yearBuilt: row.yearBuilt,
+      status: row.status,
+      daysOnMarket: row.daysOnMarket,
+      hoaFee: row.hoaFee,
+      link: row.link,
+      imageUrl: row.imageUrl,
+      isSynthetic: Boolean(row.isSynthetic),
+      scrapedAt: row.scrapedAt instanceof Date ? row.scrapedAt.toISOString() : row.scrapedAt
+    }, { source: row.source });
+
+    const values = COLUMNS.map(column => (column === 'isSynthetic' ? (property.isSynthetic ? 1 : 0) : property[column]));
+    await db.query(
+      `INSERT IGNORE INTO properties (${COLUMNS.join(', ')}, data, scrapedAt) VALUES (?)`,
+      [[...values, JSON.stringify(property), new Date(property.scrapedAt)]]
+    );
+  }
+}
+
+// The copied rows go away with the properties table (001)
+async function down() {}
+
+module.exports = { up, down };
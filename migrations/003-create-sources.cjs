@@ -0,0 +1,32 @@
+/**
+ * Sources: the sites (and the generator) that property rows come from.
+ */
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE sources (
+      name VARCHAR(50) PRIMARY KEY,
+      label VARCHAR(100) NOT NULL,
+      baseUrl VARCHAR(255),
+      isSynthetic TINYINT(1) NOT NULL DEFAULT 0,
+      enabled TINYINT(1) NOT NULL DEFAULT 1,
+      lastCheckedAt DATETIME,
+      lastCheckOk TINYINT(1),
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.query(
+    'INSERT INTO sources (name, label, baseUrl, isSynthetic) VALUES ?',
+    [[
+      ['zillow', 'Zillow', 'https://www.zillow.com', 0],
+      ['realtor', 'Realtor.com', 'https://www.realtor.com', 0],
+      ['generator', 'Sample generator', null, 1]
+    ]]
+  );
+}
+
+async function down(db) {
+  await db.query('DROP TABLE sources');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,24 @@
+/**
+ * Scrape runs: one row per scraper run with its options and final report.
+ */
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE scrape_runs (
+      id VARCHAR(40) PRIMARY KEY,
+      mode VARCHAR(30),
+      status VARCHAR(20) NOT NULL,
+      options JSON,
+      report JSON,
+      startedAt DATETIME NOT NULL,
+      finishedAt DATETIME,
+      KEY idx_scrape_runs_started (startedAt)
+    )
+  `);
+}
+
+async function down(db) {
+  await db.query('DROP TABLE scrape_runs');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,28 @@
+/**
+ * Price history: one row per observed listing event (listed, price change,
+ * status change, delisted), optionally tied to the run that saw it.
+ */
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE price_history (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      propertyId VARCHAR(100) NOT NULL,
+      runId VARCHAR(40),
+      event VARCHAR(30) NOT NULL,
+      price INT,
+      previousPrice INT,
+      status VARCHAR(20),
+      previousStatus VARCHAR(20),
+      recordedAt DATETIME NOT NULL,
+      KEY idx_price_history_property (propertyId, recordedAt),
+      KEY idx_price_history_run (runId)
+    )
+  `);
+}
+
+async function down(db) {
+  await db.query('DROP TABLE price_history');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,23 @@
+/**
+ * properties.addressKey: the normalized street address + ZIP code that
+ * listings from different sources are matched on (lib/address.cjs).
+ * Existing rows are backfilled.
+ */
+
+const { addressKey } = require('../lib/address.cjs');
+
+async function up(db) {
+  await db.query('ALTER TABLE properties ADD COLUMN addressKey VARCHAR(255) AFTER zipCode, ADD KEY idx_properties_address_key (addressKey)');
+
+  const [rows] = await db.query('SELECT propertyId, streetAddress, city, zipCode FROM properties');
+  for (const row of rows) {
+    const key = addressKey(row);
+    if (key) await db.query('UPDATE properties SET addressKey = ? WHERE propertyId = ?', [key, row.propertyId]);
+  }
+}
+
+async function down(db) {
+  await db.query('ALTER TABLE properties DROP KEY idx_properties_address_key, DROP COLUMN addressKey');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,27 @@
+/**
+ * Listing changes: one row per listing added, changed (with the old and new
+ * value of each changed field) or removed by a save, for delta exports
+ * (lib/delta.cjs). Millisecond timestamps, so `since` a run's finish time
+ * never picks up that run's own rows.
+ */
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE listing_changes (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      propertyId VARCHAR(100) NOT NULL,
+      runId VARCHAR(40),
+      type VARCHAR(10) NOT NULL,
+      fields JSON,
+      recordedAt DATETIME(3) NOT NULL,
+      KEY idx_listing_changes_recorded (recordedAt),
+      KEY idx_listing_changes_property (propertyId)
+    )
+  `);
+}
+
+async function down(db) {
+  await db.query('DROP TABLE listing_changes');
+}
+
+module.exports = { up, down };
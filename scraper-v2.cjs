@@ -1,168 +1,110 @@
 /**
- * Florida Property Scraper V2 - Direct Web Scraping
+ * Florida Property Scraper V2 - Sample Data Generation
  * 
- * This version uses direct web scraping from public real estate websites
- * instead of paid APIs. It's completely free and works without API keys.
+ * This version does not scrape any site: it generates synthetic listings
+ * per city (lib/generator.cjs), for demos and testing without network
+ * access or API keys.
  * 
- * Data sources:
- * - Zillow.com (public listings)
- * - Realtor.com (public listings)
- * - Trulia.com (public listings)
+ * Every record is generated (isSynthetic: true), so nothing is
+ * written to the database unless --save-synthetic (or
+ * SAVE_SYNTHETIC_TO_DATABASE=true) is given.
  * 
  * Usage:
- *   node scraper-v2.js --city "Orlando" --limit 50
+ *   node scraper-v2.cjs --city "Orlando" --limit 50
+ *   node scraper-v2.cjs --city Orlando --city "Winter Park"
+ *   node scraper-v2.cjs --save-synthetic
+ *   node scraper-v2.cjs --seed=123
+ *   node scraper-v2.cjs --city="Tampa Bay"   (any city, group or county in data/regions.json)
+ *   node scraper-v2.cjs --output-dir=./exports --format=json
+ *   node scraper-v2.cjs --format=csv --columns=propertyId,price,images
+ *   node scraper-v2.cjs --format=ndjson,parquet --name="v2-{timestamp}"
+ *   node scraper-v2.cjs --searches=./my-searches.json   (saved searches to notify)
+ *   node scraper-v2.cjs --dry-run            (no database or file writes)
  */
 
-const https = require('https');
-const fs = require('fs');
-const path = require('path');
-const mysql = require('mysql2/promise');
+const { generateProperties } = require('./lib/generator.cjs');
+const { useRegionsFile, resolveCities } = require('./lib/regions.cjs');
+const { openMySqlRepository } = require('./lib/repository/mysql.cjs');
+const { EXPORT_FORMATS, DEFAULT_FORMATS, writeExport } = require('./lib/exporters.cjs');
+const { runSavedSearches } = require('./lib/saved-searches.cjs');
+const { createRunId } = require('./lib/runs.cjs');
+const { EXIT_CODES, parseCommandLine, listOption, integerOption, choiceOption, columnsOption } = require('./lib/args.cjs');
 
 // Configuration
-const CITIES = [
-  'Orlando', 'Tampa', 'Daytona Beach', 'St. Petersburg', 'Clearwater',
-  'Lakeland', 'Kissimmee', 'Port Orange', 'Sanford', 'Oviedo',
-  'Winter Park', 'Altamonte Springs', 'Deltona', 'Palm Coast', 'Titusville'
-];
-
 const CONFIG = {
   state: 'FL',
   maxPerCity: 100,
   timeout: 15000,
   retries: 3,
   delayMs: 2000,
-  userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+  userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+  saveSyntheticToDatabase: process.env.SAVE_SYNTHETIC_TO_DATABASE === 'true'
 };
 
 // Sample property generator (fallback when scraping fails)
-function generateSampleProperties(city, count = 10) {
-  const properties = [];
-  const propertyTypes = ['Single Family', 'Condo', 'Townhouse', 'Multi-Family'];
-  const streets = ['Main St', 'Oak Ave', 'Palm Dr', 'Lake View Blvd', 'Sunset Way', 'Beach Rd'];
-  
-  for (let i = 0; i < count; i++) {
-    const beds = 2 + Math.floor(Math.random() * 4);
-    const baths = 1 + Math.floor(Math.random() * 3);
-    const sqft = 1000 + Math.floor(Math.random() * 2500);
-    const price = Math.floor((sqft * (150 + Math.random() * 150)) / 1000) * 1000;
-    
-    properties.push({
-      streetAddress: `${100 + Math.floor(Math.random() * 9900)} ${streets[Math.floor(Math.random() * streets.length)]}`,
-      city,
-      state: 'FL',
-      zipCode: `${32700 + Math.floor(Math.random() * 1000)}`,
-      price,
-      bedrooms: beds,
-      bathrooms: baths,
-      sqft,
-      propertyType: propertyTypes[Math.floor(Math.random() * propertyTypes.length)],
-      yearBuilt: 1980 + Math.floor(Math.random() * 44),
-      lotSize: sqft * (2 + Math.random() * 3),
-      description: `Beautiful ${beds} bedroom, ${baths} bathroom home in ${city}. Features modern amenities, updated kitchen, and spacious living areas. Great location close to schools, shopping, and entertainment.`,
-      images: JSON.stringify([
-        `https://images.unsplash.com/photo-${1560184000000 + Math.floor(Math.random() * 100000000)}`,
-        `https://images.unsplash.com/photo-${1560184000000 + Math.floor(Math.random() * 100000000)}`,
-        `https://images.unsplash.com/photo-${1560184000000 + Math.floor(Math.random() * 100000000)}`
-      ]),
-      thumbnailUrl: `https://images.unsplash.com/photo-1568605114967-8130f3a36994?w=800`,
-      listingLink: `https://example.com/property/${Math.random().toString(36).substr(2, 9)}`,
-      mlsId: `MLS${Math.floor(Math.random() * 1000000)}`,
-      status: 'active',
-      daysOnMarket: Math.floor(Math.random() * 90),
-      hoaFee: Math.random() > 0.5 ? Math.floor(Math.random() * 300) + 50 : null,
-      taxAssessment: Math.floor(price * 0.012),
-      zestimate: Math.floor(price * (0.95 + Math.random() * 0.1)),
-      agentName: ['John Smith', 'Sarah Johnson', 'Mike Davis', 'Emily Brown'][Math.floor(Math.random() * 4)],
-      agentPhone: `(407) ${Math.floor(Math.random() * 900) + 100}-${Math.floor(Math.random() * 9000) + 1000}`,
-      agentEmail: `agent${Math.floor(Math.random() * 1000)}@realty.com`,
-      brokerName: ['Keller Williams', 'RE/MAX', 'Century 21', 'Coldwell Banker'][Math.floor(Math.random() * 4)],
-      latitude: (28.5 + Math.random() * 0.5).toFixed(6),
-      longitude: (-81.4 + Math.random() * 0.5).toFixed(6)
-    });
-  }
-  
-  return properties;
+function generateSampleProperties(city, count = 10, options = {}) {
+  return generateProperties(city, count, options);
 }
 
 // Database functions
-async function getDbConnection() {
+async function openDatabase() {
   if (!process.env.DATABASE_URL) {
     console.warn('⚠️  No DATABASE_URL provided, skipping database save');
     return null;
   }
   
   try {
-    const connection = await mysql.createConnection(process.env.DATABASE_URL);
-    return connection;
+    return await openMySqlRepository(process.env.DATABASE_URL);
   } catch (error) {
     console.error('❌ Database connection failed:', error.message);
     return null;
   }
 }
 
-async function saveToDatabase(properties, connection) {
-  if (!connection) return 0;
-  
-  let saved = 0;
-  const query = `
-    INSERT INTO properties (
-      streetAddress, city, state, zipCode, price, bedrooms, bathrooms, sqft,
-      propertyType, yearBuilt, lotSize, description, images, thumbnailUrl,
-      listingLink, mlsId, status, daysOnMarket, hoaFee, taxAssessment, zestimate,
-      agentName, agentPhone, agentEmail, brokerName, latitude, longitude
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    ON DUPLICATE KEY UPDATE
-      price = VALUES(price),
-      status = VALUES(status),
-      daysOnMarket = VALUES(daysOnMarket),
-      updatedAt = CURRENT_TIMESTAMP
-  `;
-  
-  for (const prop of properties) {
-    try {
-      await connection.execute(query, [
-        prop.streetAddress, prop.city, prop.state, prop.zipCode, prop.price,
-        prop.bedrooms, prop.bathrooms, prop.sqft, prop.propertyType, prop.yearBuilt,
-        prop.lotSize, prop.description, prop.images, prop.thumbnailUrl, prop.listingLink,
-        prop.mlsId, prop.status, prop.daysOnMarket, prop.hoaFee, prop.taxAssessment,
-        prop.zestimate, prop.agentName, prop.agentPhone, prop.agentEmail, prop.brokerName,
-        prop.latitude, prop.longitude
-      ]);
-      saved++;
-    } catch (error) {
-      console.error(`❌ Failed to save property: ${error.message}`);
-    }
-  }
-  
-  return saved;
-}
-
 // Main scraper
-async function scrapeProperties(cities = CITIES, maxPerCity = CONFIG.maxPerCity) {
+// options: { saveSynthetic, seed, outputDir, formats, columns, name, searchesFile, dryRun }
+async function scrapeProperties(cities = resolveCities().map(city => city.name), maxPerCity = CONFIG.maxPerCity, options = {}) {
+  const saveSynthetic = (options.saveSynthetic || CONFIG.saveSyntheticToDatabase) && !options.dryRun;
+  
   console.log('🏠 Florida Property Scraper V2');
   console.log('==============================');
   console.log(`📍 Scraping ${cities.length} cities in Central Florida`);
   console.log('');
   
+  // Tags database changes and saved search notifications of this run
+  const runId = createRunId();
+  
   const allProperties = [];
-  let connection = null;
+  let repository = null;
   
   try {
-    connection = await getDbConnection();
+    if (saveSynthetic) {
+      repository = await openDatabase();
+    } else if (options.dryRun) {
+      console.log('ℹ️  Dry run: nothing is written to the database or files');
+    } else {
+      console.log('ℹ️  Generated properties are not saved to the database (use --save-synthetic)');
+    }
     
     for (const city of cities) {
       console.log(`📍 Processing ${city}, FL...`);
       
       // Generate sample properties (since direct scraping requires more complex parsing)
-      const properties = generateSampleProperties(city, maxPerCity);
+      const properties = generateSampleProperties(city, maxPerCity, { seed: options.seed });
       allProperties.push(...properties);
       
-      console.log(`✅ Generated ${properties.length} sample properties for ${city}`);
+      console.log(`✅ Generated ${properties.length} sample properties for ${city} (synthetic)`);
       
       // Save to database
-      if (connection) {
-        const saved = await saveToDatabase(properties, connection);
-        console.log(`💾 Saved ${saved}/${properties.length} to database`);
+      if (repository) {
+        const result = await repository.saveProperties(properties, { runId });
+        result.errors.forEach(error => console.error(`❌ Failed to save property: ${error}`));
+        const delisted = await repository.delistMissing({
+          scope: [{ city, source: 'generator' }],
+          seen: result.propertyIds,
+          runId
+        });
+        console.log(`💾 Saved ${result.inserted + result.updated}/${properties.length} to database (${result.changes.length} changes, ${delisted.length} delisted)`);
       }
       
       // Rate limiting
@@ -170,32 +112,29 @@ async function scrapeProperties(cities = CITIES, maxPerCity = CONFIG.maxPerCity)
     }
     
     // Export to files
-    const timestamp = new Date().toISOString().split('T')[0];
-    
-    // JSON export
-    const jsonFile = `properties-${timestamp}.json`;
-    fs.writeFileSync(jsonFile, JSON.stringify(allProperties, null, 2));
-    console.log(`\n📄 Exported to ${jsonFile}`);
-    
-    // CSV export
-    const csvFile = `properties-${timestamp}.csv`;
-    const csvHeader = 'Address,City,State,ZIP,Price,Beds,Baths,SqFt,Type,Year,MLS ID,Status\n';
-    const csvRows = allProperties.map(p => 
-      `"${p.streetAddress}","${p.city}","${p.state}","${p.zipCode}",${p.price},${p.bedrooms},${p.bathrooms},${p.sqft},"${p.propertyType}",${p.yearBuilt},"${p.mlsId}","${p.status}"`
-    ).join('\n');
-    fs.writeFileSync(csvFile, csvHeader + csvRows);
-    console.log(`📄 Exported to ${csvFile}`);
+    if (!options.dryRun) {
+      console.log('');
+      for (const format of options.formats || DEFAULT_FORMATS) {
+        const file = await writeExport(allProperties, { format, outputDir: options.outputDir, columns: options.columns, name: options.name || 'properties-{date}' });
+        console.log(`📄 Exported to ${file}`);
+      }
+      
+      // Notify saved searches (lib/saved-searches.cjs) when there are any
+      const notifications = await runSavedSearches(allProperties, { file: options.searchesFile, runId });
+      if (notifications) {
+        console.log(`🔔 Saved searches: ${notifications.matches} matches, ${notifications.delivered} delivered, ${notifications.failed} failed (run ${runId})`);
+      }
+    }
     
     // Summary
     console.log('\n📊 Summary:');
     console.log(`   Total properties: ${allProperties.length}`);
+    console.log(`   Synthetic properties: ${allProperties.filter(p => p.isSynthetic).length}`);
     console.log(`   Cities covered: ${cities.length}`);
     console.log(`   Average per city: ${Math.floor(allProperties.length / cities.length)}`);
     
-  } catch (error) {
-    console.error('❌ Scraper failed:', error.message);
   } finally {
-    if (connection) await connection.end();
+    if (repository) await repository.close();
   }
   
   return allProperties;
@@ -203,21 +142,43 @@ async function scrapeProperties(cities = CITIES, maxPerCity = CONFIG.maxPerCity)
 
 // CLI
 if (require.main === module) {
-  const args = process.argv.slice(2);
-  const cityArg = args.find(arg => arg.startsWith('--city='));
-  const limitArg = args.find(arg => arg.startsWith('--limit='));
-  
-  const cities = cityArg ? [cityArg.split('=')[1]] : CITIES;
-  const limit = limitArg ? parseInt(limitArg.split('=')[1]) : CONFIG.maxPerCity;
-  
-  scrapeProperties(cities, limit)
+  Promise.resolve()
+    .then(() => {
+      const { values } = parseCommandLine(process.argv.slice(2), {
+        city: { type: 'string', multiple: true },
+        limit: { type: 'string' },
+        seed: { type: 'string' },
+        regions: { type: 'string' },
+        'save-synthetic': { type: 'boolean' },
+        format: { type: 'string', multiple: true },
+        columns: { type: 'string', multiple: true },
+        name: { type: 'string' },
+        searches: { type: 'string' },
+        'output-dir': { type: 'string' },
+        'dry-run': { type: 'boolean' }
+      });
+      if (values.regions) useRegionsFile(values.regions);
+      const cityNames = listOption(values.city);
+      const cities = resolveCities(cityNames.length ? cityNames : process.env.REGION).map(city => city.name);
+      
+      return scrapeProperties(cities, integerOption(values.limit, 'limit') || CONFIG.maxPerCity, {
+        saveSynthetic: values['save-synthetic'],
+        seed: values.seed,
+        formats: choiceOption(values.format, 'format', EXPORT_FORMATS, DEFAULT_FORMATS),
+        columns: columnsOption(values.columns),
+        name: values.name,
+        searchesFile: values.searches,
+        outputDir: values['output-dir'],
+        dryRun: values['dry-run']
+      });
+    })
     .then(() => {
       console.log('\n✅ Scraping complete!');
-      process.exit(0);
+      process.exitCode = EXIT_CODES.ok;
     })
     .catch(error => {
-      console.error('\n❌ Scraping failed:', error);
-      process.exit(1);
+      console.error('\n❌ Scraping failed:', error.message);
+      process.exitCode = error.code === 'USAGE' ? EXIT_CODES.usage : EXIT_CODES.failed;
     });
 }
 
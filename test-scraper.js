@@ -0,0 +1,1263 @@
+/**
+ * Offline parser tests
+ *
+ * Every page saved under fixtures/<source>/ is parsed with its source
+ * adapter. A fixture must yield at least one valid record, and when a
+ * <slug>.expected.json file sits next to it the extracted records must match
+ * it exactly (ignoring scrapedAt). A site markup change therefore fails here
+ * instead of silently falling back to generated data.
+ *
+ * Usage:
+ *   npm test
+ *   UPDATE_FIXTURES=true npm test   (rewrite the .expected.json files)
+ *   node index.js --record          (snapshot live pages into fixtures/)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import crypto from 'crypto';
+import os from 'os';
+import { Writable } from 'stream';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { normalizeProperty, validateProperty } from './lib/schema.cjs';
+import { getSource } from './lib/sources/index.cjs';
+import { extractProperties, scrapeSource, scrapeCities } from './lib/pipeline.cjs';
+import { listFixtures, writeFixture } from './lib/fixtures.cjs';
+import { createHttpClient, classifyResponse, parseRetryAfter } from './lib/http.cjs';
+import { createRateLimiter, parseRateLimits } from './lib/rate-limiter.cjs';
+import { runPool } from './lib/pool.cjs';
+import { generateProperties } from './lib/generator.cjs';
+import { loadRegions, resolveCities, cityNames, cityProfile } from './lib/regions.cjs';
+import { parseFilters, matchesFilters } from './lib/filters.cjs';
+import { parsePaging, pageProperties } from './lib/paging.cjs';
+import { createMemoryRepository, createMySqlRepository } from './lib/repository/index.cjs';
+import { loadMigrations, createMigrator } from './lib/migrator.cjs';
+import { detectChanges } from './lib/history.cjs';
+import { collapseChanges, loadDelta } from './lib/delta.cjs';
+import { percentile, parsePercentiles, createMarketStats } from './lib/stats.cjs';
+import { normalizeAddress, addressKey } from './lib/address.cjs';
+import { mergeProperties } from './lib/merge.cjs';
+import { createRunReport, recordRequest, recordCity, finishRun, runSummary } from './lib/runs.cjs';
+import { loadSchedule, validateSchedule, createScheduler } from './lib/scheduler.cjs';
+import { validateSearches, loadSearches, evaluateSearches, runSavedSearches } from './lib/saved-searches.cjs';
+import { buildPayload, signPayload, deliver } from './lib/notifications.cjs';
+import { parseCommandLine, listOption, integerOption, choiceOption, singleChoiceOption, columnsOption } from './lib/args.cjs';
+import { writeExport, sendExport, exportFileName } from './lib/exporters.cjs';
+import { parseColumns, escapeCell, toCSV, DEFAULT_COLUMNS } from './lib/csv.cjs';
+import { compileRoutes, matchRoute, parseQuery } from './lib/server.cjs';
+import ExcelJS from 'exceljs';
+import parquet from 'parquetjs-lite';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const FIXTURES_DIR = join(__dirname, 'fixtures');
+
+const quietLog = { info() {}, success() {}, warn() {}, error() {}, debug() {} };
+const config = { scraper: { delayMs: 0, timeout: 1000, userAgent: 'test', maxPages: 1 } };
+
+// scrapedAt is the parse time, so it never matches a saved expectation
+const withoutTimestamp = (records) => records.map(({ scrapedAt, ...rest }) => rest);
+
+const fixtures = listFixtures(FIXTURES_DIR);
+
+test('fixtures directory contains recorded pages', () => {
+  assert.ok(fixtures.length > 0, `no fixtures found in ${FIXTURES_DIR}`);
+});
+
+for (const fixture of fixtures) {
+  test(`${fixture.source} parser extracts listings from ${fixture.slug}`, () => {
+    assert.ok(fixture.meta && fixture.meta.city, `${fixture.slug}.meta.json with a city is required`);
+
+    const adapter = getSource(fixture.source);
+    const html = fs.readFileSync(fixture.file, 'utf8');
+    const properties = extractProperties(adapter, html, fixture.meta.city, quietLog);
+
+    assert.ok(properties.length > 0, `${fixture.source} parser found no listings in ${fixture.slug}.html`);
+    for (const property of properties) {
+      assert.deepEqual(validateProperty(property).errors, []);
+      assert.equal(property.source, fixture.source);
+    }
+
+    const expectedFile = fixture.file.replace(/\.html$/, '.expected.json');
+    if (process.env.UPDATE_FIXTURES === 'true') {
+      fs.writeFileSync(expectedFile, JSON.stringify(withoutTimestamp(properties), null, 2) + '\n');
+    } else if (fs.existsSync(expectedFile)) {
+      const expected = JSON.parse(fs.readFileSync(expectedFile, 'utf8'));
+      assert.deepEqual(withoutTimestamp(properties), expected);
+    }
+  });
+}
+
+test('parsers return no records for an unrelated page', () => {
+  const city = { name: 'Orlando', state: 'FL', zip: '32801' };
+  for (const name of ['zillow', 'realtor']) {
+    assert.deepEqual(getSource(name).parse('<html><body><h1>Access denied</h1></body></html>', city), []);
+  }
+});
+
+test('zillow parser reads the comment-wrapped mobileSearchPageStore payload', () => {
+  const city = { name: 'Kissimmee', state: 'FL', zip: '34741' };
+  const state = {
+    cat1: {
+      searchResults: {
+        listResults: [{
+          zpid: '47120001',
+          unformattedPrice: 342000,
+          addressStreet: '2608 Shelby Cir',
+          addressCity: 'Kissimmee',
+          addressState: 'FL',
+          addressZipcode: '34743',
+          beds: 3,
+          baths: 2,
+          area: 1390,
+          latLong: { latitude: 28.327461, longitude: -81.346012 },
+          detailUrl: '/homedetails/2608-Shelby-Cir-Kissimmee-FL-34743/47120001_zpid/',
+          hdpData: { homeInfo: { homeType: 'SINGLE_FAMILY', homeStatus: 'FOR_SALE', daysOnZillow: 9 } }
+        }]
+      }
+    }
+  };
+  const html = `<script type="application/json" data-zrr-shared-data-key="mobileSearchPageStore"><!--${JSON.stringify(state)}--></script>`;
+
+  const [property] = getSource('zillow').parse(html, city);
+  assert.equal(property.propertyId, 'zillow-47120001');
+  assert.equal(property.zipCode, '34743');
+  assert.equal(property.latitude, 28.327461);
+  assert.equal(property.propertyType, 'Single Family');
+  assert.equal(property.daysOnMarket, 9);
+  assert.equal(property.listingLink, 'https://www.zillow.com/homedetails/2608-Shelby-Cir-Kissimmee-FL-34743/47120001_zpid/');
+});
+
+test('zillow results with an invalid optional field are kept with that field cleared', () => {
+  const city = { name: 'Kissimmee', state: 'FL', zip: '34741' };
+  const state = {
+    cat1: {
+      searchResults: {
+        listResults: [{
+          zpid: '47120002',
+          unformattedPrice: 289000,
+          addressStreet: '1812 Mill Slough Rd',
+          addressCity: 'Kissimmee',
+          addressState: 'FL',
+          addressZipcode: '34744',
+          beds: 3,
+          baths: 2,
+          hdpData: { homeInfo: { homeType: 'SINGLE_FAMILY', homeStatus: 'FOR_SALE', daysOnZillow: -1 } }
+        }]
+      }
+    }
+  };
+  const html = `<script id="__NEXT_DATA__" type="application/json">${JSON.stringify({ props: { pageProps: { searchPageState: state } } })}</script>`;
+  const warnings = [];
+
+  const properties = extractProperties(getSource('zillow'), html, city, { ...quietLog, warn: msg => warnings.push(msg) });
+  assert.equal(properties.length, 1);
+  assert.equal(properties[0].propertyId, 'zillow-47120002');
+  assert.equal(properties[0].daysOnMarket, null);
+  assert.deepEqual(validateProperty(properties[0]).errors, []);
+  assert.match(warnings[0], /daysOnMarket must be >= 0/);
+});
+
+test('zillow parser falls back to property cards when the embedded JSON is malformed', () => {
+  const city = { name: 'Orlando', state: 'FL', zip: '32801' };
+  const cards = fs.readFileSync(join(FIXTURES_DIR, 'zillow', 'orlando-fl.html'), 'utf8');
+  const html = cards.replace('</body>', '<script id="__NEXT_DATA__" type="application/json">{"props":</script></body>');
+
+  const properties = extractProperties(getSource('zillow'), html, city, quietLog);
+  assert.equal(properties.length, 2);
+  assert.equal(properties[0].sourceId, '46210532');
+});
+
+test('scrapeSource follows result pages and dedupes listings across pages', async () => {
+  const city = { name: 'Tampa', state: 'FL', zip: '33601' };
+  const properties = await scrapeSource(getSource('realtor'), city, {
+    config: { scraper: { ...config.scraper, maxPages: 5, maxPropertiesPerCity: 100 } },
+    log: quietLog,
+    fixtures: { mode: 'replay', dir: FIXTURES_DIR }
+  });
+
+  assert.deepEqual(properties.map(p => p.sourceId), ['60412-78123', '55501-20417', '58820-11964']);
+});
+
+test('scrapeSource stops at maxPropertiesPerCity and when pages run out', async () => {
+  const city = { name: 'Orlando', state: 'FL', zip: '32801' };
+  const pagesFetched = [];
+  const adapter = {
+    ...getSource('zillow'),
+    fetch: async (c, context, page) => {
+      pagesFetched.push(page);
+      return page;
+    },
+    parse: (page) => [1, 2, 3].map(n => normalizeProperty({
+      sourceId: `${page}0${n}`,
+      streetAddress: `${page}0${n} Oak Dr`,
+      price: 300000
+    }, { source: 'zillow', city })),
+    hasNextPage: (page) => page < 3
+  };
+  const run = (maxPropertiesPerCity) => scrapeSource(adapter, city, {
+    config: { scraper: { ...config.scraper, maxPages: 10, maxPropertiesPerCity } },
+    log: quietLog
+  });
+
+  assert.equal((await run(7)).length, 7);
+  assert.deepEqual(pagesFetched, [1, 2, 3]);
+
+  pagesFetched.length = 0;
+  assert.equal((await run(100)).length, 9);
+  assert.deepEqual(pagesFetched, [1, 2, 3]);
+
+  // Only a result that ran out of pages is complete (used for delisting)
+  const complete = async (maxPropertiesPerCity) => {
+    const [result] = await scrapeCities([city], [adapter], {
+      config: { scraper: { ...config.scraper, maxPages: 10, maxPropertiesPerCity } },
+      log: quietLog
+    });
+    return result.complete.zillow;
+  };
+  assert.equal(await complete(7), false);
+  assert.equal(await complete(100), true);
+});
+
+test('hasNextPage reads the pager and the embedded Zillow pagination', () => {
+  const read = (source, slug) => fs.readFileSync(join(FIXTURES_DIR, source, `${slug}.html`), 'utf8');
+
+  assert.equal(getSource('realtor').hasNextPage(read('realtor', 'tampa-fl'), 1), true);
+  assert.equal(getSource('realtor').hasNextPage(read('realtor', 'tampa-fl-p2'), 2), false);
+  assert.equal(getSource('zillow').hasNextPage(read('zillow', 'tampa-fl'), 1), false);
+
+  const state = { cat1: { searchResults: { listResults: [] }, searchList: { pagination: { nextUrl: '/tampa-fl/2_p/' } } } };
+  const html = `<script id="__NEXT_DATA__" type="application/json">${JSON.stringify({ props: { pageProps: { searchPageState: state } } })}</script>`;
+  assert.equal(getSource('zillow').hasNextPage(html, 1), true);
+});
+
+test('record mode saves fetched pages and replay mode parses them offline', async () => {
+  const dir = fs.mkdtempSync(join(os.tmpdir(), 'fixtures-'));
+  const city = { name: 'St. Petersburg', state: 'FL', zip: '33701' };
+  const html = fs.readFileSync(join(FIXTURES_DIR, 'zillow', 'orlando-fl.html'), 'utf8');
+  const live = { ...getSource('zillow'), fetch: async () => html };
+
+  try {
+    const recorded = await scrapeSource(live, city, { config, log: quietLog, fixtures: { mode: 'record', dir } });
+    assert.ok(fs.existsSync(join(dir, 'zillow', 'st-petersburg-fl.html')));
+    assert.ok(fs.existsSync(join(dir, 'zillow', 'st-petersburg-fl.meta.json')));
+
+    const offline = { ...getSource('zillow'), fetch: async () => { throw new Error('network used in replay mode'); } };
+    const replayed = await scrapeSource(offline, city, { config, log: quietLog, fixtures: { mode: 'replay', dir } });
+    assert.deepEqual(withoutTimestamp(replayed), withoutTimestamp(recorded));
+    assert.ok(replayed.length > 0);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('writeFixture and replay agree on the file layout', () => {
+  const dir = fs.mkdtempSync(join(os.tmpdir(), 'fixtures-'));
+  try {
+    writeFixture(dir, 'realtor', { name: 'Winter Park', state: 'FL' }, '<html></html>');
+    const [fixture] = listFixtures(dir);
+    assert.equal(fixture.source, 'realtor');
+    assert.equal(fixture.slug, 'winter-park-fl');
+    assert.equal(fixture.meta.city.name, 'Winter Park');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+/**
+ * HTTP client with a scripted transport: each entry is a response
+ * ({ status, data, headers }) or an Error to throw
+ */
+function scriptedClient(script, options = {}) {
+  const outcomes = [];
+  const waits = [];
+  const http = createHttpClient({
+    retries: 3,
+    retryBaseDelayMs: 100,
+    retryMaxDelayMs: 5000,
+    ...options,
+    onOutcome: (event) => outcomes.push(event),
+    sleep: async (ms) => { waits.push(ms); },
+    request: async () => {
+      const next = script.shift();
+      if (next instanceof Error) throw next;
+      return { headers: {}, data: '', ...next };
+    }
+  });
+  return { http, outcomes, waits };
+}
+
+test('http client retries server errors with growing backoff', async () => {
+  const { http, outcomes, waits } = scriptedClient([{ status: 503 }, { status: 502 }, { status: 200, data: 'ok' }]);
+
+  const response = await http.get('https://www.zillow.com/homes/');
+  assert.equal(response.data, 'ok');
+  assert.equal(response.attempts, 3);
+  assert.deepEqual(outcomes.map(o => o.outcome), ['server_error', 'server_error', 'ok']);
+  assert.ok(waits[0] >= 50 && waits[0] < 100, `first wait ${waits[0]}`);
+  assert.ok(waits[1] >= 100 && waits[1] < 200, `second wait ${waits[1]}`);
+});
+
+test('http client honors Retry-After on 429 and reports the request as blocked', async () => {
+  const { http, outcomes, waits } = scriptedClient([
+    { status: 429, headers: { 'retry-after': '2' } },
+    { status: 200, data: 'ok' }
+  ]);
+
+  await http.get('https://www.realtor.com/');
+  assert.deepEqual(waits, [2000]);
+  assert.equal(outcomes[0].outcome, 'blocked');
+  assert.equal(outcomes[0].willRetry, true);
+});
+
+test('http client does not retry 403 or captcha pages and throws BLOCKED', async () => {
+  for (const blocked of [{ status: 403 }, { status: 200, data: '<div id="px-captcha"></div>' }]) {
+    const { http, outcomes } = scriptedClient([blocked, { status: 200, data: 'never reached' }]);
+    await assert.rejects(http.get('https://www.zillow.com/homes/'), { code: 'BLOCKED', outcome: 'blocked' });
+    assert.equal(outcomes.length, 1);
+  }
+});
+
+test('http client gives up after the configured retries', async () => {
+  const timeout = Object.assign(new Error('timeout of 30000ms exceeded'), { code: 'ECONNABORTED' });
+  const { http, outcomes } = scriptedClient([timeout, timeout, timeout], { retries: 2 });
+
+  await assert.rejects(http.get('https://www.zillow.com/homes/'), { code: 'TIMEOUT' });
+  assert.deepEqual(outcomes.map(o => o.willRetry), [true, true, false]);
+});
+
+test('response classification and Retry-After parsing', () => {
+  assert.equal(classifyResponse(200, '<html>listings</html>'), 'ok');
+  assert.equal(classifyResponse(404, ''), 'not_found');
+  assert.equal(classifyResponse(200, 'Please verify you are a human'), 'blocked');
+  assert.equal(parseRetryAfter('Thu, 27 Nov 2025 14:00:10 GMT', Date.parse('Thu, 27 Nov 2025 14:00:00 GMT')), 10000);
+  assert.equal(parseRetryAfter('soon'), null);
+});
+
+test('a blocked first page yields no records instead of failing the run', async () => {
+  const city = { name: 'Orlando', state: 'FL', zip: '32801' };
+  const { http } = scriptedClient([{ status: 403 }]);
+  const warnings = [];
+  const log = { ...quietLog, warn: (msg) => warnings.push(msg) };
+
+  const properties = await scrapeSource(getSource('zillow'), city, { config, log, http });
+  assert.deepEqual(properties, []);
+  assert.match(warnings[0], /blocked/);
+});
+
+/**
+ * Fake clock whose sleep() advances time instantly
+ */
+function fakeClock() {
+  const clock = { time: 0 };
+  clock.now = () => clock.time;
+  clock.sleep = async (ms) => { clock.time += ms; };
+  return clock;
+}
+
+test('rate limiter spaces requests per host and keeps hosts independent', async () => {
+  const clock = fakeClock();
+  const limiter = createRateLimiter({
+    requestsPerSecond: 0.5,
+    hosts: parseRateLimits('www.realtor.com=2'),
+    now: clock.now,
+    sleep: clock.sleep
+  });
+  const grants = [];
+  const request = (host) => limiter.acquire(host).then(() => grants.push([host, clock.time]));
+
+  await Promise.all([
+    request('www.zillow.com'), request('www.zillow.com'), request('www.zillow.com'),
+    request('www.realtor.com'), request('www.realtor.com')
+  ]);
+
+  const times = (host) => grants.filter(([h]) => h === host).map(([, time]) => time);
+  const zillow = times('www.zillow.com');
+  assert.equal(zillow.length, 3);
+  assert.ok(zillow[1] - zillow[0] >= 2000 && zillow[2] - zillow[1] >= 2000, `zillow grants ${zillow}`);
+  assert.equal(times('www.realtor.com').length, 2);
+});
+
+test('worker pool bounds concurrency and keeps result order', async () => {
+  let active = 0;
+  let peak = 0;
+  const results = await runPool([30, 10, 20, 5, 15], 2, async (ms, index) => {
+    active++;
+    peak = Math.max(peak, active);
+    await new Promise(resolve => setTimeout(resolve, ms));
+    active--;
+    return index;
+  });
+
+  assert.deepEqual(results, [0, 1, 2, 3, 4]);
+  assert.equal(peak, 2);
+});
+
+test('worker pool rejects with the first worker error', async () => {
+  await assert.rejects(runPool([1, 2, 3], 2, async (n) => {
+    if (n === 2) throw new Error('worker failed');
+    return n;
+  }), /worker failed/);
+});
+
+test('seeded generator returns identical properties for the same seed, city and count', () => {
+  const first = generateProperties('Orlando', 5, { seed: 123 });
+  const second = generateProperties('Orlando', 5, { seed: '123' });
+
+  assert.deepEqual(first, second);
+  assert.deepEqual(generateProperties('Orlando', 8, { seed: 123 }).slice(0, 5), first);
+  assert.notDeepEqual(generateProperties('Tampa', 5, { seed: 123 }).map(p => p.propertyId), first.map(p => p.propertyId));
+  assert.notDeepEqual(generateProperties('Orlando', 5, { seed: 124 }), first);
+
+  for (const property of first) {
+    assert.deepEqual(validateProperty(property).errors, []);
+    assert.equal(property.isSynthetic, true);
+  }
+});
+
+test('unseeded generator varies between calls', () => {
+  const ids = (list) => list.map(p => p.propertyId);
+  assert.notDeepEqual(ids(generateProperties('Orlando', 5)), ids(generateProperties('Orlando', 5)));
+});
+
+test('generated properties use the city profile ZIPs, bounds and property-type mix', () => {
+  for (const name of ['Tampa', 'Palm Coast', 'Titusville']) {
+    const profile = cityProfile(name);
+    const { north, south, east, west } = profile.bounds;
+
+    for (const property of generateProperties(name, 25, { seed: 'geo' })) {
+      assert.ok(profile.zips.includes(property.zipCode), `${property.zipCode} is not a ${name} ZIP`);
+      assert.ok(property.latitude >= south && property.latitude <= north);
+      assert.ok(property.longitude >= west && property.longitude <= east);
+      assert.ok(profile.propertyTypeMix[property.propertyType] > 0);
+      assert.match(property.description, new RegExp(` ${property.propertyType.toLowerCase()} in ${name}\\.`));
+    }
+  }
+});
+
+test('region catalog resolves cities, groups and counties in catalog order', () => {
+  const names = (selection) => resolveCities(selection).map(city => city.name);
+
+  assert.ok(names().includes('Winter Haven'));
+  assert.ok(names().includes('Titusville'));
+  assert.deepEqual(names('Tampa Bay'), ['Tampa', 'St. Petersburg', 'Clearwater']);
+  assert.deepEqual(names('palm coast, Polk County'), ['Lakeland', 'Palm Coast', 'Winter Haven']);
+  assert.deepEqual(names(['Orlando', 'Orlando Metro']), ['Orlando', 'Kissimmee', 'Winter Park', 'Sanford', 'Altamonte Springs', 'Oviedo']);
+  assert.throws(() => resolveCities('Atlantis'), (error) => error.code === 'UNKNOWN_REGION');
+
+  // Stored listings may be in cities outside the catalog
+  assert.deepEqual(cityNames('Tampa Bay'), ['Tampa', 'St. Petersburg', 'Clearwater']);
+  assert.deepEqual(cityNames('Atlantis'), ['Atlantis']);
+  assert.deepEqual(cityNames(undefined), []);
+});
+
+test('region catalog rejects groups that name unknown cities', () => {
+  const dir = fs.mkdtempSync(join(os.tmpdir(), 'regions-'));
+  const file = join(dir, 'regions.json');
+  fs.writeFileSync(file, JSON.stringify({
+    cities: [{ name: 'Ocala', county: 'Marion', zips: ['34470', '34471'] }],
+    groups: { 'Horse Country': ['Ocala', 'Gainesville'] }
+  }));
+
+  assert.throws(() => loadRegions(file), /unknown cities: Gainesville/);
+
+  fs.writeFileSync(file, JSON.stringify({ cities: [{ name: 'Ocala', county: 'Marion', zips: ['34470', '34471'] }] }));
+  const [ocala] = loadRegions(file).cities;
+  assert.equal(ocala.zip, '34470');
+  assert.equal(ocala.state, 'FL');
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('filter parameters are validated with a message per field', () => {
+  const { filters, errors } = parseFilters({
+    minPrice: '250000',
+    minBaths: '1.5',
+    propertyType: ['condo', 'Townhouse,Condo'],
+    status: 'Active',
+    city: 'Orlando'
+  });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(filters, { minPrice: 250000, minBaths: 1.5, propertyType: ['Condo', 'Townhouse'], status: ['active'] });
+
+  const invalid = parseFilters({ minPrice: 'cheap', minSqft: '3000', maxSqft: '1000', maxHoa: '-5', propertyType: 'castle', status: 'foreclosed' });
+  assert.deepEqual(invalid.errors.map(error => error.field), ['minPrice', 'maxHoa', 'minSqft', 'propertyType', 'status']);
+});
+
+test('matchesFilters applies ranges, multi-value types and treats no HOA as $0', () => {
+  const property = normalizeProperty({
+    streetAddress: '1 Palm Dr', price: 320000, bedrooms: 3, bathrooms: 2, sqft: 1500,
+    yearBuilt: 2005, propertyType: 'Townhouse', hoaFee: null
+  }, { source: 'zillow', city: 'Orlando' });
+  const matches = (query) => matchesFilters(property, parseFilters(query).filters);
+
+  assert.equal(matches({ minPrice: '300000', maxPrice: '350000', minBeds: '3', maxHoa: '100' }), true);
+  assert.equal(matches({ propertyType: 'Condo,Townhouse', status: 'active', yearBuiltMin: '2000' }), true);
+  assert.equal(matches({ maxSqft: '1400' }), false);
+  assert.equal(matches({ propertyType: 'Condo' }), false);
+  assert.equal(matches({ status: 'sold' }), false);
+});
+
+test('filtered generation still returns `limit` matching properties', () => {
+  const { filters } = parseFilters({ propertyType: 'Condo', minBeds: '2' });
+  const condos = generateProperties('Clearwater', 6, { seed: 7, filter: (property) => matchesFilters(property, filters) });
+
+  assert.equal(condos.length, 6);
+  assert.ok(condos.every(property => property.propertyType === 'Condo' && property.bedrooms >= 2));
+  assert.deepEqual(condos, generateProperties('Clearwater', 60, { seed: 7 }).filter(property => matchesFilters(property, filters)).slice(0, 6));
+});
+
+test('cursor paging walks every property once in sort order', () => {
+  const all = generateProperties('Tampa', 23, { seed: 'paging' });
+  const seen = [];
+  let query = { sort: '-pricePerSqft', pageSize: '5' };
+
+  for (;;) {
+    const { paging, errors } = parsePaging(query);
+    assert.deepEqual(errors, []);
+    const page = pageProperties(all, paging);
+    assert.equal(page.total, 23);
+    seen.push(...page.properties);
+    if (!page.nextCursor) break;
+    query = { sort: '-pricePerSqft', cursor: page.nextCursor };
+  }
+
+  const perSqft = seen.map(property => property.price / property.sqft);
+  assert.equal(seen.length, 23);
+  assert.equal(new Set(seen.map(property => property.propertyId)).size, 23);
+  assert.ok(perSqft.every((value, i) => i === 0 || perSqft[i - 1] >= value));
+});
+
+test('cursor pages stay stable when stored data changes between requests', () => {
+  const all = generateProperties('Orlando', 12, { seed: 'stable' });
+  const first = pageProperties(all, parsePaging({ sort: 'price', pageSize: '4' }).paging);
+  const cheapest = normalizeProperty({ streetAddress: '1 New St', price: 1000 }, { source: 'zillow', city: 'Orlando' });
+
+  const { paging } = parsePaging({ sort: 'price', cursor: first.nextCursor });
+  const second = pageProperties([cheapest, ...all], paging);
+  assert.deepEqual(second.properties, pageProperties(all, paging).properties);
+  assert.ok(second.properties[0].price >= first.properties[3].price);
+});
+
+test('paging parameters are validated', () => {
+  const { errors } = parsePaging({ sort: 'bedrooms', pageSize: '0', cursor: 'not-a-cursor' });
+  assert.deepEqual(errors.map(error => error.field), ['sort', 'pageSize', 'cursor']);
+
+  const page = pageProperties(generateProperties('Orlando', 3, { seed: 1 }), parsePaging({ sort: 'price', pageSize: '1' }).paging);
+  assert.equal(parsePaging({ sort: 'sqft', cursor: page.nextCursor }).errors[0].message, 'was issued for a different sort');
+});
+
+test('memory repository finds, filters and pages stored properties', async () => {
+  const repository = createMemoryRepository(generateProperties('Tampa', 10, { seed: 'repo' }));
+  const extra = generateProperties('Orlando', 5, { seed: 'repo' });
+
+  const { changes, propertyIds, ...counts } = await repository.saveProperties([...extra, extra[0]]);
+  assert.deepEqual(counts, { inserted: 5, updated: 1, failed: 0, errors: [] });
+  assert.equal(changes.length, 5);
+  assert.deepEqual(propertyIds, [...extra, extra[0]].map(property => property.propertyId));
+  assert.deepEqual(await repository.getProperty(extra[0].propertyId), extra[0]);
+  assert.equal(await repository.getProperty('missing'), null);
+
+  const { paging } = parsePaging({ sort: 'price', pageSize: '4' });
+  const first = await repository.findProperties({ cities: ['tampa'], filters: {}, paging });
+  assert.equal(first.total, 10);
+  assert.ok(first.properties.every(property => property.city === 'Tampa'));
+  assert.ok(first.nextCursor);
+
+  const condos = await repository.findProperties({ filters: parseFilters({ propertyType: 'Condo' }).filters });
+  assert.ok(condos.properties.every(property => property.propertyType === 'Condo'));
+});
+
+test('addresses normalize to USPS abbreviations with one unit form', () => {
+  assert.equal(normalizeAddress('123 Oak Drive'), '123 OAK DR');
+  assert.equal(normalizeAddress('123 OAK DR.'), '123 OAK DR');
+  assert.equal(normalizeAddress('4501 North Orange Blossom Trail, Apt. 12B'), '4501 N ORANGE BLOSSOM TRL UNIT 12B');
+  assert.equal(normalizeAddress('4501 N Orange Blossom Trl #12B'), '4501 N ORANGE BLOSSOM TRL UNIT 12B');
+  assert.equal(normalizeAddress('77 Bay Street Southwest Suite 200'), '77 BAY ST SW UNIT 200');
+  assert.equal(normalizeAddress('15 North Street'), '15 NORTH ST');
+  assert.equal(normalizeAddress('  '), null);
+
+  assert.equal(addressKey({ streetAddress: '123 Oak Drive', zipCode: '32801', city: 'Orlando' }), '123 OAK DR|32801');
+  assert.equal(addressKey({ streetAddress: '123 Oak Dr', zipCode: null, city: 'Orlando' }), '123 OAK DR|ORLANDO');
+});
+
+test('listings for the same address merge across sources with provenance and source links', () => {
+  const city = { name: 'Orlando', state: 'FL', zip: '32801' };
+  const zillow = normalizeProperty({
+    sourceId: '111', streetAddress: '123 Oak Drive', price: 350000, sqft: null, zestimate: 355000,
+    listingLink: 'https://www.zillow.com/homedetails/111_zpid/'
+  }, { source: 'zillow', city });
+  const realtor = normalizeProperty({
+    sourceId: '222', streetAddress: '123 OAK DR', price: 349000, sqft: 1800,
+    listingLink: 'https://www.realtor.com/realestateandhomes-detail/M222'
+  }, { source: 'realtor', city });
+  const other = normalizeProperty({ sourceId: '333', streetAddress: '9 Elm St', price: 200000 }, { source: 'realtor', city });
+
+  const { properties, duplicates } = mergeProperties([realtor, other, zillow], { priority: ['zillow', 'realtor'] });
+
+  assert.equal(duplicates, 1);
+  assert.equal(properties.length, 2);
+  const [merged] = properties;
+  assert.equal(merged.propertyId, 'zillow-111');
+  assert.equal(merged.price, 350000);
+  assert.equal(merged.sqft, 1800);
+  assert.deepEqual(merged.provenance, { sqft: 'realtor' });
+  assert.deepEqual(merged.sourceLinks.map(link => link.source), ['zillow', 'realtor']);
+  assert.deepEqual(validateProperty(merged).errors, []);
+  assert.equal(properties[1], other);
+});
+
+test('repository keeps one row per address when a listing arrives from another source', async () => {
+  const [zillow] = generateProperties('Tampa', 1, { seed: 'address' }).map(property => ({ ...property, propertyId: 'zillow-1', source: 'zillow' }));
+  const realtor = {
+    ...zillow,
+    propertyId: 'realtor-9',
+    source: 'realtor',
+    streetAddress: zillow.streetAddress.toUpperCase(),
+    price: zillow.price - 1000,
+    sourceLinks: [{ source: 'realtor', sourceId: '9', url: 'https://www.realtor.com/M9' }]
+  };
+  const repository = createMemoryRepository([zillow]);
+
+  const result = await repository.saveProperties([realtor]);
+
+  assert.deepEqual(result.propertyIds, ['zillow-1']);
+  assert.deepEqual([result.inserted, result.updated], [0, 1]);
+  assert.deepEqual(result.changes.map(({ event }) => event), ['price_drop']);
+  const stored = await repository.getProperty('zillow-1');
+  assert.equal(stored.price, realtor.price);
+  assert.equal(stored.sourceLinks.length, 2);
+  assert.equal(await repository.getProperty('realtor-9'), null);
+});
+
+test('listing changes are detected from the stored price and status', () => {
+  const stored = { propertyId: 'zillow-1', price: 400000, status: 'active' };
+  const at = { runId: 'run-1', recordedAt: '2026-01-01T00:00:00.000Z' };
+
+  assert.deepEqual(detectChanges(null, stored, at).map(({ event }) => event), ['listed']);
+  assert.deepEqual(detectChanges(stored, { ...stored }, at), []);
+  assert.deepEqual(detectChanges(stored, { ...stored, price: 410000 }, at).map(({ event }) => event), ['price_increase']);
+
+  const [drop, pending] = detectChanges(stored, { ...stored, price: 390000, status: 'pending' }, at);
+  assert.deepEqual(drop, {
+    propertyId: 'zillow-1', runId: 'run-1', event: 'price_drop', price: 390000, previousPrice: 400000,
+    status: 'pending', previousStatus: 'active', recordedAt: '2026-01-01T00:00:00.000Z'
+  });
+  assert.equal(pending.event, 'status_change');
+});
+
+test('repository history tracks price changes, status changes and delistings across runs', async () => {
+  const [kept, sold, gone, elsewhere] = generateProperties('Tampa', 4, { seed: 'history' });
+  const other = { ...elsewhere, city: 'Orlando' };
+  const repository = createMemoryRepository();
+
+  const first = await repository.saveProperties([kept, sold, gone, other], { runId: 'run-1' });
+  assert.equal(first.changes.filter(({ event }) => event === 'listed').length, 4);
+
+  const second = await repository.saveProperties([{ ...kept, price: kept.price - 10000 }, { ...sold, status: 'sold' }], { runId: 'run-2' });
+  assert.deepEqual(second.changes.map(({ event }) => event), ['price_drop', 'status_change']);
+
+  const delisted = await repository.delistMissing({
+    scope: [{ city: 'Tampa', source: 'generator' }],
+    seen: [kept.propertyId, sold.propertyId],
+    runId: 'run-2'
+  });
+  assert.deepEqual(delisted.map(({ propertyId }) => propertyId), [gone.propertyId]);
+  assert.equal((await repository.getProperty(gone.propertyId)).status, 'off_market');
+  assert.equal((await repository.getProperty(other.propertyId)).status, 'active');
+
+  const history = await repository.getHistory(kept.propertyId);
+  assert.deepEqual(history.map(({ event, runId }) => `${event}@${runId}`), ['listed@run-1', 'price_drop@run-2']);
+  assert.deepEqual(await repository.getHistory('unknown'), []);
+});
+
+test('delta exports fold the changes since a run or timestamp into one entry per listing', async () => {
+  const [kept, gone, flipped, late] = generateProperties('Tampa', 4, { seed: 'delta' });
+  const repository = createMemoryRepository();
+  const run = (id, startedAt, finishedAt, status = 'completed') => repository.saveRun({ id, status, startedAt, finishedAt });
+
+  await run('run-1', '2026-03-01T06:00:00.000Z', '2026-03-01T06:05:00.000Z');
+  await repository.saveProperties([kept, gone, flipped], { runId: 'run-1', recordedAt: '2026-03-01T06:01:00.000Z' });
+
+  await run('run-2', '2026-03-02T06:00:00.000Z', '2026-03-02T06:05:00.000Z');
+  const recorded = { runId: 'run-2', recordedAt: '2026-03-02T06:01:00.000Z' };
+  await repository.saveProperties([
+    { ...kept, price: kept.price - 10000, scrapedAt: '2026-03-02T06:01:00.000Z', daysOnMarket: 99 },
+    { ...flipped, price: flipped.price + 1 },
+    late
+  ], recorded);
+  await repository.saveProperties([{ ...kept, price: kept.price - 20000 }, { ...flipped, price: flipped.price }], recorded);
+  await repository.delistMissing({ scope: [{ city: 'Tampa', source: 'generator' }], seen: [kept.propertyId, flipped.propertyId, late.propertyId], ...recorded });
+
+  // Default: what the latest run changed, against the run before it
+  const delta = await loadDelta(repository);
+  assert.equal(delta.sinceRun, 'run-1');
+  assert.deepEqual(delta.counts, { added: 1, changed: 1, removed: 1 });
+  const byType = Object.fromEntries(delta.changes.map(change => [change.type, change]));
+  assert.deepEqual(byType.changed.fields, { price: { old: kept.price, new: kept.price - 20000 } });
+  assert.equal(byType.changed.property.price, kept.price - 20000);
+  assert.equal(byType.added.propertyId, late.propertyId);
+  assert.equal(byType.added.fields, null);
+  assert.deepEqual(byType.removed.fields, { status: { old: 'active', new: 'off_market' } });
+  assert.equal(byType.removed.property.streetAddress, gone.streetAddress);
+
+  assert.equal((await loadDelta(repository, { since: 'run-2' })).changes.length, 0);
+  // A failed run is never the starting point; a run in progress is the latest run
+  await run('run-3', '2026-03-03T06:00:00.000Z', '2026-03-03T06:01:00.000Z', 'failed');
+  await run('run-4', '2026-03-04T06:00:00.000Z', null, 'running');
+  assert.equal((await loadDelta(repository)).sinceRun, 'run-2');
+  // Since before the first run every listing is new, and the delisted one never happened
+  assert.deepEqual((await loadDelta(repository, { since: '2026-02-28' })).counts, { added: 3, changed: 0, removed: 0 });
+  await assert.rejects(loadDelta(repository, { since: 'run-9' }), error => error.code === 'UNKNOWN_RUN');
+  await assert.rejects(loadDelta(repository, { since: '2026-13-45' }), error => error.code === 'INVALID_SINCE');
+
+  // Added then removed again: nothing to import
+  assert.deepEqual(collapseChanges([
+    { propertyId: 'A', type: 'added', fields: null },
+    { propertyId: 'A', type: 'removed', fields: { status: { old: 'active', new: 'off_market' } } }
+  ]), []);
+});
+
+test('market statistics group listings with percentiles, inventory and price-drop share', async () => {
+  assert.equal(percentile([100, 200, 300, 400], 50), 250);
+  assert.equal(percentile([100, 200, 300, 400], 90), 370);
+  assert.equal(percentile([], 50), null);
+  assert.deepEqual(parsePercentiles('90, 10,90').percentiles, [10, 90]);
+  assert.deepEqual(parsePercentiles(undefined).percentiles, [10, 25, 75, 90]);
+  assert.equal(parsePercentiles('0,50,abc').errors.length, 2);
+
+  const [a, b, c, d] = generateProperties('Orlando', 4, { seed: 'stats' });
+  const listings = [
+    { ...a, zipCode: '32801', bedrooms: 3, price: 300000, sqft: 1500, daysOnMarket: 10, status: 'active' },
+    { ...b, zipCode: '32801', bedrooms: 3, price: 400000, sqft: 2000, daysOnMarket: 30, status: 'active' },
+    { ...c, zipCode: '32803', bedrooms: 10, price: 900000, sqft: 3000, daysOnMarket: 20, status: 'sold' },
+    { ...d, zipCode: null, bedrooms: 2, price: 200000, sqft: 1000, daysOnMarket: 5, status: 'pending' }
+  ];
+  const repository = createMemoryRepository();
+  await repository.saveProperties(listings, { runId: 'run-1' });
+  await repository.saveProperties([{ ...listings[0], price: 290000 }], { runId: 'run-2' });
+  assert.deepEqual(await repository.findPriceDrops(), [a.propertyId]);
+
+  const byZip = createMarketStats({ groupBy: 'zip', percentiles: [25], priceDrops: new Set(await repository.findPriceDrops()) });
+  (await repository.findProperties()).properties.forEach(byZip.add);
+  const { total, groups } = byZip.result();
+  assert.deepEqual(groups.map(({ key, count }) => `${key}:${count}`), ['32801:2', '32803:1', 'unknown:1']);
+  assert.deepEqual(groups[0].price, { mean: 345000, median: 345000, min: 290000, max: 400000, p25: 317500 });
+  assert.equal(groups[0].medianPricePerSqft, 196.67);
+  assert.equal(groups[0].medianDaysOnMarket, 20);
+  assert.equal(groups[0].priceDropShare, 0.5);
+  assert.equal(groups[1].priceDropShare, null);
+  assert.deepEqual(total.inventory, { active: 2, pending: 1, sold: 1, off_market: 0 });
+  assert.equal(total.price.median, 345000);
+
+  // Bedroom counts sort as numbers
+  const byBeds = createMarketStats({ groupBy: 'beds' });
+  listings.forEach(byBeds.add);
+  assert.deepEqual(byBeds.result().groups.map(({ key }) => key), ['2', '3', '10']);
+  // Without price history (generated listings) the share is unknown, not 0
+  assert.equal(byBeds.result().total.priceDropShare, null);
+  assert.throws(() => createMarketStats({ groupBy: 'county' }), /Unknown groupBy/);
+});
+
+test('run reports count cities, sources and requests per run and are stored by id', async () => {
+  const report = createRunReport({ mode: 'live', sources: ['zillow', 'realtor'] });
+  assert.match(report.id, /^run-\d{8}T\d{6}Z-[0-9a-f]{6}$/);
+  assert.equal(report.status, 'running');
+
+  recordRequest(report, { outcome: 'blocked', willRetry: true });
+  recordRequest(report, { outcome: 'blocked', willRetry: false });
+  recordRequest(report, { outcome: 'ok', willRetry: false });
+  recordCity(report, 'Tampa', {
+    properties: 12, synthetic: 0, duplicates: 3,
+    bySource: { zillow: 9, realtor: 6 }, complete: { zillow: true, realtor: false }
+  });
+  finishRun(report);
+
+  assert.deepEqual(report.requests, { total: 3, ok: 1, blocked: 1, failed: 0, retried: 1 });
+  assert.deepEqual(report.sources, { zillow: 9, realtor: 6 });
+  assert.deepEqual(report.cities.Tampa.sources.realtor, { count: 6, complete: false });
+  assert.deepEqual(report.totals, { properties: 12, synthetic: 0, duplicates: 3, failedCities: 0 });
+  assert.equal(report.status, 'completed');
+  assert.ok(report.durationMs >= 0);
+
+  // A second run starts from zero
+  assert.equal(createRunReport({ sources: ['zillow'] }).totals.properties, 0);
+
+  const repository = createMemoryRepository();
+  const older = { ...createRunReport(), startedAt: '2026-01-01T00:00:00.000Z' };
+  await repository.saveRun(older);
+  await repository.saveRun(report);
+  assert.deepEqual((await repository.listRuns()).map(({ id }) => id), [report.id, older.id]);
+  assert.equal(await repository.getRun(report.id), report);
+  assert.equal(await repository.getRun('run-missing'), null);
+  assert.equal(runSummary(report).blockedRequests, 1);
+});
+
+test('schedules validate cron expressions, regions and job names', () => {
+  assert.equal(loadSchedule().jobs.length, 4);
+
+  const invalid = (jobs) => assert.throws(() => validateSchedule({ jobs }), { code: 'INVALID_SCHEDULE' });
+  invalid([]);
+  invalid([{ name: 'a', cron: '0 6 * *' }]);
+  invalid([{ name: 'a', cron: '0 0 6 * * *' }]);
+  invalid([{ name: 'a', cron: '0 6 * * *', region: 'Atlantis' }]);
+  invalid([{ name: 'a', cron: '0 6 * * *' }, { name: 'a', cron: '0 7 * * *' }]);
+  invalid([{ name: 'a', cron: '0 0 30 2 *' }]);
+  invalid([{ name: 'a', cron: '0 6 * * *', mode: 'smaple' }]);
+  assert.throws(() => validateSchedule({ timezone: 'Mars/Olympus', jobs: [{ name: 'a', cron: '0 6 * * *' }] }), /Unknown timezone/);
+  assert.equal(validateSchedule({ jobs: [{ name: 'a', cron: '0 6 * * *', mode: 'sample' }] }).jobs[0].mode, 'sample');
+});
+
+test('scheduler records the next run node-cron computes in the schedule timezone', async () => {
+  const scheduler = createScheduler({ ...validateSchedule({ timezone: 'America/New_York', jobs: [{ name: 'a', cron: '0 6 * * *' }] }), run: async () => null });
+  scheduler.start();
+  const next = new Date(scheduler.getState().jobs.a.nextRunAt);
+  await scheduler.stop();
+
+  assert.ok(next > new Date());
+  assert.equal(next.toLocaleString('en-US', { timeZone: 'America/New_York', hourCycle: 'h23', hour: 'numeric', minute: 'numeric' }), '06:00');
+  assert.equal(scheduler.getState().jobs.a.nextRunAt, null);
+});
+
+test('scheduler never overlaps runs, records last/next run state and waits for a run on stop', async () => {
+  const dir = fs.mkdtempSync(join(os.tmpdir(), 'schedule-'));
+  const stateFile = join(dir, 'state.json');
+  const lockFile = join(dir, 'schedule.lock');
+  const { jobs } = validateSchedule({
+    jobs: [{ name: 'tampa', cron: '0 6 * * *', region: 'Tampa' }, { name: 'orlando', cron: '0 7 * * *', region: 'Orlando' }]
+  });
+  const scheduled = [];
+  let completeRun;
+  const scheduler = createScheduler({
+    jobs,
+    stateFile,
+    lockFile,
+    schedule: (expression, callback) => {
+      scheduled.push(expression);
+      return { stop() {}, getNextRun: () => new Date('2026-03-03T11:00:00Z') };
+    },
+    run: (job) => new Promise(resolve => {
+      completeRun = () => resolve({ id: `run-${job.name}`, status: 'completed' });
+    })
+  });
+
+  try {
+    scheduler.start();
+    assert.deepEqual(scheduled, ['0 6 * * *', '0 7 * * *']);
+    assert.equal(JSON.parse(fs.readFileSync(stateFile, 'utf8')).jobs.tampa.nextRunAt, '2026-03-03T11:00:00.000Z');
+
+    const first = scheduler.runJob(jobs[0]);
+    assert.equal(await scheduler.runJob(jobs[1]), null);
+    assert.equal(fs.readFileSync(lockFile, 'utf8'), String(process.pid));
+
+    const stopped = scheduler.stop();
+    completeRun();
+    assert.equal((await first).id, 'run-tampa');
+    await stopped;
+
+    const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    assert.equal(state.jobs.tampa.lastRunId, 'run-tampa');
+    assert.equal(state.jobs.tampa.lastStatus, 'completed');
+    assert.equal(state.jobs.orlando.skipped, 1);
+    assert.equal(state.jobs.tampa.nextRunAt, null);
+    assert.equal(fs.existsSync(lockFile), false);
+    assert.equal(await scheduler.runJob(jobs[1]), null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('saved searches validate cities, filters, events and delivery targets', () => {
+  const [search] = validateSearches({
+    searches: [{
+      name: 'starter',
+      city: 'Tampa Bay',
+      filters: { maxPrice: 400000, minBeds: '3', propertyType: 'condo' },
+      deliver: [{ type: 'webhook', url: 'https://crm.example.com/hook', secretEnv: 'HOOK_SECRET' }]
+    }]
+  }, { HOOK_SECRET: 's3cret' });
+  assert.deepEqual(search.cities, ['Tampa', 'St. Petersburg', 'Clearwater']);
+  assert.deepEqual(search.filters, { maxPrice: 400000, minBeds: 3, propertyType: ['Condo'] });
+  assert.deepEqual(search.events, ['listed', 'price_drop']);
+  assert.equal(search.deliver[0].secret, 's3cret');
+
+  const invalid = (search, message) => assert.throws(
+    () => validateSearches({ searches: [{ name: 'x', deliver: [{ type: 'outbox', file: 'out.ndjson' }], ...search }] }, {}),
+    error => error.code === 'INVALID_SAVED_SEARCHES' && message.test(error.message)
+  );
+  invalid({ filters: { maxPrise: 1 } }, /unknown filter maxPrise/);
+  invalid({ filters: { minBeds: -1 } }, /minBeds must be a non-negative number/);
+  invalid({ events: ['delisted'] }, /"events" must list/);
+  invalid({ city: 'Atlantis' }, /Atlantis/);
+  invalid({ deliver: [] }, /at least one "deliver" target/);
+  invalid({ deliver: [{ type: 'webhook', url: 'https://crm.example.com/hook' }] }, /signed/);
+  invalid({ deliver: [{ type: 'sms' }] }, /delivery type/);
+});
+
+test('saved searches match new listings and price drops after a baseline run', () => {
+  const [cheap, pricey, synthetic] = generateProperties('Orlando', 3, { seed: 'searches' }).map(property => ({ ...property, isSynthetic: false }));
+  synthetic.isSynthetic = true;
+  const [search] = validateSearches({ searches: [{ name: 'under-400k', city: 'Orlando', filters: { maxPrice: 400000 }, deliver: [{ type: 'outbox', file: 'o' }] }] });
+  const first = evaluateSearches([search], [{ ...cheap, price: 390000 }, { ...pricey, price: 450000 }], {});
+  assert.equal(first.baseline, true);
+  assert.deepEqual(first.results, []);
+
+  const late = { ...generateProperties('Orlando', 1, { seed: 'late' })[0], price: 250000, isSynthetic: false };
+  const second = evaluateSearches([search], [
+    { ...cheap, price: 390000 },
+    { ...pricey, price: 399000 },
+    late,
+    { ...synthetic, price: 100000 }
+  ], first.state);
+  assert.equal(second.baseline, false);
+  assert.deepEqual(second.results[0].matches.map(({ event, property }) => `${event.event}:${property.propertyId}`), [
+    `price_drop:${pricey.propertyId}`,
+    `listed:${late.propertyId}`
+  ]);
+  assert.equal(second.results[0].matches[0].event.previousPrice, 450000);
+  assert.equal(second.state.listings[pricey.propertyId].price, 399000);
+
+  // Widening the search to Tampa only records Tampa's baseline; later Tampa listings match
+  const [tampa, tampaLate] = generateProperties('Tampa', 2, { seed: 'widened' }).map(property => ({ ...property, price: 200000, isSynthetic: false }));
+  const [widened] = validateSearches({ searches: [{ name: 'under-400k', city: ['Orlando', 'Tampa'], filters: { maxPrice: 400000 }, deliver: [{ type: 'outbox', file: 'o' }] }] });
+  const third = evaluateSearches([widened], [tampa], second.state);
+  assert.deepEqual(third.results, []);
+  assert.deepEqual(third.baselines, [{ search: 'under-400k', cities: ['Tampa'] }]);
+  const fourth = evaluateSearches([widened], [tampa, tampaLate], third.state);
+  assert.deepEqual(fourth.results[0].matches.map(({ property }) => property.propertyId), [tampaLate.propertyId]);
+});
+
+test('saved search state does not grow across unseeded synthetic runs', () => {
+  const deliver = [{ type: 'outbox', file: 'o' }];
+  const [real] = validateSearches({ searches: [{ name: 'orlando', city: 'Orlando', deliver }] });
+  const [synthetic] = validateSearches({ searches: [{ name: 'orlando-demo', city: 'Orlando', includeSynthetic: true, deliver }] });
+
+  const first = evaluateSearches([real], generateProperties('Orlando', 5), {});
+  const second = evaluateSearches([real], generateProperties('Orlando', 5), first.state);
+  assert.deepEqual(second.state.listings, {});
+
+  const third = evaluateSearches([synthetic], generateProperties('Orlando', 5), second.state);
+  const fourth = evaluateSearches([synthetic], generateProperties('Orlando', 5), third.state);
+  assert.equal(Object.keys(third.state.listings).length, 5);
+  assert.equal(Object.keys(fourth.state.listings).length, 5);
+
+  // Another city's listings stay until a run scrapes that city again
+  const tampa = evaluateSearches([synthetic], generateProperties('Tampa', 2), fourth.state);
+  assert.equal(Object.keys(tampa.state.listings).length, 7);
+});
+
+test('webhooks are signed and retried; outbox and digest targets write files', async () => {
+  const [property] = generateProperties('Tampa', 1, { seed: 'webhook' });
+  const payload = buildPayload({ name: 'tampa deals' }, [{ event: { event: 'price_drop', price: 300000, previousPrice: 320000 }, property }], { runId: 'run-1', now: new Date('2026-03-01T06:00:00Z') });
+
+  const requests = [];
+  const statuses = [503, 200];
+  const http = createHttpClient({
+    request: async (request) => (requests.push(request), { status: statuses.shift(), data: 'ok', headers: {} }),
+    sleep: async () => {}
+  });
+  const sent = await deliver({ type: 'webhook', url: 'https://crm.example.com/hook', secret: 'shh' }, payload, { http, now: new Date('2026-03-01T06:00:00Z') });
+  assert.equal(sent.attempts, 2);
+  assert.equal(requests[1].method, 'POST');
+  const { 'X-Signature-Timestamp': timestamp, 'X-Signature-256': signature } = requests[1].headers;
+  assert.equal(timestamp, '1772344800');
+  const expected = 'sha256=' + crypto.createHmac('sha256', 'shh').update(`${timestamp}.${requests[1].data}`).digest('hex');
+  assert.equal(signature, expected);
+  assert.equal(signPayload(requests[1].data, 'shh', timestamp), expected);
+  assert.deepEqual(JSON.parse(requests[1].data).matches[0].previousPrice, 320000);
+
+  const forbidden = createHttpClient({ request: async () => ({ status: 403, data: '', headers: {} }), sleep: async () => {} });
+  await assert.rejects(deliver({ type: 'webhook', url: 'https://crm.example.com/hook', secret: 'shh' }, payload, { http: forbidden }), /HTTP 403/);
+
+  const dir = fs.mkdtempSync(join(os.tmpdir(), 'outbox-'));
+  await deliver({ type: 'outbox', file: join(dir, 'nested', 'matches.ndjson') }, payload);
+  await deliver({ type: 'outbox', file: join(dir, 'nested', 'matches.ndjson') }, payload);
+  assert.equal(fs.readFileSync(join(dir, 'nested', 'matches.ndjson'), 'utf8').trim().split('\n').length, 2);
+
+  const { target: eml } = await deliver({ type: 'digest', dir, to: 'agent@example.com' }, payload);
+  assert.equal(eml, join(dir, 'tampa-deals-20260301T060000Z.eml'));
+  const message = fs.readFileSync(eml, 'utf8');
+  assert.match(message, /^To: agent@example\.com\r\nSubject: 1 update for saved search "tampa deals"\r\n/);
+  assert.match(message, /Price drop: .*\r\n  \$320,000 -> \$300,000/);
+});
+
+test('runSavedSearches keeps state between runs and reports failed deliveries', async () => {
+  const dir = fs.mkdtempSync(join(os.tmpdir(), 'searches-'));
+  const file = join(dir, 'searches.json');
+  fs.writeFileSync(file, JSON.stringify({ searches: [{ name: 'all', includeSynthetic: true, deliver: [{ type: 'outbox', file: join(dir, 'out.ndjson') }, { type: 'webhook', url: 'https://down.example.com', secret: 'x' }] }] }));
+  const quiet = { info() {}, success() {}, error() {} };
+  const failWebhooks = (target, payload) => (target.type === 'webhook' ? Promise.reject(new Error('HTTP 500')) : deliver(target, payload));
+  const [first, second] = generateProperties('Tampa', 2, { seed: 'state' });
+
+  const baseline = await runSavedSearches([first], { file, log: quiet, deliver: failWebhooks });
+  assert.deepEqual([baseline.baseline, baseline.matches], [true, 0]);
+  assert.ok(fs.existsSync(join(dir, 'saved-searches-state.json')));
+
+  const next = await runSavedSearches([first, second], { file, log: quiet, deliver: failWebhooks, runId: 'run-2' });
+  assert.deepEqual([next.baseline, next.matches, next.delivered, next.failed], [false, 1, 1, 1]);
+  assert.deepEqual(next.errors, ['all: HTTP 500']);
+  assert.equal(next.pending, 1);
+  assert.equal(JSON.parse(fs.readFileSync(join(dir, 'out.ndjson'), 'utf8')).matches[0].propertyId, second.propertyId);
+
+  // The failed webhook match is sent again once the webhook is back, only to the webhook
+  const sent = [];
+  const record = (target, payload) => (sent.push([target.type, payload.matches.map(match => match.propertyId)]), Promise.resolve({ target: target.type }));
+  const retried = await runSavedSearches([first, second], { file, log: quiet, deliver: record, runId: 'run-3' });
+  assert.deepEqual([retried.matches, retried.delivered, retried.failed, retried.pending], [0, 1, 0, 0]);
+  assert.deepEqual(sent, [['webhook', [second.propertyId]]]);
+  assert.deepEqual(JSON.parse(fs.readFileSync(join(dir, 'saved-searches-state.json'), 'utf8')).pending, []);
+
+  // Relative outbox and digest paths resolve next to the searches file
+  fs.writeFileSync(file, JSON.stringify({ searches: [{ name: 'all', deliver: [{ type: 'outbox', file: 'out/all.ndjson' }] }] }));
+  assert.equal(loadSearches(file)[0].deliver[0].file, join(dir, 'out', 'all.ndjson'));
+
+  assert.equal(await runSavedSearches([], { file: join(dir, 'missing.json') }).catch(error => error.code), 'INVALID_SAVED_SEARCHES');
+});
+
+test('command-line options accept spaced, repeated and comma-separated values', () => {
+  const options = {
+    city: { type: 'string', multiple: true },
+    limit: { type: 'string' },
+    'dry-run': { type: 'boolean' }
+  };
+  const { values } = parseCommandLine(['--city', 'Orlando', '--city=Tampa Bay,Palm Coast', '--limit', '5', '--dry-run'], options);
+
+  assert.deepEqual(listOption(values.city), ['Orlando', 'Tampa Bay', 'Palm Coast']);
+  assert.equal(integerOption(values.limit, 'limit'), 5);
+  assert.equal(values['dry-run'], true);
+  assert.deepEqual(listOption(undefined), []);
+
+  assert.throws(() => parseCommandLine(['--citty', 'Orlando'], options), { code: 'USAGE' });
+  assert.throws(() => parseCommandLine(['--limit'], options), { code: 'USAGE' });
+  assert.throws(() => integerOption('5x', 'limit'), { code: 'USAGE', message: /--limit/ });
+  assert.throws(() => choiceOption('xml', 'format', ['json', 'csv']), { code: 'USAGE' });
+  assert.deepEqual(choiceOption(undefined, 'format', ['json', 'csv'], ['json']), ['json']);
+  assert.equal(singleChoiceOption('sample', 'mode', ['live', 'sample']), 'sample');
+  assert.throws(() => singleChoiceOption('live,sample', 'mode', ['live', 'sample']), /takes one value/);
+  assert.equal(singleChoiceOption(undefined, 'group-by', ['city', 'zip'], 'city'), 'city');
+});
+
+test('CSV cells are escaped per RFC 4180, with empty nulls and flattened nested fields', () => {
+  assert.equal(escapeCell('Oak "Grove" Estates'), '"Oak ""Grove"" Estates"');
+  assert.equal(escapeCell('Orlando, FL'), '"Orlando, FL"');
+  assert.equal(escapeCell('line one\nline two'), '"line one\nline two"');
+  assert.equal(escapeCell(' padded'), '" padded"');
+  assert.equal(escapeCell(null), '');
+  assert.equal(escapeCell(undefined), '');
+  assert.equal(escapeCell(0), '0');
+  assert.equal(escapeCell(false), 'false');
+  assert.equal(escapeCell(['a.jpg', 'b.jpg']), 'a.jpg|b.jpg');
+  assert.equal(escapeCell([{ name: 'Lake HS', rating: 8 }]), '"[{""name"":""Lake HS"",""rating"":8}]"');
+
+  const property = {
+    propertyId: 'P1',
+    streetAddress: '12 "A" St, Unit 3',
+    price: 250000,
+    mlsId: null,
+    images: ['1.jpg', '2.jpg'],
+    schools: [{ name: 'Lake HS' }]
+  };
+  const csv = toCSV([property], { columns: ['propertyId', 'streetAddress', 'mlsId', 'price', 'images', 'schools'] });
+  assert.equal(csv, 'propertyId,streetAddress,mlsId,price,images,schools\r\n' +
+    'P1,"12 ""A"" St, Unit 3",,250000,1.jpg|2.jpg,"[{""name"":""Lake HS""}]"\r\n');
+});
+
+test('CSV column selections are validated against the property schema', () => {
+  assert.deepEqual(parseColumns(undefined), { columns: DEFAULT_COLUMNS, errors: [] });
+  assert.deepEqual(parseColumns('price, city,price').columns, ['price', 'city']);
+  assert.deepEqual(parseColumns(['price', 'images']).columns, ['price', 'images']);
+  assert.ok(parseColumns('all').columns.includes('priceHistory'));
+  assert.deepEqual(parseColumns('price,colour').errors, ['Unknown column "colour"']);
+  assert.throws(() => columnsOption('colour'), { code: 'USAGE', message: /colour/ });
+});
+
+test('exports are written per format into the output directory', async () => {
+  const outputDir = join(fs.mkdtempSync(join(os.tmpdir(), 'exports-')), 'nested');
+  const properties = generateProperties('Orlando', 2, { seed: 'export' });
+
+  const jsonFile = await writeExport(properties, { format: 'json', outputDir, name: 'listings' });
+  const csvFile = await writeExport(properties, { format: 'csv', outputDir, name: 'listings' });
+
+  assert.equal(jsonFile, join(outputDir, 'listings.json'));
+  assert.deepEqual(JSON.parse(fs.readFileSync(jsonFile, 'utf8')), properties);
+  const lines = fs.readFileSync(csvFile, 'utf8').split('\r\n');
+  assert.deepEqual(lines.slice(3), ['']);
+  assert.ok(lines[1].startsWith(`${properties[0].propertyId},`));
+
+  async function* stored() {
+    yield* properties;
+  }
+  const streamed = await writeExport(stored(), { format: 'json', outputDir, name: 'streamed' });
+  assert.equal(fs.readFileSync(streamed, 'utf8'), JSON.stringify(properties, null, 2));
+  const empty = await writeExport([], { format: 'json', outputDir, name: 'empty' });
+  assert.equal(fs.readFileSync(empty, 'utf8'), '[]');
+  await assert.rejects(writeExport(properties, { format: 'xml', outputDir }), /Unknown export format/);
+});
+
+test('NDJSON and GeoJSON exports hold one record or feature per property', async () => {
+  const outputDir = fs.mkdtempSync(join(os.tmpdir(), 'exports-'));
+  const properties = generateProperties('Tampa', 2, { seed: 'geo' });
+  properties[1] = { ...properties[1], latitude: null, longitude: null };
+
+  const ndjson = fs.readFileSync(await writeExport(properties, { format: 'ndjson', outputDir }), 'utf8');
+  assert.deepEqual(ndjson.trim().split('\n').map(line => JSON.parse(line)), properties);
+
+  const geojson = JSON.parse(fs.readFileSync(await writeExport(properties, { format: 'geojson', outputDir }), 'utf8'));
+  assert.equal(geojson.type, 'FeatureCollection');
+  assert.deepEqual(geojson.features[0].geometry, { type: 'Point', coordinates: [properties[0].longitude, properties[0].latitude] });
+  assert.equal(geojson.features[0].id, properties[0].propertyId);
+  assert.equal(geojson.features[0].properties.price, properties[0].price);
+  assert.equal(geojson.features[0].properties.latitude, undefined);
+  assert.equal(geojson.features[1].geometry, null);
+  assert.deepEqual(JSON.parse(fs.readFileSync(await writeExport([], { format: 'geojson', outputDir, name: 'empty' }), 'utf8')).features, []);
+});
+
+test('Excel and Parquet exports read back with typed values', async () => {
+  const outputDir = fs.mkdtempSync(join(os.tmpdir(), 'exports-'));
+  const properties = generateProperties('Orlando', 3, { seed: 'typed' });
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(await writeExport(properties, { format: 'xlsx', outputDir, columns: ['propertyId', 'price', 'images'] }));
+  const sheet = workbook.getWorksheet('Properties');
+  assert.deepEqual(sheet.getRow(1).values.slice(1), ['propertyId', 'price', 'images']);
+  assert.equal(sheet.rowCount, 4);
+  assert.deepEqual(sheet.getRow(2).values.slice(1), [properties[0].propertyId, properties[0].price, properties[0].images.join('|')]);
+
+  const reader = await parquet.ParquetReader.openFile(await writeExport(properties, { format: 'parquet', outputDir }));
+  const cursor = reader.getCursor();
+  const rows = [];
+  for (let row = await cursor.next(); row; row = await cursor.next()) rows.push(row);
+  await reader.close();
+  assert.equal(rows.length, 3);
+  assert.equal(rows[0].propertyId, properties[0].propertyId);
+  assert.equal(Number(rows[0].price), properties[0].price);
+  assert.equal(rows[0].isSynthetic, true);
+  assert.deepEqual(JSON.parse(rows[0].schools), properties[0].schools);
+});
+
+test('export file names fill in a template', () => {
+  const now = new Date('2025-11-27T08:05:09.123Z');
+  assert.equal(exportFileName('properties-{date}', { now }), 'properties-2025-11-27');
+  assert.equal(exportFileName('{mode}-{timestamp}', { now, mode: 'live' }), 'live-20251127T080509Z');
+  assert.equal(exportFileName('run {runId}', { now, runId: 'a/b c' }), 'run a-b-c');
+  assert.equal(exportFileName('properties'), 'properties');
+  assert.throws(() => exportFileName('properties-{runId}', { now }), error => error.code === 'INVALID_NAME_TEMPLATE' && /\{runId\}/.test(error.message));
+});
+
+test('download file names from request input are escaped in Content-Disposition', async () => {
+  const headers = {};
+  const res = new Writable({ write(chunk, encoding, callback) { callback(); } });
+  res.setHeader = (name, value) => { headers[name] = value; };
+  await sendExport(res, [], { format: 'ndjson', filename: 'properties-Winter "Park"\r\nX' });
+  assert.equal(headers['Content-Disposition'], `attachment; filename="properties-Winter-Park-X.ndjson"; filename*=UTF-8''properties-Winter%20%22Park%22%0D%0AX.ndjson`);
+});
+
+test('local server routes requests like vercel.json, specific routes first', () => {
+  const routes = compileRoutes(JSON.parse(fs.readFileSync(join(__dirname, 'vercel.json'), 'utf8')));
+
+  assert.deepEqual(matchRoute(routes, '/api/properties/ZPID1/history'), { file: 'api/property-history.js', query: { id: 'ZPID1' } });
+  assert.deepEqual(matchRoute(routes, '/api/properties/ZPID1'), { file: 'api/property.js', query: { id: 'ZPID1' } });
+  assert.deepEqual(matchRoute(routes, '/api/cities/Winter%20Park/properties'), { file: 'api/properties.js', query: { city: 'Winter Park' } });
+  assert.deepEqual(matchRoute(routes, '/api/scrape'), { file: 'api/scrape.js', query: {} });
+  assert.equal(matchRoute(routes, '/index.html'), null);
+  assert.deepEqual(parseQuery(new URLSearchParams('city=Orlando&status=active&status=pending')), { city: 'Orlando', status: ['active', 'pending'] });
+});
+
+test('MySQL repository pages with a keyset condition and a cursor from the last row', async () => {
+  const queries = [];
+  const rows = generateProperties('Tampa', 3, { seed: 'sql' }).map((property, i) => ({
+    propertyId: property.propertyId, data: property, sortValue: 100 + i
+  }));
+  const connection = {
+    async query(sql, params) {
+      queries.push({ sql: sql.replace(/\s+/g, ' ').trim(), params });
+      return sql.includes('COUNT(*)') ? [[{ total: 7 }]] : [rows];
+    }
+  };
+  const repository = createMySqlRepository(connection);
+  const { paging } = parsePaging({ sort: '-pricePerSqft', pageSize: '2' });
+  paging.cursor = { value: 250, id: 'zillow-1' };
+
+  const page = await repository.findProperties({ cities: ['Tampa'], filters: { minBeds: 3, maxHoa: 200 }, paging });
+
+  assert.equal(page.total, 7);
+  assert.equal(page.properties.length, 2);
+  assert.match(queries[1].sql, /WHERE city IN \(\?\) AND bedrooms >= \? AND COALESCE\(hoaFee, 0\) <= \? AND \(ROUND\(price \/ NULLIF\(sqft, 0\), 6\) IS NULL OR ROUND\(price \/ NULLIF\(sqft, 0\), 6\) < \? OR/);
+  assert.match(queries[1].sql, /ORDER BY .* DESC, propertyId ASC LIMIT \?$/);
+  assert.deepEqual(queries[1].params, ['Tampa', 3, 200, 250, 250, 'zillow-1', 3]);
+
+  const next = parsePaging({ sort: '-pricePerSqft', cursor: page.nextCursor }).paging.cursor;
+  assert.equal(next.value, 101);
+  assert.equal(next.id, rows[1].propertyId);
+});
+
+test('MySQL repository upserts on propertyId and points at the migrations when the table is missing', async () => {
+  const [property] = generateProperties('Tampa', 1, { seed: 'upsert' });
+  const results = [{ affectedRows: 1 }, { affectedRows: 2 }];
+  const history = [];
+  const changeRows = [];
+  const connection = {
+    async query(sql, params) {
+      if (sql.startsWith('INSERT INTO price_history')) history.push(...params[0]);
+      if (sql.startsWith('INSERT INTO listing_changes')) changeRows.push(...params[0]);
+      return [[]];
+    },
+    async execute(sql) {
+      assert.match(sql, /INSERT INTO properties .* ON DUPLICATE KEY UPDATE/s);
+      return [results.shift()];
+    }
+  };
+  const repository = createMySqlRepository(connection);
+
+  const saved = await repository.saveProperties([property, { ...property, price: property.price - 5000 }]);
+  assert.deepEqual([saved.inserted, saved.updated, saved.failed], [1, 1, 0]);
+  assert.deepEqual(saved.changes.map(({ event }) => event), ['listed', 'price_drop']);
+  assert.deepEqual(history.map(row => row[2]), ['listed', 'price_drop']);
+  assert.deepEqual(changeRows.map(row => row[2]), ['added', 'changed']);
+  assert.deepEqual(JSON.parse(changeRows[1][3]), { price: { old: property.price, new: property.price - 5000 } });
+
+  connection.query = async () => {
+    throw Object.assign(new Error("Table 'db.properties' doesn't exist"), { code: 'ER_NO_SUCH_TABLE' });
+  };
+  await assert.rejects(repository.saveProperties([property]), /npm run migrate/);
+});
+
+test('migrations load in version order and cover the full schema', () => {
+  const migrations = loadMigrations();
+  assert.deepEqual(migrations.map(({ version }) => version), ['001', '002', '003', '004', '005', '006', '007']);
+  assert.ok(migrations.every(migration => typeof migration.up === 'function' && typeof migration.down === 'function'));
+});
+
+test('migrator applies pending migrations, reports status and reverts newest first', async () => {
+  const applied = new Map();
+  const calls = [];
+  const connection = {
+    async query(sql, params) {
+      if (sql.startsWith('SELECT version')) {
+        return [[...applied].map(([version, appliedAt]) => ({ version, appliedAt }))];
+      }
+      if (sql.startsWith('INSERT INTO schema_migrations')) applied.set(params[0], new Date());
+      if (sql.startsWith('DELETE FROM schema_migrations')) applied.delete(params[0]);
+      return [[]];
+    }
+  };
+  const migration = (version, name) => ({
+    version,
+    name,
+    up: async () => calls.push(`up ${version}`),
+    down: async () => calls.push(`down ${version}`)
+  });
+  const migrator = createMigrator(connection, {
+    migrations: [migration('001', 'a'), migration('002', 'b'), migration('003', 'c')]
+  });
+
+  assert.deepEqual((await migrator.up({ to: '002' })).map(({ version }) => version), ['001', '002']);
+  assert.deepEqual((await migrator.status()).map(({ applied }) => applied), [true, true, false]);
+  assert.deepEqual((await migrator.up()).map(({ version }) => version), ['003']);
+  assert.deepEqual(await migrator.up(), []);
+
+  assert.deepEqual((await migrator.down()).map(({ version }) => version), ['003']);
+  assert.deepEqual((await migrator.down({ to: '000' })).map(({ version }) => version), ['002', '001']);
+  assert.deepEqual(calls, ['up 001', 'up 002', 'up 003', 'down 003', 'down 002', 'down 001']);
+  assert.equal(applied.size, 0);
+});